@@ -1,23 +1,73 @@
 #!/usr/bin/env node
 /**
- * Build PMTiles archive from GeoJSON.
+ * Build PMTiles archive from GeoJSON, Shapefile, GeoPackage or CSV with WKT.
  * Converts building footprints with FAR predictions to vector tiles.
  *
  * Usage: node buildBuildingsPmtiles.mjs [options]
  * Options:
- *   --input     Path to input GeoJSON (default: ../../buildings_merged.geojson)
+ *   --input     Path to input .geojson, .geojsonl, .shp, .gpkg, .csv or .tsv (default: ../../buildings_merged.geojson)
+ *   --format    auto, geojson (FeatureCollection), geojsonseq (one feature per line), shapefile,
+ *               geopackage or csv (default: auto, from the extension and contents)
+ *   --srs       Source coordinate system, e.g. EPSG:5186 or EPSG:5179 (default: the .prj or
+ *               GeoPackage's, else EPSG:4326)
+ *   --encoding  Shapefile .dbf text encoding (default: the .cpg, else cp949)
+ *   --table     GeoPackage feature table (default: the first)
+ *   --wkt       CSV geometry column (default: WKT, wkt, geometry, geom or the_geom)
+ *   --join      Comma-separated CSV/TSV attribute tables joined onto the input by pnu
  *   --output    Path to output PMTiles (default: ../buildings.pmtiles)
  *   --layer     Layer name (default: buildings)
  *   --minzoom   Minimum zoom level (default: 12)
  *   --maxzoom   Maximum zoom level (default: 13)
+ *   --chunkzoom Zoom of the spatial chunks tiled one at a time, at most minzoom (default: 10)
+ *   --tmpdir    Directory for intermediate files (default: next to the output)
+ *   --overviewminzoom, --overviewmaxzoom
+ *               Zooms of the aggregated overview layers (default: 8-13; min above max skips them)
+ *   --grid      Overview grid: hex, square or none (default: hex)
+ *   --gridsize  Grid cells across one tile at each overview zoom (default: 16)
+ *   --admin     Optional boundaries (any input format) for the administrative overview units
+ *   --adminfield Property of --admin holding the 시군구 or 읍면동 code (default: SIG_CD)
+ *
+ * Input in a projected coordinate system (연속지적도 and 건축물대장 exports are usually in
+ * EPSG:5186 or EPSG:5179) is reprojected to WGS84 while it is read.
+ *
+ * Attribute tables given with --join (model predictions keyed by PNU) are merged onto the
+ * footprints as they are read; unmatched PNU on either side, duplicates and type conflicts are
+ * written to `<output>.join.json`.
+ *
+ * The input is streamed: features are spooled to disk per chunk tile, then each chunk is tiled on
+ * its own and its tiles appended to the archive, so geometries are only held for the densest
+ * chunk. Per-feature numbers still grow with the input: the field statistics keep every numeric
+ * value (8 bytes per feature and numeric field, for exact percentiles), the overview keeps about
+ * 40 bytes per building, and join tables are held whole.
+ *
+ * Overview layers summarize the buildings per grid cell (`overview_grid`) and per 시군구 / 읍면동
+ * (`overview_admin`) with count, mean, median and p90 FAR, so the low zooms show the whole city.
+ *
+ * Besides the archive and its `.json` summary, writes a PNU lookup index to `<output>.pnu/`
+ * (one JSON shard per 시군구 code) so the client can search parcels outside the viewport.
  */
-import {mkdir, readFile, writeFile} from 'node:fs/promises';
-import {dirname, resolve} from 'node:path';
+import {appendFile, mkdir, mkdtemp, readFile, readdir, rm, writeFile} from 'node:fs/promises';
+import {basename, dirname, relative, resolve, sep} from 'node:path';
 import {fileURLToPath} from 'node:url';
 import geojsonvt from 'geojson-vt';
 import vtpbf from 'vt-pbf';
 import {bbox as turfBbox} from '@turf/bbox';
-import {BufferWriter, S2PMTilesWriter, TileType, Compression} from 's2-pmtiles';
+import {INPUT_FORMATS, openFeatureInput} from './lib/feature-input.mjs';
+import {createAttributeJoin, readJoinTable} from './lib/attribute-join.mjs';
+import {createFieldStatsCollector} from './lib/field-stats.mjs';
+import {Compression, TileType, createPmtilesWriter} from './lib/pmtiles-writer.mjs';
+import {
+  ADMIN_FIELDS,
+  GRID_TYPES,
+  OVERVIEW_ADMIN_LAYER,
+  OVERVIEW_FIELDS,
+  OVERVIEW_GRID_LAYER,
+  adminFeatures,
+  adminLevelForZoom,
+  createOverviewCollector,
+  gridFeatures,
+  readAdminBoundaries,
+} from './lib/overview-aggregates.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -27,15 +77,36 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 
 const DEFAULTS = {
   input: '../../buildings_merged.geojson',
+  format: 'auto',
+  srs: '',
+  encoding: '',
+  table: '',
+  wkt: '',
+  join: '',
   output: '../buildings.pmtiles',
   layer: 'buildings',
   minzoom: 12,
   maxzoom: 13,
   summaryzoom: 13,
+  chunkzoom: 10,
+  tmpdir: '',
+  overviewminzoom: 8,
+  overviewmaxzoom: 13,
+  grid: 'hex',
+  gridsize: 16,
+  admin: '',
+  adminfield: 'SIG_CD',
   name: 'Seoul FAR Buildings',
   description: 'Building footprints with FAR predictions converted from GeoJSON to PMTiles.',
 };
 
+// PNU digits 1-5 are the 시군구 code; index shards are split on it.
+const PNU_SHARD_PREFIX_LENGTH = 5;
+const PNU_COORDINATE_PRECISION = 1e6;
+
+// Spooled lines held in memory before they are appended to the chunk files
+const SPOOL_BUFFER_BYTES = 32 * 1024 * 1024;
+
 const TILE_OPTIONS = {
   extent: 4096,
   buffer: 32,
@@ -44,6 +115,14 @@ const TILE_OPTIONS = {
   debug: 0,
 };
 
+// Overview features carry no parcel id to promote
+const OVERVIEW_TILE_OPTIONS = {
+  extent: TILE_OPTIONS.extent,
+  buffer: TILE_OPTIONS.buffer,
+  tolerance: TILE_OPTIONS.tolerance,
+  debug: 0,
+};
+
 // ============================================================================
 // Argument Parsing
 // ============================================================================
@@ -78,8 +157,23 @@ function parseArgs(argv) {
     }
   }
 
+  if (!INPUT_FORMATS.includes(args.format)) {
+    throw new Error(`Expected one of ${INPUT_FORMATS.join(', ')} for --format, got: ${args.format}`);
+  }
+  if (!GRID_TYPES.includes(args.grid)) {
+    throw new Error(`Expected one of ${GRID_TYPES.join(', ')} for --grid, got: ${args.grid}`);
+  }
+  if (!Number.isInteger(args.gridsize) || args.gridsize < 1) {
+    throw new Error(`Expected a positive integer for --gridsize, got: ${args.gridsize}`);
+  }
+
   args.input = resolve(__dirname, args.input);
   args.output = resolve(__dirname, args.output);
+  args.tmpdir = args.tmpdir ? resolve(__dirname, args.tmpdir) : dirname(args.output);
+  args.admin = args.admin ? resolve(__dirname, args.admin) : '';
+  args.join = args.join ? args.join.split(',').map((path) => resolve(__dirname, path.trim())) : [];
+  // Parcels take over above maxzoom; overviews past it would only add tiles
+  args.overviewmaxzoom = Math.min(args.overviewmaxzoom, args.maxzoom);
   return args;
 }
 
@@ -93,12 +187,21 @@ function clampLatitude(lat) {
   return Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
 }
 
+// Position in tile units at `zoom`; the integer part is the tile
+function lonLatToTileFraction(lon, lat, zoom) {
+  const n = 2 ** zoom;
+  const latRad = (clampLatitude(lat) * Math.PI) / 180;
+  return {
+    x: ((lon + 180) / 360) * n,
+    y: ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * n,
+  };
+}
+
 function lonLatToTile(lon, lat, zoom) {
-  const clampedLat = clampLatitude(lat);
   const n = 2 ** zoom;
-  const x = Math.floor(((lon + 180) / 360) * n);
-  const latRad = (clampedLat * Math.PI) / 180;
-  const y = Math.floor(((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * n);
+  const fraction = lonLatToTileFraction(lon, lat, zoom);
+  const x = Math.floor(fraction.x);
+  const y = Math.floor(fraction.y);
 
   return {
     x: Math.max(0, Math.min(n - 1, x)),
@@ -120,130 +223,469 @@ function getTileRange(bounds, zoom) {
 }
 
 // ============================================================================
-// Field Type Detection
+// PNU Index
 // ============================================================================
 
-function detectFieldTypes(features, sampleSize = 1000) {
-  const types = {};
+const roundCoordinate = (value) => Math.round(value * PNU_COORDINATE_PRECISION) / PNU_COORDINATE_PRECISION;
+
+/**
+ * PNU -> representative point entry for a feature, or null when it has no usable PNU.
+ * The point is the feature's bbox center, which is close enough to fly to and select a parcel.
+ */
+function pnuIndexEntry(feature, bounds, idProperty) {
+  const pnu = feature?.properties?.[idProperty];
+  if (pnu == null) return null;
 
-  for (let i = 0; i < Math.min(features.length, sampleSize); i++) {
-    const props = features[i]?.properties;
-    if (!props) continue;
+  const key = String(pnu);
+  if (key.length < PNU_SHARD_PREFIX_LENGTH) return null;
 
-    for (const [key, value] of Object.entries(props)) {
-      if (types[key] || value == null) continue;
+  const [minLon, minLat, maxLon, maxLat] = bounds;
+  return [key, roundCoordinate((minLon + maxLon) / 2), roundCoordinate((minLat + maxLat) / 2)];
+}
 
-      const type = typeof value;
-      types[key] =
-        type === 'number' ? 'Float' :
-        type === 'boolean' ? 'Boolean' : 'String';
-    }
+/**
+ * Writes one shard per 시군구 prefix from the spooled entries, each sorted by PNU so the server
+ * can binary-search it.
+ */
+async function writePnuIndex(directory, spool) {
+  await rm(directory, {recursive: true, force: true});
+  await mkdir(directory, {recursive: true});
+
+  const prefixes = (await spool.keys()).sort();
+  let count = 0;
+  for (const prefix of prefixes) {
+    const entries = (await spool.readLines(prefix)).map((line) => JSON.parse(line));
+    entries.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    await writeFile(resolve(directory, `${prefix}.json`), JSON.stringify({prefix, entries}));
+    count += entries.length;
   }
 
-  return types;
+  return {
+    prefixLength: PNU_SHARD_PREFIX_LENGTH,
+    shards: prefixes,
+    count,
+  };
 }
 
 // ============================================================================
-// PMTiles Builder
+// Spatial Chunks
 // ============================================================================
 
-async function buildPmtiles(options) {
-  console.log('Reading GeoJSON...');
-  const geojsonRaw = await readFile(options.input, 'utf8');
-  const geojson = JSON.parse(geojsonRaw);
+/**
+ * Line-oriented spill files, one per key, under `directory`. Lines are buffered in memory and
+ * appended in batches; `flush()` must run before reading.
+ */
+function createLineSpool(directory, maxBufferedBytes = SPOOL_BUFFER_BYTES) {
+  const buffers = new Map();
+  let bufferedBytes = 0;
+
+  async function flush() {
+    for (const [key, lines] of buffers) {
+      await appendFile(resolve(directory, `${key}.ndjson`), `${lines.join('\n')}\n`);
+    }
+    buffers.clear();
+    bufferedBytes = 0;
+  }
 
-  if (geojson?.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
-    throw new Error('Input must be a valid GeoJSON FeatureCollection');
+  async function append(key, line) {
+    if (!buffers.has(key)) {
+      buffers.set(key, []);
+    }
+    buffers.get(key).push(line);
+    bufferedBytes += line.length;
+    if (bufferedBytes >= maxBufferedBytes) {
+      await flush();
+    }
   }
 
-  console.log(`Processing ${geojson.features.length.toLocaleString()} features...`);
+  async function keys() {
+    const files = await readdir(directory);
+    return files.filter((file) => file.endsWith('.ndjson')).map((file) => file.slice(0, -'.ndjson'.length));
+  }
 
-  const bounds = turfBbox(geojson);
-  const summaryZoom = Math.min(Math.max(options.summaryzoom, options.minzoom), options.maxzoom);
+  async function readLines(key) {
+    const contents = await readFile(resolve(directory, `${key}.ndjson`), 'utf8');
+    return contents.split('\n').filter(Boolean);
+  }
 
-  // Create tile index
-  const tileIndex = geojsonvt(geojson, {
-    ...TILE_OPTIONS,
-    minZoom: options.minzoom,
-    maxZoom: options.maxzoom,
+  return {append, flush, keys, readLines};
+}
+
+/**
+ * Chunk tiles (`x-y` at `chunkZoom`) that a feature's bbox touches, widened by the tile buffer
+ * at `minZoom` so features in the buffer of a neighbouring chunk's tiles are tiled there too.
+ */
+function chunksForBounds([minLon, minLat, maxLon, maxLat], chunkZoom, minZoom) {
+  const n = 2 ** chunkZoom;
+  const margin = TILE_OPTIONS.buffer / TILE_OPTIONS.extent / 2 ** (minZoom - chunkZoom);
+  const topLeft = lonLatToTileFraction(minLon, maxLat, chunkZoom);
+  const bottomRight = lonLatToTileFraction(maxLon, minLat, chunkZoom);
+  const clamp = (value) => Math.max(0, Math.min(n - 1, value));
+
+  const keys = [];
+  for (let x = clamp(Math.floor(topLeft.x - margin)); x <= clamp(Math.floor(bottomRight.x + margin)); x++) {
+    for (let y = clamp(Math.floor(topLeft.y - margin)); y <= clamp(Math.floor(bottomRight.y + margin)); y++) {
+      keys.push(`${x}-${y}`);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Streams the input once: spools each feature to its chunks and its PNU entry to its shard,
+ * records it for the overview aggregates and the field statistics, and gathers the bounds.
+ */
+async function spoolFeatures(options, chunkZoom, chunkSpool, pnuSpool, overview, join) {
+  const fieldStats = createFieldStatsCollector();
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+  let featureCount = 0;
+  let skipped = 0;
+
+  const input = await openFeatureInput(options.input, {
+    format: options.format,
+    srs: options.srs,
+    encoding: options.encoding || null,
+    table: options.table || null,
+    wkt: options.wkt || null,
   });
+  console.log(`  Format: ${input.format}, coordinates: ${input.srs}`);
+
+  for await (const feature of input.features()) {
+    featureCount++;
+    join?.apply(feature);
+    fieldStats.add(feature);
+
+    const featureBounds = feature?.geometry ? turfBbox(feature) : null;
+    if (!featureBounds?.every(Number.isFinite)) {
+      skipped++;
+      continue;
+    }
+    bounds[0] = Math.min(bounds[0], featureBounds[0]);
+    bounds[1] = Math.min(bounds[1], featureBounds[1]);
+    bounds[2] = Math.max(bounds[2], featureBounds[2]);
+    bounds[3] = Math.max(bounds[3], featureBounds[3]);
+
+    const line = JSON.stringify(feature);
+    for (const key of chunksForBounds(featureBounds, chunkZoom, options.minzoom)) {
+      await chunkSpool.append(key, line);
+    }
 
-  // Write tiles
-  const bufferWriter = new BufferWriter();
-  const writer = new S2PMTilesWriter(bufferWriter, TileType.Pbf, Compression.Gzip);
-  const tileCoords = [];
-  let tileCount = 0;
+    const entry = pnuIndexEntry(feature, featureBounds, TILE_OPTIONS.promoteId);
+    if (entry) {
+      await pnuSpool.append(entry[0].slice(0, PNU_SHARD_PREFIX_LENGTH), JSON.stringify(entry));
+    }
+    overview.add((featureBounds[0] + featureBounds[2]) / 2, (featureBounds[1] + featureBounds[3]) / 2, feature.properties);
 
-  for (let z = options.minzoom; z <= options.maxzoom; z++) {
-    const range = getTileRange(bounds, z);
-    console.log(`Zoom ${z}: scanning tiles ${range.minX}-${range.maxX} x ${range.minY}-${range.maxY}`);
+    if (featureCount % 100000 === 0) {
+      console.log(`  ${featureCount.toLocaleString()} features read`);
+    }
+  }
 
-    for (let x = range.minX; x <= range.maxX; x++) {
-      for (let y = range.minY; y <= range.maxY; y++) {
-        const tile = tileIndex.getTile(z, x, y);
-        if (!tile?.features?.length) continue;
+  await chunkSpool.flush();
+  await pnuSpool.flush();
+  return {fieldStats, bounds, featureCount, skipped, source: {format: input.format, srs: input.srs}};
+}
+
+// Tiles of `zoom` inside chunk `chunkX-chunkY` and the data bounds
+function chunkTileRange(chunkX, chunkY, chunkZoom, zoom, bounds) {
+  const scale = 2 ** (zoom - chunkZoom);
+  const range = getTileRange(bounds, zoom);
+  return {
+    minX: Math.max(range.minX, chunkX * scale),
+    maxX: Math.min(range.maxX, (chunkX + 1) * scale - 1),
+    minY: Math.max(range.minY, chunkY * scale),
+    maxY: Math.min(range.maxY, (chunkY + 1) * scale - 1),
+  };
+}
 
-        const tileBuffer = vtpbf.fromGeojsonVt({[options.layer]: tile}, {version: 2});
-        await writer.writeTileXYZ(z, x, y, new Uint8Array(tileBuffer));
-        tileCount++;
+// ============================================================================
+// Overview Layers
+// ============================================================================
 
-        if (z === summaryZoom) {
-          tileCoords.push([z, x, y]);
+/**
+ * Tiles the overview layers at every overview zoom. The tiles are returned by `z/x/y` rather
+ * than written, so those that also hold buildings are written once with all layers; with cells
+ * a fixed fraction of a tile there are few of them.
+ */
+function buildOverviewTiles(collector, options, boundaries) {
+  const tiles = new Map();
+  const counts = {};
+
+  for (let z = options.overviewminzoom; z <= options.overviewmaxzoom; z++) {
+    const layers = {
+      [OVERVIEW_GRID_LAYER]:
+        options.grid === 'none' ? [] : gridFeatures(collector, z, {grid: options.grid, gridSize: options.gridsize}),
+      [OVERVIEW_ADMIN_LAYER]: adminFeatures(collector, z, boundaries),
+    };
+    counts[z] = {grid: layers[OVERVIEW_GRID_LAYER].length, admin: layers[OVERVIEW_ADMIN_LAYER].length};
+
+    for (const [layer, features] of Object.entries(layers)) {
+      if (!features.length) continue;
+
+      const collection = {type: 'FeatureCollection', features};
+      const tileIndex = geojsonvt(collection, {...OVERVIEW_TILE_OPTIONS, maxZoom: z, indexMaxZoom: z});
+      // Cells reach past the building bounds, so cover the cells' own extent
+      const range = getTileRange(turfBbox(collection), z);
+      for (let x = range.minX; x <= range.maxX; x++) {
+        for (let y = range.minY; y <= range.maxY; y++) {
+          const tile = tileIndex.getTile(z, x, y);
+          if (!tile?.features?.length) continue;
+
+          const key = `${z}/${x}/${y}`;
+          if (!tiles.has(key)) {
+            tiles.set(key, {z, x, y, layers: {}});
+          }
+          tiles.get(key).layers[layer] = tile;
         }
       }
     }
+
+    const level = adminLevelForZoom(z)?.level;
+    console.log(`  z${z}: ${counts[z].grid.toLocaleString()} cells, ${counts[z].admin.toLocaleString()} ${level} units`);
   }
 
-  if (tileCount === 0) {
-    throw new Error('No tiles generated - check input data and zoom levels');
+  return {tiles, counts};
+}
+
+function overviewVectorLayers(options) {
+  const zooms = {minzoom: options.overviewminzoom, maxzoom: options.overviewmaxzoom, version: 2};
+  const layers = [];
+  if (options.grid !== 'none') {
+    layers.push({
+      id: OVERVIEW_GRID_LAYER,
+      description: `Buildings aggregated into ${options.grid} cells, ${options.gridsize} per tile width`,
+      ...zooms,
+      fields: OVERVIEW_FIELDS,
+    });
   }
+  layers.push({
+    id: OVERVIEW_ADMIN_LAYER,
+    description: 'Buildings aggregated per 시군구 (low zooms) and 읍면동',
+    ...zooms,
+    fields: ADMIN_FIELDS,
+  });
+  return layers;
+}
 
-  // Write metadata
-  const fields = detectFieldTypes(geojson.features);
-  const metadata = {
-    tilejson: '3.0.0',
-    name: options.name,
-    description: options.description,
-    version: '1.0.0',
-    minzoom: options.minzoom,
-    maxzoom: options.maxzoom,
-    summaryzoom: summaryZoom,
-    bounds,
-    vector_layers: [{
-      id: options.layer,
-      description: options.description,
-      minzoom: options.minzoom,
-      maxzoom: options.maxzoom,
-      version: 2,
-      fields,
-    }],
-  };
+// ============================================================================
+// PMTiles Builder
+// ============================================================================
 
-  await writer.commit(metadata);
-  const pmtilesBytes = bufferWriter.commit();
+// Input paths recorded in the summary and join report are relative to the output directory, so
+// they can be published next to the archive without exposing the build machine's layout
+const outputRelativePath = (options, path) => relative(dirname(options.output), path).split(sep).join('/');
+
+async function buildPmtiles(options) {
+  const chunkZoom = Math.min(options.chunkzoom, options.minzoom);
+  const summaryZoom = Math.min(Math.max(options.summaryzoom, options.minzoom), options.maxzoom);
+  const hasOverview = options.overviewminzoom <= options.overviewmaxzoom;
 
-  // Write output files
+  await mkdir(options.tmpdir, {recursive: true});
   await mkdir(dirname(options.output), {recursive: true});
-  await writeFile(options.output, pmtilesBytes);
-
-  const summary = {
-    tiles: tileCount,
-    tileCoords,
-    output: options.output,
-    size: pmtilesBytes.length,
-    layer: options.layer,
-    bounds,
-    minzoom: options.minzoom,
-    maxzoom: options.maxzoom,
-    summaryzoom: summaryZoom,
-    fields,
-    geojsonFeatures: geojson.features.length,
-    tileVersion: 2,
-  };
+  const workDirectory = await mkdtemp(resolve(options.tmpdir, '.pmtiles-build-'));
+  await mkdir(resolve(workDirectory, 'chunks'));
+  await mkdir(resolve(workDirectory, 'pnu'));
+  const writer = await createPmtilesWriter(options.output, {
+    tileType: TileType.Mvt,
+    compression: Compression.Gzip,
+    spillDirectory: workDirectory,
+  });
+
+  try {
+    let join = null;
+    if (options.join.length) {
+      console.log('Reading join tables...');
+      const tables = [];
+      for (const path of options.join) {
+        const table = await readJoinTable(path, TILE_OPTIONS.promoteId);
+        console.log(`  ${path}: ${table.rows.size.toLocaleString()} rows, columns ${table.columns.join(', ')}`);
+        tables.push(table);
+      }
+      join = createAttributeJoin(tables, TILE_OPTIONS.promoteId);
+    }
+
+    console.log('Reading features...');
+    const chunkSpool = createLineSpool(resolve(workDirectory, 'chunks'));
+    const pnuSpool = createLineSpool(resolve(workDirectory, 'pnu'));
+    const collector = createOverviewCollector();
+    const {fieldStats, bounds, featureCount, skipped, source} = await spoolFeatures(
+      options,
+      chunkZoom,
+      chunkSpool,
+      pnuSpool,
+      collector,
+      join,
+    );
+
+    if (!featureCount) {
+      throw new Error('Input contains no features');
+    }
+    console.log(`Processing ${featureCount.toLocaleString()} features...`);
+    if (skipped) {
+      console.log(`  Skipped ${skipped.toLocaleString()} features without a usable geometry`);
+    }
 
-  await writeFile(`${options.output}.json`, JSON.stringify(summary, null, 2) + '\n');
+    let joinSummary = null;
+    if (join) {
+      const report = join.report();
+      report.tables.forEach((table) => {
+        table.path = outputRelativePath(options, table.path);
+      });
+      report.typeConflicts.forEach((conflict) => {
+        conflict.table = outputRelativePath(options, conflict.table);
+      });
+      await writeFile(`${options.output}.join.json`, JSON.stringify(report, null, 2) + '\n');
+      const {footprints, tables, typeConflicts} = report;
+      joinSummary = {
+        key: report.key,
+        tables: report.tables.map((table) => table.path),
+        report: `${basename(options.output)}.join.json`,
+        matched: footprints.matched,
+        unmatchedFootprints: footprints.unmatched.count,
+        unmatchedRows: tables.reduce((sum, table) => sum + table.unmatched.count, 0),
+        typeConflicts: typeConflicts.length,
+      };
+      console.log(`  Joined ${footprints.matched.toLocaleString()} of ${footprints.features.toLocaleString()} footprints`);
+      console.log(
+        `  ${joinSummary.unmatchedFootprints.toLocaleString()} footprint PNU and ${joinSummary.unmatchedRows.toLocaleString()} table rows unmatched, ${typeConflicts.length} type conflicts (see ${joinSummary.report})`,
+      );
+    }
 
-  return summary;
+    let overviewTiles = new Map();
+    let overviewCounts = {};
+    if (hasOverview) {
+      let boundaries;
+      if (options.admin) {
+        console.log('Reading administrative boundaries...');
+        const admin = await readAdminBoundaries(options.admin, options.adminfield);
+        boundaries = admin.boundaries;
+        console.log(`  ${boundaries.size.toLocaleString()} units, ${admin.skipped.toLocaleString()} skipped without a usable ${options.adminfield} or polygon`);
+      }
+      console.log('Aggregating overview layers...');
+      ({tiles: overviewTiles, counts: overviewCounts} = buildOverviewTiles(collector, options, boundaries));
+    }
+
+    // Tile one chunk at a time
+    const chunkKeys = (await chunkSpool.keys()).sort();
+    const tileCoords = [];
+    let tileCount = 0;
+
+    for (const [index, key] of chunkKeys.entries()) {
+      const [chunkX, chunkY] = key.split('-').map(Number);
+      const features = (await chunkSpool.readLines(key)).map((line) => JSON.parse(line));
+      const tileIndex = geojsonvt({type: 'FeatureCollection', features}, {
+        ...TILE_OPTIONS,
+        minZoom: options.minzoom,
+        maxZoom: options.maxzoom,
+      });
+
+      for (let z = options.minzoom; z <= options.maxzoom; z++) {
+        const range = chunkTileRange(chunkX, chunkY, chunkZoom, z, bounds);
+        for (let x = range.minX; x <= range.maxX; x++) {
+          for (let y = range.minY; y <= range.maxY; y++) {
+            const tile = tileIndex.getTile(z, x, y);
+            if (!tile?.features?.length) continue;
+
+            // Overview layers at the same zoom share the tile
+            const key = `${z}/${x}/${y}`;
+            const layers = {[options.layer]: tile, ...overviewTiles.get(key)?.layers};
+            overviewTiles.delete(key);
+
+            const tileBuffer = vtpbf.fromGeojsonVt(layers, {version: 2});
+            await writer.addTile(z, x, y, new Uint8Array(tileBuffer));
+            tileCount++;
+
+            if (z === summaryZoom) {
+              tileCoords.push([z, x, y]);
+            }
+          }
+        }
+      }
+
+      console.log(`Chunk ${index + 1}/${chunkKeys.length} (z${chunkZoom}/${chunkX}/${chunkY}): ${features.length.toLocaleString()} features, ${tileCount.toLocaleString()} tiles so far`);
+    }
+
+    if (tileCount === 0) {
+      throw new Error('No tiles generated - check input data and zoom levels');
+    }
+
+    // Overview tiles without buildings: the zooms below minzoom and cells past the building tiles
+    for (const {z, x, y, layers} of overviewTiles.values()) {
+      await writer.addTile(z, x, y, new Uint8Array(vtpbf.fromGeojsonVt(layers, {version: 2})));
+      tileCount++;
+    }
+
+    // Write metadata
+    const stats = fieldStats.stats();
+    const fields = fieldStats.fieldTypes();
+    const metadata = {
+      tilejson: '3.0.0',
+      name: options.name,
+      description: options.description,
+      version: '1.0.0',
+      minzoom: hasOverview ? Math.min(options.minzoom, options.overviewminzoom) : options.minzoom,
+      maxzoom: hasOverview ? Math.max(options.maxzoom, options.overviewmaxzoom) : options.maxzoom,
+      summaryzoom: summaryZoom,
+      bounds,
+      vector_layers: [{
+        id: options.layer,
+        description: options.description,
+        minzoom: options.minzoom,
+        maxzoom: options.maxzoom,
+        version: 2,
+        fields,
+      }, ...(hasOverview ? overviewVectorLayers(options) : [])],
+      tilestats: fieldStats.tilestats(options.layer, stats),
+    };
+
+    const archive = await writer.finish(metadata, {bounds});
+
+    console.log('Writing PNU index...');
+    const pnuIndex = await writePnuIndex(`${options.output}.pnu`, pnuSpool);
+
+    tileCoords.sort((a, b) => a[1] - b[1] || a[2] - b[2]);
+    const summary = {
+      tiles: tileCount,
+      tileCoords,
+      // File name only: the summary sits next to the archive and may be published with it
+      output: basename(options.output),
+      size: archive.size,
+      layer: options.layer,
+      source,
+      join: joinSummary,
+      bounds,
+      minzoom: options.minzoom,
+      maxzoom: options.maxzoom,
+      summaryzoom: summaryZoom,
+      chunkzoom: chunkZoom,
+      chunks: chunkKeys.length,
+      overview: hasOverview
+        ? {
+            minzoom: options.overviewminzoom,
+            maxzoom: options.overviewmaxzoom,
+            grid: options.grid,
+            gridsize: options.gridsize,
+            layers: overviewVectorLayers(options).map(({id}) => id),
+            admin: options.admin ? outputRelativePath(options, options.admin) : null,
+            features: overviewCounts,
+          }
+        : null,
+      fields,
+      stats,
+      pnuIndex,
+      geojsonFeatures: featureCount,
+      tileVersion: 2,
+    };
+
+    await writeFile(`${options.output}.json`, JSON.stringify(summary, null, 2) + '\n');
+
+    return summary;
+  } catch (error) {
+    await writer.abort();
+    throw error;
+  } finally {
+    await rm(workDirectory, {recursive: true, force: true});
+  }
 }
 
 // ============================================================================
@@ -257,6 +699,10 @@ async function main() {
   console.log(`  Input:  ${options.input}`);
   console.log(`  Output: ${options.output}`);
   console.log(`  Zoom:   ${options.minzoom}-${options.maxzoom}`);
+  console.log(`  Chunks: z${Math.min(options.chunkzoom, options.minzoom)}`);
+  if (options.overviewminzoom <= options.overviewmaxzoom) {
+    console.log(`  Overview: z${options.overviewminzoom}-${options.overviewmaxzoom} (${options.grid} grid)`);
+  }
 
   const stats = await buildPmtiles(options);
 
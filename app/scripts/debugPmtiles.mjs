@@ -1,12 +1,14 @@
 #!/usr/bin/env node
 /**
  * Debug a specific tile from a PMTiles archive.
- * Usage: node debugPmtiles.mjs [file] [z] [x] [y]
+ * Usage: node debugPmtiles.mjs [file|url] [z] [x] [y]
  * Example: node debugPmtiles.mjs ../buildings.pmtiles 13 6983 3174
+ *          node debugPmtiles.mjs https://static.example.com/tiles/buildings.pmtiles 13 6983 3174
  */
 import {resolve, dirname} from 'node:path';
 import {fileURLToPath} from 'node:url';
-import {openArchive, decodeTile} from './lib/pmtiles-utils.mjs';
+import {openArchive} from './lib/pmtiles-source.mjs';
+import {decodeTile} from './lib/pmtiles-utils.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -27,7 +29,7 @@ function parseArgs() {
   }
 
   return {
-    filePath: resolve(__dirname, fileArg),
+    filePath: /^https?:\/\//i.test(fileArg) ? fileArg : resolve(__dirname, fileArg),
     z,
     x,
     y,
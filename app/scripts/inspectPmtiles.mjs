@@ -1,43 +1,15 @@
 #!/usr/bin/env node
 /**
  * Inspect PMTiles archive metadata and header.
- * Usage: node inspectPmtiles.mjs [file]
+ * Usage: node inspectPmtiles.mjs [file|url]
  * Example: node inspectPmtiles.mjs ../buildings.pmtiles
+ *          node inspectPmtiles.mjs https://static.example.com/tiles/buildings.pmtiles
  */
-import {readFile} from 'node:fs/promises';
-import {brotliDecompressSync, gunzipSync} from 'node:zlib';
 import {resolve, dirname} from 'node:path';
 import {fileURLToPath} from 'node:url';
-import {Compression, bytesToHeader} from 'pmtiles';
+import {openArchive} from './lib/pmtiles-source.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const HEADER_LENGTH = 512;
-
-function parseMetadataBytes(arrayBuffer, header) {
-  const {jsonMetadataOffset, jsonMetadataLength, internalCompression} = header;
-
-  if (typeof jsonMetadataOffset !== 'number' || typeof jsonMetadataLength !== 'number') {
-    return null;
-  }
-
-  let metadataBytes = new Uint8Array(
-    arrayBuffer.slice(jsonMetadataOffset, jsonMetadataOffset + jsonMetadataLength)
-  );
-
-  if (!metadataBytes.length) {
-    return null;
-  }
-
-  // Decompress if needed
-  if (internalCompression === Compression.Gzip) {
-    metadataBytes = gunzipSync(metadataBytes);
-  } else if (internalCompression === Compression.Brotli) {
-    metadataBytes = brotliDecompressSync(metadataBytes);
-  }
-
-  const decoded = new TextDecoder('utf-8').decode(metadataBytes);
-  return JSON.parse(decoded);
-}
 
 function extractLayerSummaries(metadata) {
   if (!metadata) return [];
@@ -62,30 +34,29 @@ function extractLayerSummaries(metadata) {
 
 async function main() {
   const inputArg = process.argv[2] ?? '../buildings.pmtiles';
-  const filePath = resolve(__dirname, inputArg);
-
-  const fileBuffer = await readFile(filePath);
-  const arrayBuffer = fileBuffer.buffer.slice(
-    fileBuffer.byteOffset,
-    fileBuffer.byteOffset + fileBuffer.byteLength
-  );
-
-  const header = bytesToHeader(arrayBuffer.slice(0, HEADER_LENGTH));
+  const filePath = /^https?:\/\//i.test(inputArg) ? inputArg : resolve(__dirname, inputArg);
+  const {archive, source} = openArchive(filePath);
 
+  let header;
   let metadata = null;
   let parseError = null;
 
   try {
-    metadata = parseMetadataBytes(arrayBuffer, header);
-  } catch (error) {
-    parseError = error.message;
+    header = await archive.getHeader();
+    try {
+      metadata = header.jsonMetadataLength ? await archive.getMetadata() : null;
+    } catch (error) {
+      parseError = error.message;
+    }
+  } finally {
+    await source.close();
   }
 
   const result = {
     file: filePath,
     fileSize: {
-      bytes: fileBuffer.byteLength,
-      megabytes: (fileBuffer.byteLength / 1024 / 1024).toFixed(2),
+      bytes: source.size,
+      megabytes: source.size === null ? null : (source.size / 1024 / 1024).toFixed(2),
     },
     header: {
       version: header.specVersion,
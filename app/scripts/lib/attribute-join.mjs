@@ -0,0 +1,209 @@
+/**
+ * Attribute join of the build script: rows of one or more tables (prediction CSVs keyed by PNU)
+ * are merged onto the footprint features with the same key while they stream through, and the
+ * mismatches are collected into a join report.
+ *
+ * Tables are held in memory as key -> row maps; the footprints are not. Later tables override
+ * earlier ones and the footprint's own properties, except where a table cell is empty.
+ */
+import {extname} from 'node:path';
+import {readCsvRows} from './csv-reader.mjs';
+
+// PNU listed per report entry; the counts are always complete
+export const JOIN_REPORT_SAMPLE_SIZE = 1000;
+
+const TABLE_EXTENSIONS = new Set(['.csv', '.tsv']);
+
+// Same vocabulary as the summary's field types
+const valueType = (value) => {
+  const type = typeof value;
+  return type === 'number' ? 'Float' : type === 'boolean' ? 'Boolean' : 'String';
+};
+
+// Keys compare as text, so a PNU read as a number from one source matches the string elsewhere
+const normalizeKey = (value) => (value == null ? '' : String(value).trim());
+
+/**
+ * Counts of distinct keys with a capped sample, for the unmatched and duplicate lists.
+ */
+function createKeyList() {
+  let count = 0;
+  const sample = [];
+  return {
+    add(key) {
+      count++;
+      if (sample.length < JOIN_REPORT_SAMPLE_SIZE) sample.push(key);
+    },
+    toJSON: () => ({count, sample}),
+  };
+}
+
+/**
+ * Reads a join table (CSV or TSV) into a key -> row map. Rows without a key are counted and
+ * dropped; for a key repeated within the table the first row is kept.
+ * @param {string} path
+ * @param {string} key - Column holding the join key
+ */
+export async function readJoinTable(path, key) {
+  if (!TABLE_EXTENSIONS.has(extname(path).toLowerCase())) {
+    throw new Error(`Join tables must be .csv or .tsv, got: ${path}`);
+  }
+
+  const rows = new Map();
+  const duplicates = new Set();
+  // Column -> value type -> count, over the whole table
+  const columnTypes = new Map();
+  let rowCount = 0;
+  let withoutKey = 0;
+  let columns = null;
+
+  for await (const {columns: header, row} of readCsvRows(path)) {
+    if (!columns) {
+      if (!header.includes(key)) {
+        throw new Error(`Join table ${path} has no "${key}" column (columns: ${header.join(', ')})`);
+      }
+      columns = header.filter((name) => name !== key);
+    }
+    rowCount++;
+
+    const rowKey = normalizeKey(row[key]);
+    if (!rowKey) {
+      withoutKey++;
+      continue;
+    }
+    delete row[key];
+    for (const [name, value] of Object.entries(row)) {
+      if (value == null) continue;
+      const types = columnTypes.get(name) ?? new Map();
+      const type = valueType(value);
+      types.set(type, (types.get(type) ?? 0) + 1);
+      columnTypes.set(name, types);
+    }
+
+    if (rows.has(rowKey)) {
+      duplicates.add(rowKey);
+    } else {
+      rows.set(rowKey, row);
+    }
+  }
+
+  return {path, columns: columns ?? [], rows, rowCount, withoutKey, duplicates, columnTypes};
+}
+
+/**
+ * Joins `tables` (from readJoinTable) onto footprint features by `key`.
+ * @param {Awaited<ReturnType<typeof readJoinTable>>[]} tables
+ * @param {string} key - Footprint property holding the join key
+ * @returns {{apply: (feature: object) => object, report: () => object}}
+ */
+export function createAttributeJoin(tables, key) {
+  const seen = new Set();
+  const repeated = new Set();
+  const matched = tables.map(() => new Set());
+  // `${table}\0${column}` -> {table, column, replaced type -> count}
+  const replacedConflicts = new Map();
+  let features = 0;
+  let withoutKey = 0;
+  let matchedFeatures = 0;
+  const unmatchedFootprints = createKeyList();
+
+  function apply(feature) {
+    features++;
+    const properties = feature.properties ?? (feature.properties = {});
+    const featureKey = normalizeKey(properties[key]);
+    if (!featureKey) {
+      withoutKey++;
+      return feature;
+    }
+    if (seen.has(featureKey)) {
+      repeated.add(featureKey);
+    } else {
+      seen.add(featureKey);
+    }
+
+    let found = false;
+    tables.forEach((table, index) => {
+      const row = table.rows.get(featureKey);
+      if (!row) return;
+      found = true;
+      matched[index].add(featureKey);
+      for (const [column, value] of Object.entries(row)) {
+        if (value == null) continue;
+        // The value replaced, from the footprint or an earlier table, has another type
+        const existing = properties[column];
+        if (existing != null && valueType(existing) !== valueType(value)) {
+          const conflictKey = `${index}\0${column}`;
+          const conflict = replacedConflicts.get(conflictKey) ?? {table, column, types: new Map()};
+          const type = valueType(existing);
+          conflict.types.set(type, (conflict.types.get(type) ?? 0) + 1);
+          replacedConflicts.set(conflictKey, conflict);
+        }
+        properties[column] = value;
+      }
+    });
+
+    if (found) {
+      matchedFeatures++;
+    } else if (!repeated.has(featureKey)) {
+      // Listed once per key, when the first footprint with it is read
+      unmatchedFootprints.add(featureKey);
+    }
+    return feature;
+  }
+
+  function report() {
+    const footprintDuplicates = createKeyList();
+    repeated.forEach((featureKey) => footprintDuplicates.add(featureKey));
+
+    // `mixed`: one table column holds several types; `replaced`: joined values replaced values
+    // of another type
+    const typeConflicts = [];
+    tables.forEach((table) => {
+      for (const [column, types] of table.columnTypes) {
+        if (types.size > 1) {
+          typeConflicts.push({table: table.path, column, kind: 'mixed', types: Object.fromEntries(types)});
+        }
+      }
+    });
+    for (const {table, column, types} of replacedConflicts.values()) {
+      typeConflicts.push({
+        table: table.path,
+        column,
+        kind: 'replaced',
+        types: Object.fromEntries(table.columnTypes.get(column)),
+        replaced: Object.fromEntries(types),
+      });
+    }
+
+    return {
+      key,
+      footprints: {
+        features,
+        withoutKey,
+        matched: matchedFeatures,
+        unmatched: unmatchedFootprints.toJSON(),
+        duplicates: footprintDuplicates.toJSON(),
+      },
+      tables: tables.map((table, index) => {
+        const unmatched = createKeyList();
+        const duplicates = createKeyList();
+        for (const rowKey of table.rows.keys()) {
+          if (!matched[index].has(rowKey)) unmatched.add(rowKey);
+        }
+        table.duplicates.forEach((rowKey) => duplicates.add(rowKey));
+        return {
+          path: table.path,
+          columns: table.columns,
+          rows: table.rowCount,
+          withoutKey: table.withoutKey,
+          matched: matched[index].size,
+          unmatched: unmatched.toJSON(),
+          duplicates: duplicates.toJSON(),
+        };
+      }),
+      typeConflicts,
+    };
+  }
+
+  return {apply, report};
+}
@@ -0,0 +1,179 @@
+/**
+ * Streaming CSV / TSV reader for tables with a WKT geometry column, as exported by QGIS, PostGIS
+ * (`ST_AsText`) and most spreadsheets. Quoted fields may span lines and contain delimiters.
+ *
+ * Values are typed the way the GeoJSON inputs would be: numbers become numbers unless the text
+ * would change (leading zeros, integers past 2^53 such as 19-digit PNU), empty fields become null.
+ */
+import {createReadStream} from 'node:fs';
+import {open} from 'node:fs/promises';
+import {Buffer} from 'node:buffer';
+import {extname} from 'node:path';
+import {parseWkt} from './well-known.mjs';
+
+// Geometry column names recognized when none is given
+export const WKT_COLUMNS = ['WKT', 'wkt', 'geometry', 'geom', 'the_geom', 'GEOMETRY', 'GEOM'];
+
+const DELIMITERS = [',', '\t', ';', '|'];
+const SNIFF_BYTES = 64 * 1024;
+const READ_CHUNK_BYTES = 1024 * 1024;
+const NUMBER_PATTERN = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+
+/**
+ * Types one field: null when empty, a number when the text is a plain number that survives the
+ * round trip, otherwise the text.
+ */
+export function parseCsvValue(text) {
+  if (text === '') return null;
+  if (!NUMBER_PATTERN.test(text)) return text;
+  const value = Number(text);
+  if (!Number.isFinite(value) || (/^-?\d+$/.test(text) && !Number.isSafeInteger(value))) {
+    return text;
+  }
+  return value;
+}
+
+/**
+ * Tab for `.tsv`, otherwise the candidate occurring most often on the header line outside quotes.
+ */
+async function detectDelimiter(path) {
+  if (extname(path).toLowerCase() === '.tsv') {
+    return '\t';
+  }
+  const handle = await open(path, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const {bytesRead} = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    const head = buffer.subarray(0, bytesRead).toString('utf8');
+    const counts = new Map(DELIMITERS.map((delimiter) => [delimiter, 0]));
+    let quoted = false;
+    for (const char of head) {
+      if (char === '"') quoted = !quoted;
+      else if (!quoted && char === '\n') break;
+      else if (!quoted && counts.has(char)) counts.set(char, counts.get(char) + 1);
+    }
+    const [delimiter, count] = [...counts].sort((a, b) => b[1] - a[1])[0];
+    return count ? delimiter : ',';
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Splits a stream of text chunks into records (RFC 4180: `""` inside a quoted field is a quote).
+ * Yields `{fields, line}`, `line` being where the record starts.
+ */
+async function* readRecords(chunks, delimiter) {
+  let field = '';
+  let fields = [];
+  let quoted = false;
+  // A quote just closed the field; a quote right after it is an escaped quote
+  let quoteClosed = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    fields.push(!quoteClosed && field.endsWith('\r') ? field.slice(0, -1) : field);
+    field = '';
+  };
+
+  for await (const chunk of chunks) {
+    for (const char of chunk) {
+      if (quoted) {
+        if (char === '"') {
+          quoted = false;
+          quoteClosed = true;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+        continue;
+      }
+      if (char === '"') {
+        if (quoteClosed) field += '"';
+        quoted = true;
+        quoteClosed = false;
+        continue;
+      }
+
+      if (char === delimiter) {
+        endField();
+      } else if (char === '\n') {
+        endField();
+        yield {fields, line: recordLine};
+        fields = [];
+        line++;
+        recordLine = line;
+      } else if (!(char === '\r' && quoteClosed)) {
+        field += char;
+      }
+      quoteClosed = false;
+    }
+  }
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  if (field || fields.length) {
+    endField();
+    yield {fields, line: recordLine};
+  }
+}
+
+/**
+ * Yields the rows of a CSV / TSV file as objects keyed by the header's column names, values typed
+ * with parseCsvValue. Blank lines are skipped.
+ * @returns {AsyncGenerator<{columns: string[], row: object, line: number}>}
+ */
+export async function* readCsvRows(path) {
+  const delimiter = await detectDelimiter(path);
+  const chunks = createReadStream(path, {encoding: 'utf8', highWaterMark: READ_CHUNK_BYTES});
+
+  let columns = null;
+  for await (const {fields, line} of readRecords(chunks, delimiter)) {
+    if (!columns) {
+      columns = fields.map((name, index) => (index === 0 ? name.replace(/^\uFEFF/, '') : name).trim());
+      continue;
+    }
+    if (fields.length === 1 && fields[0] === '') continue;
+
+    const row = {};
+    columns.forEach((name, index) => {
+      row[name] = parseCsvValue(fields[index] ?? '');
+    });
+    yield {columns, row, line};
+  }
+}
+
+/**
+ * Yields the rows of a CSV / TSV file as GeoJSON features, the geometry parsed from the WKT
+ * column and every other column a property. Rows with an empty geometry get a null geometry.
+ * @param {string} path
+ * @param {{wkt?: string|null}} [options] - Geometry column (default: the first column named like WKT_COLUMNS)
+ */
+export async function* readCsv(path, {wkt = null} = {}) {
+  let geometryColumn = null;
+  for await (const {columns, row, line} of readCsvRows(path)) {
+    if (!geometryColumn) {
+      geometryColumn = wkt ? columns.find((name) => name === wkt) : columns.find((name) => WKT_COLUMNS.includes(name));
+      if (!geometryColumn) {
+        throw new Error(
+          wkt
+            ? `CSV has no column "${wkt}" (columns: ${columns.join(', ')})`
+            : `CSV has no WKT column (tried ${WKT_COLUMNS.join(', ')}); name it with --wkt`,
+        );
+      }
+    }
+
+    const text = row[geometryColumn];
+    delete row[geometryColumn];
+    let geometry = null;
+    if (typeof text === 'string' && text.trim()) {
+      try {
+        geometry = parseWkt(text);
+      } catch (error) {
+        throw new Error(`CSV line ${line}: ${error.message}`);
+      }
+    }
+    yield {type: 'Feature', properties: row, geometry};
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * Input features for the build scripts from any of the supported formats, reprojected to WGS84.
+ *
+ * Formats, detected from the extension unless given:
+ *   - geojson / geojsonseq: see geojson-stream.mjs
+ *   - shapefile (`.shp`, with `.dbf`, `.prj` and `.cpg` next to it)
+ *   - geopackage (`.gpkg`), one feature table
+ *   - csv (`.csv`, `.tsv`) with a WKT geometry column
+ *
+ * The source coordinate system comes from `srs` when given, else from the file (`.prj`, the
+ * GeoPackage's spatial reference table), else WGS84 is assumed.
+ */
+import {extname} from 'node:path';
+import {detectInputFormat, readFeatures as readGeoJsonFeatures} from './geojson-stream.mjs';
+import {readShapefile, readShapefileProjection} from './shapefile-reader.mjs';
+import {openGeoPackage} from './geopackage-reader.mjs';
+import {readCsv} from './csv-reader.mjs';
+import {WGS84, createReprojector, normalizeSrs} from './reproject.mjs';
+
+export const INPUT_FORMATS = ['auto', 'geojson', 'geojsonseq', 'shapefile', 'geopackage', 'csv'];
+
+const EXTENSION_FORMATS = {
+  '.shp': 'shapefile',
+  '.gpkg': 'geopackage',
+  '.csv': 'csv',
+  '.tsv': 'csv',
+};
+
+/**
+ * The format of `path`: by extension for the table formats, otherwise GeoJSON detection.
+ * @returns {Promise<string>} One of INPUT_FORMATS other than `auto`
+ */
+export async function detectFormat(path) {
+  return EXTENSION_FORMATS[extname(path).toLowerCase()] ?? detectInputFormat(path);
+}
+
+/**
+ * Opens an input without reading its features yet, resolving its format and coordinate system.
+ * @param {string} path
+ * @param {object} [options]
+ * @param {string} [options.format] - One of INPUT_FORMATS (default: auto)
+ * @param {string} [options.srs] - Source coordinate system, overriding the file's
+ * @param {string} [options.encoding] - Shapefile `.dbf` encoding
+ * @param {string} [options.table] - GeoPackage feature table
+ * @param {string} [options.wkt] - CSV geometry column
+ * @returns {Promise<{format: string, srs: string, features: () => AsyncGenerator<object>}>}
+ */
+export async function openFeatureInput(path, {format = 'auto', srs = null, encoding = null, table = null, wkt = null} = {}) {
+  if (!INPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown input format "${format}"; expected one of ${INPUT_FORMATS.join(', ')}`);
+  }
+  const resolved = format === 'auto' ? await detectFormat(path) : format;
+
+  let fileSrs = null;
+  let read;
+  switch (resolved) {
+    case 'shapefile':
+      fileSrs = await readShapefileProjection(path);
+      read = () => readShapefile(path, {encoding});
+      break;
+    case 'geopackage': {
+      // Opened once up front for the table's coordinate system, then again per read
+      const geopackage = await openGeoPackage(path, {table});
+      fileSrs = geopackage.srs;
+      await geopackage.close();
+      read = async function* () {
+        const reader = await openGeoPackage(path, {table});
+        try {
+          yield* reader.features();
+        } finally {
+          await reader.close();
+        }
+      };
+      break;
+    }
+    case 'csv':
+      read = () => readCsv(path, {wkt});
+      break;
+    default:
+      read = () => readGeoJsonFeatures(path, resolved);
+  }
+
+  const sourceSrs = normalizeSrs(srs || fileSrs || WGS84);
+  const reproject = createReprojector(sourceSrs);
+
+  return {
+    format: resolved,
+    srs: sourceSrs,
+    async *features() {
+      for await (const feature of read()) {
+        yield reproject(feature);
+      }
+    },
+  };
+}
+
+/**
+ * Yields the features of `path` in WGS84 (see openFeatureInput for the options).
+ */
+export async function* readFeatures(path, options) {
+  const input = await openFeatureInput(path, options);
+  yield* input.features();
+}
@@ -0,0 +1,242 @@
+/**
+ * Attribute statistics over every feature of the build, for the summary's `fields` and `stats`
+ * and the archive metadata's `tilestats`. The client builds legends, filter ranges and
+ * classifications from them without reading tiles.
+ *
+ * Numeric values are kept in growable Float64Arrays (8 bytes per value instead of the feature
+ * objects) and sorted once at the end. String and boolean values are counted per distinct value,
+ * up to MAX_TRACKED_VALUES per field: identifiers such as PNU would otherwise hold every value
+ * in memory. Past the cap new values are no longer counted and `distinct` is a lower bound.
+ */
+
+// Percentiles 0..100; the client derives quantile and natural-breaks classifications from them
+export const QUANTILE_STEPS = 100;
+export const HISTOGRAM_BINS = 20;
+export const TOP_VALUES = 10;
+export const MAX_TRACKED_VALUES = 100000;
+
+// Summary field types, in the vector_layers `fields` vocabulary; numbers are Integer when every
+// value is a whole number
+const FIELD_TYPES = {number: 'Float', boolean: 'Boolean', string: 'String'};
+
+function quantileSorted(sorted, p) {
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  if (lower === upper) return sorted[lower];
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Equal-width bins from min to max; the max falls into the last bin
+function histogramSorted(sorted, bins) {
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const binCount = min === max ? 1 : bins;
+  const width = (max - min) / binCount;
+  const edges = Array.from({length: binCount + 1}, (_, index) => (index === binCount ? max : min + width * index));
+  const counts = new Array(binCount).fill(0);
+  for (const value of sorted) {
+    counts[width ? Math.min(binCount - 1, Math.floor((value - min) / width)) : 0]++;
+  }
+  return {edges, counts};
+}
+
+function countDistinctSorted(sorted) {
+  let distinct = 0;
+  for (let index = 0; index < sorted.length; index++) {
+    if (index === 0 || sorted[index] !== sorted[index - 1]) distinct++;
+  }
+  return distinct;
+}
+
+const topValues = (counts) =>
+  [...counts]
+    .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+    .slice(0, TOP_VALUES)
+    .map(([value, count]) => ({value, count}));
+
+// GeoJSON geometry type without the Multi prefix, as tilestats records it
+const baseGeometryType = (type) => (type ? type.replace(/^Multi/, '') : null);
+
+function createField() {
+  return {
+    // Non-null values per JavaScript type
+    types: {number: 0, string: 0, boolean: 0},
+    numbers: {values: new Float64Array(1024), length: 0, sum: 0, integers: true},
+    values: new Map(),
+    capped: false,
+  };
+}
+
+function addNumber(numbers, value) {
+  if (numbers.length === numbers.values.length) {
+    const grown = new Float64Array(numbers.values.length * 2);
+    grown.set(numbers.values);
+    numbers.values = grown;
+  }
+  numbers.values[numbers.length++] = value;
+  numbers.sum += value;
+  if (numbers.integers && !Number.isInteger(value)) {
+    numbers.integers = false;
+  }
+}
+
+/**
+ * Collects the properties of every feature for the field statistics.
+ * @returns {{add: (feature: object) => void, fieldTypes: () => object, stats: () => object, tilestats: (layer: string, fieldStats?: object) => object}}
+ */
+export function createFieldStatsCollector() {
+  const fields = new Map();
+  const geometryTypes = new Map();
+  let featureCount = 0;
+
+  function add(feature) {
+    featureCount++;
+    const geometryType = baseGeometryType(feature?.geometry?.type);
+    if (geometryType) {
+      geometryTypes.set(geometryType, (geometryTypes.get(geometryType) ?? 0) + 1);
+    }
+
+    for (const [key, value] of Object.entries(feature?.properties ?? {})) {
+      let field = fields.get(key);
+      if (!field) {
+        field = createField();
+        fields.set(key, field);
+      }
+      if (value == null) continue;
+
+      const type = typeof value;
+      if (type === 'number') {
+        // NaN and Infinity are not representable in tiles; they count as null
+        if (!Number.isFinite(value)) continue;
+        field.types.number++;
+        addNumber(field.numbers, value);
+      } else {
+        const text = type === 'boolean' ? value : String(value);
+        field.types[type === 'boolean' ? 'boolean' : 'string']++;
+        if (field.values.has(text)) {
+          field.values.set(text, field.values.get(text) + 1);
+        } else if (field.values.size < MAX_TRACKED_VALUES) {
+          field.values.set(text, 1);
+        } else {
+          field.capped = true;
+        }
+      }
+    }
+  }
+
+  // The JavaScript types of a field's non-null values
+  const presentTypes = (field) => Object.entries(field.types).filter(([, count]) => count > 0).map(([type]) => type);
+
+  // The type of a field's non-null values, `mixed` when there are several
+  function fieldType(field) {
+    const present = presentTypes(field);
+    if (present.length === 1) return present[0];
+    return present.length ? 'mixed' : null;
+  }
+
+  // The type of most of a field's values, null when there are none
+  function majorityType(field) {
+    const [type, count] = Object.entries(field.types).sort((a, b) => b[1] - a[1])[0];
+    return count ? type : null;
+  }
+
+  /**
+   * Field name -> summary type (Integer, Float, String or Boolean) over all features. Fields that
+   * are null everywhere are left out. A mixed field takes the type of most of its values, so a
+   * few `NA` strings in a prediction column keep it numeric.
+   */
+  function fieldTypes() {
+    const types = {};
+    for (const [key, field] of fields) {
+      const type = majorityType(field);
+      if (type) {
+        types[key] = type === 'number' && field.numbers.integers ? 'Integer' : FIELD_TYPES[type];
+      }
+    }
+    return types;
+  }
+
+  function numericStats(field) {
+    const sorted = field.numbers.values.subarray(0, field.numbers.length).sort();
+    const quantiles = [];
+    for (let step = 0; step <= QUANTILE_STEPS; step++) {
+      quantiles.push(quantileSorted(sorted, step / QUANTILE_STEPS));
+    }
+    return {
+      distinct: countDistinctSorted(sorted),
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      mean: field.numbers.sum / sorted.length,
+      quantiles,
+      histogram: histogramSorted(sorted, HISTOGRAM_BINS),
+    };
+  }
+
+  /**
+   * Field name -> statistics: `count` of non-null values, `nulls` and `distinct` values; min,
+   * max, mean, percentiles and a histogram of the numeric values; the most frequent string and
+   * boolean values as `top`. Mixed fields have both parts.
+   */
+  function stats() {
+    const result = {};
+    for (const [key, field] of fields) {
+      const type = fieldType(field);
+      if (!type) continue;
+
+      const count = field.types.number + field.types.string + field.types.boolean;
+      const {distinct = 0, ...numeric} = field.numbers.length ? numericStats(field) : {};
+      result[key] = {
+        type,
+        count,
+        nulls: featureCount - count,
+        distinct: distinct + field.values.size,
+        ...(field.capped ? {distinctCapped: true} : {}),
+        ...numeric,
+        ...(field.values.size ? {top: topValues(field.values)} : {}),
+      };
+    }
+    return result;
+  }
+
+  /**
+   * The `tilestats` metadata block (Mapbox tilestats layout) for `layer`, carrying the same
+   * statistics per attribute. `count` there is the number of distinct values, so the non-null
+   * count is left to `nulls` and the layer's feature count. The schema has no `mixed` attribute
+   * type: a mixed field takes the type of most of its values and lists all of them, plus
+   * `mixed`, under `types`.
+   * @param {string} layer
+   * @param {object} [fieldStats] - Result of stats(), when already computed
+   */
+  function tilestats(layer, fieldStats = stats()) {
+    const attributes = Object.entries(fieldStats).map(([attribute, {type, distinct, top, ...rest}]) => {
+      delete rest.count;
+      const field = fields.get(attribute);
+      return {
+        attribute,
+        count: distinct,
+        type: type === 'mixed' ? majorityType(field) : type,
+        ...(type === 'mixed' ? {types: [...presentTypes(field), 'mixed']} : {}),
+        ...(top ? {values: top.map(({value}) => value)} : {}),
+        ...rest,
+        ...(top ? {top} : {}),
+      };
+    });
+    const [geometry] = [...geometryTypes].sort((a, b) => b[1] - a[1])[0] ?? [null];
+
+    return {
+      layerCount: 1,
+      layers: [
+        {
+          layer,
+          count: featureCount,
+          geometry,
+          attributeCount: attributes.length,
+          attributes,
+        },
+      ],
+    };
+  }
+
+  return {add, fieldTypes, stats, tilestats};
+}
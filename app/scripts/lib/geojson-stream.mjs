@@ -0,0 +1,205 @@
+/**
+ * Streaming GeoJSON input for the build scripts: features are yielded one at a time, so inputs
+ * larger than memory can be tiled.
+ *
+ * Two formats are read:
+ *   - GeoJSON FeatureCollection: a scanner tracks strings and nesting and parses each element of
+ *     the top-level `features` array on its own; other members are skipped
+ *   - GeoJSONSeq (RFC 8142) and newline-delimited GeoJSON: one Feature per line, with or without
+ *     the leading record separator
+ */
+import {createReadStream} from 'node:fs';
+import {open} from 'node:fs/promises';
+import {Buffer} from 'node:buffer';
+import {extname} from 'node:path';
+import {createInterface} from 'node:readline';
+
+export const INPUT_FORMATS = ['auto', 'geojson', 'geojsonseq'];
+
+const SEQUENCE_EXTENSIONS = new Set(['.geojsonl', '.geojsonseq', '.geojsons', '.ndjson', '.jsonl']);
+const RECORD_SEPARATOR = '\x1e';
+const SNIFF_BYTES = 64 * 1024;
+const READ_CHUNK_BYTES = 1024 * 1024;
+
+/**
+ * Guesses the format from the extension, then from the first line: a record separator or a
+ * complete Feature on the first line means GeoJSONSeq.
+ * @returns {Promise<'geojson'|'geojsonseq'>}
+ */
+export async function detectInputFormat(path) {
+  if (SEQUENCE_EXTENSIONS.has(extname(path).toLowerCase())) {
+    return 'geojsonseq';
+  }
+
+  const handle = await open(path, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const {bytesRead} = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    const head = buffer.subarray(0, bytesRead).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+    if (head.startsWith(RECORD_SEPARATOR)) {
+      return 'geojsonseq';
+    }
+    const newline = head.indexOf('\n');
+    if (newline === -1) {
+      return 'geojson';
+    }
+    try {
+      return JSON.parse(head.slice(0, newline))?.type === 'Feature' ? 'geojsonseq' : 'geojson';
+    } catch {
+      return 'geojson';
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Yields the features of a GeoJSONSeq / newline-delimited file. Blank lines are skipped.
+ */
+export async function* readFeatureSequence(path) {
+  const lines = createInterface({
+    input: createReadStream(path, {encoding: 'utf8', highWaterMark: READ_CHUNK_BYTES}),
+    crlfDelay: Infinity,
+  });
+
+  let lineNumber = 0;
+  for await (const rawLine of lines) {
+    lineNumber++;
+    const line = (lineNumber === 1 ? rawLine.replace(/^\uFEFF/, '') : rawLine).replace(/^\x1e/, '').trim();
+    if (!line) continue;
+
+    let value;
+    try {
+      value = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${lineNumber}: ${error.message}`);
+    }
+    if (value?.type === 'Feature') {
+      yield value;
+    } else if (value?.type === 'FeatureCollection' && Array.isArray(value.features)) {
+      yield* value.features;
+    } else {
+      throw new Error(`Line ${lineNumber} is not a GeoJSON Feature`);
+    }
+  }
+}
+
+/**
+ * Yields the features of a GeoJSON FeatureCollection without holding the document in memory.
+ * Only one feature's text is buffered at a time.
+ */
+export async function* readFeatureCollection(path) {
+  const stream = createReadStream(path, {encoding: 'utf8', highWaterMark: READ_CHUNK_BYTES});
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let started = false;
+  // Top-level members: the last string read, the member being read, and the `type` value
+  let depthOneString = '';
+  let currentKey = null;
+  let expectingValue = false;
+  let topLevelType = null;
+  // State of the `features` array and the feature being captured
+  let inFeatures = false;
+  let sawFeatures = false;
+  let captureParts = null;
+  let captureStart = 0;
+
+  for await (const chunk of stream) {
+    captureStart = 0;
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+          if (depth === 1 && expectingValue && currentKey === 'type') {
+            topLevelType = depthOneString;
+          }
+        } else if (depth === 1) {
+          depthOneString += char;
+        }
+        continue;
+      }
+
+      switch (char) {
+        case '"':
+          inString = true;
+          if (depth === 1) {
+            depthOneString = '';
+          }
+          break;
+        case '{':
+        case '[':
+          if (!started) {
+            if (char !== '{') {
+              throw new Error('Input must be a valid GeoJSON FeatureCollection');
+            }
+            started = true;
+          }
+          depth++;
+          if (char === '[' && depth === 2 && currentKey === 'features' && expectingValue) {
+            inFeatures = true;
+          } else if (char === '{' && depth === 3 && inFeatures) {
+            captureParts = [];
+            captureStart = i;
+          }
+          break;
+        case '}':
+        case ']':
+          depth--;
+          if (captureParts && depth === 2) {
+            captureParts.push(chunk.slice(captureStart, i + 1));
+            const text = captureParts.join('');
+            captureParts = null;
+            yield JSON.parse(text);
+          } else if (inFeatures && depth === 1) {
+            inFeatures = false;
+            sawFeatures = true;
+          }
+          break;
+        case ':':
+          if (depth === 1) {
+            currentKey = depthOneString;
+            expectingValue = true;
+          }
+          break;
+        case ',':
+          if (depth === 1) {
+            expectingValue = false;
+          }
+          break;
+        default:
+          if (!started && char.trim() && char !== '\uFEFF') {
+            throw new Error('Input must be a valid GeoJSON FeatureCollection');
+          }
+      }
+    }
+    if (captureParts) {
+      captureParts.push(chunk.slice(captureStart));
+    }
+  }
+
+  if (depth !== 0 || inString) {
+    throw new Error('Unexpected end of GeoJSON input');
+  }
+  if (topLevelType !== 'FeatureCollection' || !sawFeatures) {
+    throw new Error('Input must be a valid GeoJSON FeatureCollection (use --format geojsonseq for one feature per line)');
+  }
+}
+
+/**
+ * Yields the features of `path` in the given format (`auto` detects it).
+ */
+export async function* readFeatures(path, format = 'auto') {
+  if (!INPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown input format "${format}"; expected one of ${INPUT_FORMATS.join(', ')}`);
+  }
+  const resolved = format === 'auto' ? await detectInputFormat(path) : format;
+  yield* resolved === 'geojsonseq' ? readFeatureSequence(path) : readFeatureCollection(path);
+}
@@ -0,0 +1,378 @@
+/**
+ * Streaming GeoPackage reader. GeoPackages are SQLite databases; this module walks the table
+ * b-trees of the file directly (read-only, one page at a time), so feature tables of any size
+ * are read without loading the database or a native SQLite binding.
+ *
+ * Supported: rowid tables in UTF-8 databases, with overflow pages. WITHOUT ROWID tables,
+ * indexes and the write-ahead log are not read - checkpoint a GeoPackage that has a `-wal` file
+ * (e.g. open and close it in QGIS) before building from it.
+ */
+import {open} from 'node:fs/promises';
+import {Buffer} from 'node:buffer';
+import {parseWkb} from './well-known.mjs';
+
+const SQLITE_MAGIC = 'SQLite format 3\0';
+const PAGE_INTERIOR_TABLE = 0x05;
+const PAGE_LEAF_TABLE = 0x0d;
+
+// ============================================================================
+// SQLite Pages
+// ============================================================================
+
+// SQLite varint: up to 9 bytes, big-endian 7-bit groups, the ninth byte contributing all 8 bits
+function readVarint(bytes, offset) {
+  let value = 0n;
+  for (let i = 0; i < 9; i++) {
+    const byte = bytes[offset + i];
+    if (i === 8) {
+      return {value: (value << 8n) | BigInt(byte), length: 9};
+    }
+    value = (value << 7n) | BigInt(byte & 0x7f);
+    if (byte < 0x80) {
+      return {value, length: i + 1};
+    }
+  }
+  return {value, length: 9};
+}
+
+// Small varints (lengths, counts) as numbers
+function readSmallVarint(bytes, offset) {
+  const {value, length} = readVarint(bytes, offset);
+  return {value: Number(value), length};
+}
+
+const integerValue = (value) => (value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : String(value));
+
+/**
+ * Decodes a record (header of serial types, then the values). Integers beyond 2^53 become strings
+ * so 19-digit PNU stored as INTEGER keep every digit.
+ */
+function decodeRecord(payload) {
+  const {value: headerLength, length: first} = readSmallVarint(payload, 0);
+  const types = [];
+  for (let offset = first; offset < headerLength; ) {
+    const {value, length} = readSmallVarint(payload, offset);
+    types.push(value);
+    offset += length;
+  }
+
+  const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+  const values = [];
+  let offset = headerLength;
+  for (const type of types) {
+    switch (type) {
+      case 0:
+        values.push(null);
+        break;
+      case 1:
+        values.push(view.getInt8(offset));
+        offset += 1;
+        break;
+      case 2:
+        values.push(view.getInt16(offset));
+        offset += 2;
+        break;
+      case 3:
+        values.push((view.getInt8(offset) << 16) | view.getUint16(offset + 1));
+        offset += 3;
+        break;
+      case 4:
+        values.push(view.getInt32(offset));
+        offset += 4;
+        break;
+      case 5:
+        values.push(view.getInt16(offset) * 2 ** 32 + view.getUint32(offset + 2));
+        offset += 6;
+        break;
+      case 6:
+        values.push(integerValue(view.getBigInt64(offset)));
+        offset += 8;
+        break;
+      case 7:
+        values.push(view.getFloat64(offset));
+        offset += 8;
+        break;
+      case 8:
+        values.push(0);
+        break;
+      case 9:
+        values.push(1);
+        break;
+      default: {
+        const length = type >= 12 ? Math.floor((type - (type % 2 ? 13 : 12)) / 2) : 0;
+        const bytes = payload.subarray(offset, offset + length);
+        values.push(type % 2 ? Buffer.from(bytes).toString('utf8') : bytes);
+        offset += length;
+      }
+    }
+  }
+  return values;
+}
+
+/**
+ * Read-only access to the pages of an SQLite database file.
+ */
+async function openDatabase(path) {
+  const handle = await open(path, 'r');
+  const header = Buffer.alloc(100);
+  await handle.read(header, 0, 100, 0);
+  if (header.toString('latin1', 0, 16) !== SQLITE_MAGIC) {
+    await handle.close();
+    throw new Error(`${path} is not an SQLite database`);
+  }
+  const rawPageSize = header.readUInt16BE(16);
+  const pageSize = rawPageSize === 1 ? 65536 : rawPageSize;
+  const usableSize = pageSize - header[20];
+  if (header.readUInt32BE(56) > 1) {
+    await handle.close();
+    throw new Error(`${path} is not UTF-8 encoded`);
+  }
+
+  async function readPage(pageNumber) {
+    const page = Buffer.alloc(pageSize);
+    const {bytesRead} = await handle.read(page, 0, pageSize, (pageNumber - 1) * pageSize);
+    if (bytesRead < pageSize) {
+      throw new Error(`${path}: page ${pageNumber} is past the end of the file`);
+    }
+    return page;
+  }
+
+  // Cell payload, following the overflow chain when it does not fit the page
+  async function readPayload(page, offset, payloadSize) {
+    const maxLocal = usableSize - 35;
+    if (payloadSize <= maxLocal) {
+      return page.subarray(offset, offset + payloadSize);
+    }
+    const minLocal = Math.floor(((usableSize - 12) * 32) / 255) - 23;
+    const spill = minLocal + ((payloadSize - minLocal) % (usableSize - 4));
+    const localSize = spill <= maxLocal ? spill : minLocal;
+
+    const parts = [page.subarray(offset, offset + localSize)];
+    let remaining = payloadSize - localSize;
+    let next = page.readUInt32BE(offset + localSize);
+    while (remaining > 0 && next) {
+      const overflow = await readPage(next);
+      const take = Math.min(remaining, usableSize - 4);
+      parts.push(overflow.subarray(4, 4 + take));
+      remaining -= take;
+      next = overflow.readUInt32BE(0);
+    }
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Yields `{rowid, values}` for every row of the table b-tree rooted at `rootPage`, in rowid order.
+   */
+  async function* scanTable(rootPage) {
+    const stack = [rootPage];
+    while (stack.length) {
+      const pageNumber = stack.pop();
+      const page = await readPage(pageNumber);
+      // Page 1 starts with the 100-byte database header
+      const base = pageNumber === 1 ? 100 : 0;
+      const type = page[base];
+      const cellCount = page.readUInt16BE(base + 3);
+
+      if (type === PAGE_INTERIOR_TABLE) {
+        const children = [];
+        for (let i = 0; i < cellCount; i++) {
+          children.push(page.readUInt32BE(page.readUInt16BE(base + 12 + i * 2)));
+        }
+        children.push(page.readUInt32BE(base + 8));
+        // Pushed in reverse so the leftmost child is scanned first
+        stack.push(...children.reverse());
+      } else if (type === PAGE_LEAF_TABLE) {
+        for (let i = 0; i < cellCount; i++) {
+          let offset = page.readUInt16BE(base + 8 + i * 2);
+          const payloadSize = readSmallVarint(page, offset);
+          offset += payloadSize.length;
+          const rowid = readVarint(page, offset);
+          offset += rowid.length;
+          const payload = await readPayload(page, offset, payloadSize.value);
+          yield {rowid: integerValue(rowid.value), values: decodeRecord(payload)};
+        }
+      } else {
+        throw new Error(`${path}: page ${pageNumber} is not a table page (WITHOUT ROWID tables are not supported)`);
+      }
+    }
+  }
+
+  return {scanTable, close: () => handle.close()};
+}
+
+// ============================================================================
+// Schema
+// ============================================================================
+
+// Splits on commas outside parentheses and quotes
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'" || char === '`' || char === '[') {
+      quote = char === '[' ? ']' : char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+const unquoteIdentifier = (name) => name.replace(/^["`[](.*)["`\]]$/s, '$1').replace(/""/g, '"');
+
+const TABLE_CONSTRAINT = /^(CONSTRAINT|PRIMARY\s+KEY|UNIQUE|CHECK|FOREIGN\s+KEY)\b/i;
+
+/**
+ * Column names of a CREATE TABLE statement, and the INTEGER PRIMARY KEY column, whose value
+ * SQLite stores as the rowid instead of in the record.
+ */
+function parseColumns(sql) {
+  const body = sql.slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'));
+  const columns = [];
+  let rowidColumn = null;
+  for (const definition of splitTopLevel(body)) {
+    if (TABLE_CONSTRAINT.test(definition)) continue;
+    const match = /^("(?:[^"]|"")*"|`[^`]*`|\[[^\]]*\]|\S+)\s*(.*)$/s.exec(definition);
+    const name = unquoteIdentifier(match[1]);
+    if (/^INTEGER\s+PRIMARY\s+KEY\b/i.test(match[2])) {
+      rowidColumn = name;
+    }
+    columns.push(name);
+  }
+  return {columns, rowidColumn};
+}
+
+async function readRows(database, table) {
+  const rows = [];
+  for await (const {rowid, values} of database.scanTable(table.rootPage)) {
+    const row = {};
+    table.columns.forEach((column, index) => {
+      row[column] = column === table.rowidColumn ? rowid : (values[index] ?? null);
+    });
+    rows.push(row);
+  }
+  return rows;
+}
+
+// ============================================================================
+// GeoPackage
+// ============================================================================
+
+/**
+ * Decodes a GeoPackage geometry blob: a `GP` header with the SRS id and an optional envelope,
+ * followed by WKB. Empty geometries decode to null.
+ */
+export function parseGeoPackageGeometry(blob) {
+  if (!blob || blob.length < 8 || blob[0] !== 0x47 || blob[1] !== 0x50) {
+    return null;
+  }
+  const flags = blob[3];
+  if (flags & 0x10) {
+    return null;
+  }
+  const envelopeBytes = [0, 32, 48, 48, 64][(flags >> 1) & 0x07] ?? 0;
+  return parseWkb(blob, 8 + envelopeBytes);
+}
+
+/**
+ * Opens a GeoPackage and describes one feature table: the first in `gpkg_contents` unless
+ * `tableName` is given.
+ * @returns {Promise<{table: string, geometryColumn: string, srs: string|null, features: () => AsyncGenerator, close: () => Promise<void>}>}
+ */
+export async function openGeoPackage(path, {table: tableName = null} = {}) {
+  const database = await openDatabase(path);
+  try {
+    const tables = new Map();
+    for await (const {values} of database.scanTable(1)) {
+      const [type, name, , rootPage, sql] = values;
+      if (type === 'table' && sql) {
+        tables.set(name, {rootPage, ...parseColumns(sql)});
+      }
+    }
+    const required = (name) => {
+      if (!tables.has(name)) {
+        throw new Error(`${path} is not a GeoPackage (no ${name} table)`);
+      }
+      return tables.get(name);
+    };
+
+    const contents = (await readRows(database, required('gpkg_contents'))).filter(
+      (row) => row.data_type === 'features',
+    );
+    const content = tableName ? contents.find((row) => row.table_name === tableName) : contents[0];
+    if (!content) {
+      const available = contents.map((row) => row.table_name).join(', ') || 'none';
+      throw new Error(
+        tableName
+          ? `GeoPackage has no feature table "${tableName}" (available: ${available})`
+          : `GeoPackage has no feature tables`,
+      );
+    }
+
+    const geometryColumns = await readRows(database, required('gpkg_geometry_columns'));
+    const geometryColumn = geometryColumns.find((row) => row.table_name === content.table_name)?.column_name ?? 'geom';
+    const srsId = content.srs_id ?? geometryColumns.find((row) => row.table_name === content.table_name)?.srs_id;
+    const spatialRefs = tables.has('gpkg_spatial_ref_sys') ? await readRows(database, tables.get('gpkg_spatial_ref_sys')) : [];
+    const spatialRef = spatialRefs.find((row) => row.srs_id === srsId);
+    const srs =
+      spatialRef?.organization?.toUpperCase() === 'EPSG'
+        ? `EPSG:${spatialRef.organization_coordsys_id}`
+        : spatialRef?.definition && spatialRef.definition !== 'undefined'
+          ? spatialRef.definition
+          : null;
+
+    const table = tables.get(content.table_name);
+    if (!table) {
+      throw new Error(`GeoPackage lists feature table "${content.table_name}" but does not contain it`);
+    }
+
+    /**
+     * Yields the table's rows as GeoJSON features in the table's coordinate system. The
+     * INTEGER PRIMARY KEY becomes the feature id; every other column except the geometry is a
+     * property, with BLOBs left out.
+     */
+    async function* features() {
+      for await (const {rowid, values} of database.scanTable(table.rootPage)) {
+        const properties = {};
+        let geometry = null;
+        table.columns.forEach((column, index) => {
+          const value = values[index] ?? null;
+          if (column === geometryColumn) {
+            geometry = parseGeoPackageGeometry(value);
+          } else if (column !== table.rowidColumn && !(value instanceof Uint8Array)) {
+            properties[column] = value;
+          }
+        });
+        yield {type: 'Feature', id: rowid, properties, geometry};
+      }
+    }
+
+    return {table: content.table_name, geometryColumn, srs, features, close: database.close};
+  } catch (error) {
+    await database.close();
+    throw error;
+  }
+}
+
+/**
+ * Yields the features of a GeoPackage feature table (see openGeoPackage) and closes the file.
+ */
+export async function* readGeoPackage(path, options) {
+  const geopackage = await openGeoPackage(path, options);
+  try {
+    yield* geopackage.features();
+  } finally {
+    await geopackage.close();
+  }
+}
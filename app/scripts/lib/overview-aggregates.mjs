@@ -0,0 +1,343 @@
+/**
+ * Overview aggregates for the low zooms, where single buildings are too small to read: buildings
+ * are summarized per grid cell (hexagons or squares of a fixed on-screen size) and per
+ * administrative unit, each carrying count, mean, median and p90 FAR.
+ *
+ * Administrative units come from the PNU itself - digits 1-5 are the 시군구 code and 1-8 the
+ * 읍면동 code - so no boundary data is needed. Units are points at the mean building position
+ * unless boundaries with the same codes are supplied.
+ */
+import {readFeatures} from './feature-input.mjs';
+
+export const GRID_TYPES = ['hex', 'square', 'none'];
+export const OVERVIEW_GRID_LAYER = 'overview_grid';
+export const OVERVIEW_ADMIN_LAYER = 'overview_admin';
+
+// Same attributes and outlier cutoff as the map style, so aggregates agree with the parcels drawn
+const FAR_PROPERTY = 'FAR_prediction';
+const OBSERVED_FAR_PROPERTY = 'a30';
+const FAR_OUTLIER_CUTOFF = 2000;
+const ID_PROPERTY = 'pnu';
+
+// Coarser units at the lower zooms; a zoom uses the first level whose maxzoom it does not exceed
+export const ADMIN_LEVELS = [
+  {level: 'sigungu', codeLength: 5, maxzoom: 10},
+  {level: 'eupmyeondong', codeLength: 8, maxzoom: Infinity},
+];
+
+// Properties of both overview layers, in vector_layers `fields` form
+export const OVERVIEW_FIELDS = {
+  count: 'Float',
+  far_mean: 'Float',
+  far_median: 'Float',
+  far_p90: 'Float',
+  residual_mean: 'Float',
+};
+
+export const ADMIN_FIELDS = {
+  ...OVERVIEW_FIELDS,
+  code: 'String',
+  level: 'String',
+};
+
+// Hexagon circumradius giving the same area as a square cell of side 1
+const HEX_RADIUS = Math.sqrt(2 / (3 * Math.sqrt(3)));
+const SQRT3 = Math.sqrt(3);
+const MAX_LATITUDE = 85.0511287798066;
+
+// ============================================================================
+// Projection
+// ============================================================================
+
+// Web Mercator position in tile units at a zoom with `n` tiles per axis
+function project(lon, lat, n) {
+  const latRad = (Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat)) * Math.PI) / 180;
+  return [
+    ((lon + 180) / 360) * n,
+    ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * n,
+  ];
+}
+
+function unproject(x, y, n) {
+  const lon = (x / n) * 360 - 180;
+  const lat = (Math.atan(Math.sinh(Math.PI * (1 - (2 * y) / n))) * 180) / Math.PI;
+  return [Math.round(lon * 1e7) / 1e7, Math.round(lat * 1e7) / 1e7];
+}
+
+// ============================================================================
+// Collection
+// ============================================================================
+
+function createColumn(ArrayType) {
+  return {values: new ArrayType(1024), length: 0};
+}
+
+function pushValue(column, value) {
+  if (column.length === column.values.length) {
+    const grown = new column.values.constructor(column.values.length * 2);
+    grown.set(column.values);
+    column.values = grown;
+  }
+  column.values[column.length++] = value;
+}
+
+const toNumber = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : NaN);
+
+/**
+ * Keeps what the aggregates need from each building - position, FAR, observed FAR and its
+ * administrative codes - in typed arrays, about 40 bytes per building.
+ */
+export function createOverviewCollector() {
+  const lon = createColumn(Float64Array);
+  const lat = createColumn(Float64Array);
+  const far = createColumn(Float64Array);
+  const observed = createColumn(Float64Array);
+  // Per level: code -> index, and the index of each building's unit (-1 without one)
+  const levels = ADMIN_LEVELS.map(() => ({codes: [], indexes: new Map(), units: createColumn(Int32Array)}));
+
+  /**
+   * Records one building at its representative point. Buildings above the outlier cutoff are
+   * left out, as they are on the map.
+   */
+  function add(longitude, latitude, properties) {
+    const value = toNumber(properties?.[FAR_PROPERTY]);
+    if (value > FAR_OUTLIER_CUTOFF) return;
+
+    pushValue(lon, longitude);
+    pushValue(lat, latitude);
+    pushValue(far, value);
+    pushValue(observed, toNumber(properties?.[OBSERVED_FAR_PROPERTY]));
+
+    const id = properties?.[ID_PROPERTY] == null ? '' : String(properties[ID_PROPERTY]);
+    ADMIN_LEVELS.forEach(({codeLength}, index) => {
+      const {codes, indexes, units} = levels[index];
+      if (id.length < codeLength) {
+        pushValue(units, -1);
+        return;
+      }
+      const code = id.slice(0, codeLength);
+      if (!indexes.has(code)) {
+        indexes.set(code, codes.length);
+        codes.push(code);
+      }
+      pushValue(units, indexes.get(code));
+    });
+  }
+
+  return {
+    add,
+    get size() {
+      return lon.length;
+    },
+    columns: {lon, lat, far, observed},
+    levels,
+  };
+}
+
+// ============================================================================
+// Statistics
+// ============================================================================
+
+function quantileSorted(sorted, p) {
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  if (lower === upper) return sorted[lower];
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+function createGroup() {
+  return {count: 0, far: [], residualSum: 0, residualCount: 0, lonSum: 0, latSum: 0};
+}
+
+function addToGroup(group, columns, index) {
+  const {lon, lat, far, observed} = columns;
+  group.count++;
+  group.lonSum += lon.values[index];
+  group.latSum += lat.values[index];
+  const value = far.values[index];
+  if (Number.isNaN(value)) return;
+  group.far.push(value);
+  const observedValue = observed.values[index];
+  if (!Number.isNaN(observedValue)) {
+    group.residualSum += value - observedValue;
+    group.residualCount++;
+  }
+}
+
+/**
+ * count, mean, median and p90 FAR of a group, plus the mean residual (FAR - a30) where a30 is
+ * known. FAR statistics are omitted when no building in the group has a prediction.
+ */
+function groupProperties(group) {
+  const properties = {count: group.count};
+  if (group.far.length) {
+    const sorted = Float64Array.from(group.far).sort();
+    properties.far_mean = round1(sorted.reduce((sum, value) => sum + value, 0) / sorted.length);
+    properties.far_median = round1(quantileSorted(sorted, 0.5));
+    properties.far_p90 = round1(quantileSorted(sorted, 0.9));
+  }
+  if (group.residualCount) {
+    properties.residual_mean = round1(group.residualSum / group.residualCount);
+  }
+  return properties;
+}
+
+// ============================================================================
+// Grid Cells
+// ============================================================================
+
+// Axial coordinates of the pointy-top hexagon containing (x, y), in units of the cell size
+function hexCell(x, y) {
+  const q = ((SQRT3 / 3) * x - y / 3) / HEX_RADIUS;
+  const r = ((2 / 3) * y) / HEX_RADIUS;
+  // Cube rounding: round all three coordinates and fix the one that moved most
+  const s = -q - r;
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  const rs = Math.round(s);
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs - s);
+  if (dq > dr && dq > ds) {
+    rq = -rr - rs;
+  } else if (dr > ds) {
+    rr = -rq - rs;
+  }
+  return [rq, rr];
+}
+
+function hexRing(q, r) {
+  const centerX = HEX_RADIUS * SQRT3 * (q + r / 2);
+  const centerY = HEX_RADIUS * 1.5 * r;
+  return Array.from({length: 6}, (_, corner) => {
+    const angle = (Math.PI / 180) * (60 * corner - 30);
+    return [centerX + HEX_RADIUS * Math.cos(angle), centerY + HEX_RADIUS * Math.sin(angle)];
+  });
+}
+
+const squareRing = (column, row) => [
+  [column, row],
+  [column + 1, row],
+  [column + 1, row + 1],
+  [column, row + 1],
+];
+
+/**
+ * Grid cell features for one zoom. Cells are `1 / gridSize` of a tile across at `zoom`, so they
+ * keep the same size on screen from zoom to zoom; only cells holding buildings are emitted.
+ * @param {ReturnType<typeof createOverviewCollector>} collector
+ * @param {number} zoom
+ * @param {{grid: 'hex'|'square', gridSize: number}} options
+ * @returns {object[]} GeoJSON Polygon features
+ */
+export function gridFeatures(collector, zoom, {grid, gridSize}) {
+  const {columns} = collector;
+  const n = 2 ** zoom;
+  const cellsPerAxis = n * gridSize;
+  const groups = new Map();
+
+  for (let index = 0; index < collector.size; index++) {
+    const [x, y] = project(columns.lon.values[index], columns.lat.values[index], cellsPerAxis);
+    const [a, b] = grid === 'hex' ? hexCell(x, y) : [Math.floor(x), Math.floor(y)];
+    const key = `${a},${b}`;
+    if (!groups.has(key)) {
+      groups.set(key, {cell: [a, b], ...createGroup()});
+    }
+    addToGroup(groups.get(key), columns, index);
+  }
+
+  return [...groups.values()].map((group) => {
+    const ring = grid === 'hex' ? hexRing(...group.cell) : squareRing(...group.cell);
+    const coordinates = ring.map(([x, y]) => unproject(x, y, cellsPerAxis));
+    coordinates.push(coordinates[0]);
+    return {
+      type: 'Feature',
+      properties: groupProperties(group),
+      // Rings are built clockwise; GeoJSON exterior rings run counter-clockwise
+      geometry: {type: 'Polygon', coordinates: [coordinates.reverse()]},
+    };
+  });
+}
+
+// ============================================================================
+// Administrative Units
+// ============================================================================
+
+/**
+ * The admin level shown at `zoom`.
+ */
+export function adminLevelForZoom(zoom) {
+  return ADMIN_LEVELS.find(({maxzoom}) => zoom <= maxzoom);
+}
+
+// 10-digit 법정동 codes end in the 리 digits, which PNU-derived 읍면동 codes leave out
+function normalizeAdminCode(value) {
+  const code = String(value ?? '').trim();
+  return code.length === 10 && code.endsWith('00') ? code.slice(0, 8) : code;
+}
+
+/**
+ * Reads administrative boundaries (any input format, e.g. the 시군구 shapefile with its `.prj`)
+ * into a code -> geometry map in WGS84. `field` is the property holding the 시군구 (5-digit) or
+ * 읍면동 (8- or 10-digit) code; other codes are skipped.
+ * @returns {Promise<{boundaries: Map<string, object>, skipped: number}>}
+ */
+export async function readAdminBoundaries(path, field) {
+  const lengths = new Set(ADMIN_LEVELS.map(({codeLength}) => codeLength));
+  const boundaries = new Map();
+  let skipped = 0;
+
+  for await (const feature of readFeatures(path)) {
+    const code = normalizeAdminCode(feature?.properties?.[field]);
+    const type = feature?.geometry?.type;
+    if (!lengths.has(code.length) || (type !== 'Polygon' && type !== 'MultiPolygon')) {
+      skipped++;
+      continue;
+    }
+    boundaries.set(code, feature.geometry);
+  }
+
+  return {boundaries, skipped};
+}
+
+/**
+ * Administrative unit features for one zoom: the boundary polygon when `boundaries` has the
+ * unit's code, otherwise a point at the mean position of its buildings.
+ * @param {ReturnType<typeof createOverviewCollector>} collector
+ * @param {number} zoom
+ * @param {Map<string, object>} [boundaries]
+ * @returns {object[]} GeoJSON features
+ */
+export function adminFeatures(collector, zoom, boundaries = new Map()) {
+  const levelIndex = ADMIN_LEVELS.indexOf(adminLevelForZoom(zoom));
+  if (levelIndex === -1) return [];
+
+  const {level} = ADMIN_LEVELS[levelIndex];
+  const {codes, units} = collector.levels[levelIndex];
+  const groups = codes.map(() => createGroup());
+  for (let index = 0; index < collector.size; index++) {
+    const unit = units.values[index];
+    if (unit !== -1) {
+      addToGroup(groups[unit], collector.columns, index);
+    }
+  }
+
+  return groups.map((group, unit) => {
+    const code = codes[unit];
+    const geometry = boundaries.get(code) ?? {
+      type: 'Point',
+      coordinates: [
+        Math.round((group.lonSum / group.count) * 1e6) / 1e6,
+        Math.round((group.latSum / group.count) * 1e6) / 1e6,
+      ],
+    };
+    return {
+      type: 'Feature',
+      properties: {code, level, ...groupProperties(group)},
+      geometry,
+    };
+  });
+}
@@ -0,0 +1,306 @@
+/**
+ * In-memory request metrics and leveled logging for the PMTiles handlers.
+ *
+ * Metrics are per process and reset on restart; `/pmtiles/_stats` serves them as JSON or in the
+ * Prometheus text exposition format.
+ */
+
+// Latency histogram upper bounds, in milliseconds
+const LATENCY_BUCKETS_MS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000];
+// Distinct tiles tracked for the top-tiles list before rarely requested ones are dropped
+const MAX_TRACKED_TILES = 10000;
+const TOP_TILES = 20;
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// ============================================================================
+// Logging
+// ============================================================================
+
+/**
+ * Wraps a `{info, warn, error}` logger (Vite's or the standalone server's) with a minimum level
+ * and a per-level rate limit. Messages over `maxPerInterval` within `intervalMs` are dropped and
+ * summarized once the interval has passed. `debug` messages go to `logger.debug` when the logger
+ * has one (Vite's does not) and to `logger.info` otherwise.
+ */
+export function createLeveledLogger(logger, {level = 'info', maxPerInterval = 20, intervalMs = 10000} = {}) {
+  const minimum = LOG_LEVELS.indexOf(level);
+  if (minimum === -1) {
+    throw new Error(`Unknown log level "${level}"; expected one of ${LOG_LEVELS.join(', ')}`);
+  }
+
+  const windows = new Map();
+
+  const write = (name, msg, fields) => {
+    const target = logger[name] ?? logger.info;
+    if (fields === undefined) {
+      target.call(logger, msg);
+    } else {
+      target.call(logger, msg, fields);
+    }
+  };
+
+  const log = (name) => (msg, fields) => {
+    if (LOG_LEVELS.indexOf(name) < minimum) {
+      return;
+    }
+
+    const now = Date.now();
+    let window = windows.get(name);
+    if (!window || now - window.start >= intervalMs) {
+      if (window?.suppressed) {
+        write(name, `[pmtiles] ${window.suppressed} ${name} message(s) suppressed in the last ${intervalMs}ms`);
+      }
+      window = {start: now, count: 0, suppressed: 0};
+      windows.set(name, window);
+    }
+
+    window.count++;
+    if (window.count > maxPerInterval) {
+      window.suppressed++;
+      return;
+    }
+    write(name, msg, fields);
+  };
+
+  return {debug: log('debug'), info: log('info'), warn: log('warn'), error: log('error')};
+}
+
+// ============================================================================
+// Metrics
+// ============================================================================
+
+function createHistogram() {
+  return {buckets: LATENCY_BUCKETS_MS.map(() => 0), count: 0, sumMs: 0};
+}
+
+function observe(histogram, durationMs) {
+  histogram.count++;
+  histogram.sumMs += durationMs;
+  LATENCY_BUCKETS_MS.forEach((bound, index) => {
+    if (durationMs <= bound) {
+      histogram.buckets[index]++;
+    }
+  });
+}
+
+// Estimated latency quantile from cumulative buckets (upper bound of the bucket it falls in)
+function histogramQuantile(histogram, quantile) {
+  if (!histogram.count) {
+    return null;
+  }
+  const rank = quantile * histogram.count;
+  const index = histogram.buckets.findIndex((count) => count >= rank);
+  return index === -1 ? Infinity : LATENCY_BUCKETS_MS[index];
+}
+
+const ratio = (hits, misses) => (hits + misses ? hits / (hits + misses) : null);
+
+/**
+ * Creates the metrics registry shared by every archive handler of one server.
+ */
+export function createMetrics() {
+  const startedAt = Date.now();
+  // `${tileset}\t${route}\t${zoom}\t${status}` -> count
+  const requests = new Map();
+  // `${tileset}\t${route}` -> {bytes, latency}
+  const routes = new Map();
+  // tileset -> {hits, misses} for conditional requests answered with 304
+  const revalidations = new Map();
+  // tileset -> {hits, misses} for the server-side tile cache
+  const caches = new Map();
+  const tiles = new Map();
+
+  const counterFor = (map, tileset) => {
+    if (!map.has(tileset)) {
+      map.set(tileset, {hits: 0, misses: 0});
+    }
+    return map.get(tileset);
+  };
+
+  const trackTile = (key) => {
+    tiles.set(key, (tiles.get(key) ?? 0) + 1);
+    if (tiles.size > MAX_TRACKED_TILES) {
+      // Keep the map bounded: forget tiles requested only once
+      tiles.forEach((count, tileKey) => {
+        if (count <= 1) {
+          tiles.delete(tileKey);
+        }
+      });
+    }
+  };
+
+  /**
+   * Records one finished request. `zoom` and `tile` (`z/x/y`) are set for tile requests only.
+   */
+  function recordRequest({tileset, route, status, bytes = 0, durationMs, zoom = null, tile = null}) {
+    const requestKey = [tileset, route, zoom ?? '', status].join('\t');
+    requests.set(requestKey, (requests.get(requestKey) ?? 0) + 1);
+
+    const routeKey = `${tileset}\t${route}`;
+    if (!routes.has(routeKey)) {
+      routes.set(routeKey, {bytes: 0, latency: createHistogram()});
+    }
+    const entry = routes.get(routeKey);
+    entry.bytes += bytes;
+    observe(entry.latency, durationMs);
+
+    if (route === 'tile' && (status === 200 || status === 304)) {
+      const counter = counterFor(revalidations, tileset);
+      if (status === 304) {
+        counter.hits++;
+      } else {
+        counter.misses++;
+      }
+      if (tile) {
+        trackTile(`${tileset}/${tile}`);
+      }
+    }
+  }
+
+  /**
+   * Records a lookup in a server-side cache (tile bytes, directory pages) for the hit ratio.
+   */
+  function recordCacheLookup(tileset, hit) {
+    const counter = counterFor(caches, tileset);
+    if (hit) {
+      counter.hits++;
+    } else {
+      counter.misses++;
+    }
+  }
+
+  function snapshot() {
+    const tilesets = {};
+    const tilesetEntry = (tileset) => {
+      if (!tilesets[tileset]) {
+        tilesets[tileset] = {requests: 0, bytes: 0, byRoute: {}, byZoom: {}, byStatus: {}};
+      }
+      return tilesets[tileset];
+    };
+
+    requests.forEach((count, key) => {
+      const [tileset, route, zoom, status] = key.split('\t');
+      const entry = tilesetEntry(tileset);
+      entry.requests += count;
+      entry.byStatus[status] = (entry.byStatus[status] ?? 0) + count;
+      if (zoom !== '') {
+        entry.byZoom[zoom] = (entry.byZoom[zoom] ?? 0) + count;
+      }
+    });
+
+    routes.forEach(({bytes, latency}, key) => {
+      const [tileset, route] = key.split('\t');
+      const entry = tilesetEntry(tileset);
+      entry.bytes += bytes;
+      entry.byRoute[route] = {
+        requests: latency.count,
+        bytes,
+        latencyMs: {
+          mean: latency.count ? latency.sumMs / latency.count : null,
+          p50: histogramQuantile(latency, 0.5),
+          p90: histogramQuantile(latency, 0.9),
+          p99: histogramQuantile(latency, 0.99),
+          buckets: Object.fromEntries(LATENCY_BUCKETS_MS.map((bound, index) => [bound, latency.buckets[index]])),
+        },
+      };
+    });
+
+    Object.entries(tilesets).forEach(([tileset, entry]) => {
+      const revalidation = revalidations.get(tileset) ?? {hits: 0, misses: 0};
+      const cache = caches.get(tileset) ?? {hits: 0, misses: 0};
+      entry.revalidation = {...revalidation, ratio: ratio(revalidation.hits, revalidation.misses)};
+      entry.cache = {...cache, ratio: ratio(cache.hits, cache.misses)};
+    });
+
+    const topTiles = [...tiles.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_TILES)
+      .map(([tile, count]) => ({tile, count}));
+
+    return {
+      startedAt: new Date(startedAt).toISOString(),
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+      tilesets,
+      topTiles,
+    };
+  }
+
+  function toPrometheus() {
+    const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    const labels = (entries) =>
+      `{${Object.entries(entries)
+        .map(([name, value]) => `${name}="${escape(value)}"`)
+        .join(',')}}`;
+    const lines = [];
+
+    lines.push('# HELP pmtiles_requests_total Requests served, by tileset, route, zoom and status.');
+    lines.push('# TYPE pmtiles_requests_total counter');
+    requests.forEach((count, key) => {
+      const [tileset, route, zoom, status] = key.split('\t');
+      lines.push(`pmtiles_requests_total${labels({tileset, route, zoom, status})} ${count}`);
+    });
+
+    lines.push('# HELP pmtiles_response_bytes_total Response body bytes, by tileset and route.');
+    lines.push('# TYPE pmtiles_response_bytes_total counter');
+    routes.forEach(({bytes}, key) => {
+      const [tileset, route] = key.split('\t');
+      lines.push(`pmtiles_response_bytes_total${labels({tileset, route})} ${bytes}`);
+    });
+
+    lines.push('# HELP pmtiles_request_duration_seconds Request latency, by tileset and route.');
+    lines.push('# TYPE pmtiles_request_duration_seconds histogram');
+    routes.forEach(({latency}, key) => {
+      const [tileset, route] = key.split('\t');
+      LATENCY_BUCKETS_MS.forEach((bound, index) => {
+        lines.push(
+          `pmtiles_request_duration_seconds_bucket${labels({tileset, route, le: bound / 1000})} ${latency.buckets[index]}`,
+        );
+      });
+      lines.push(`pmtiles_request_duration_seconds_bucket${labels({tileset, route, le: '+Inf'})} ${latency.count}`);
+      lines.push(`pmtiles_request_duration_seconds_sum${labels({tileset, route})} ${latency.sumMs / 1000}`);
+      lines.push(`pmtiles_request_duration_seconds_count${labels({tileset, route})} ${latency.count}`);
+    });
+
+    lines.push('# HELP pmtiles_cache_lookups_total Server-side tile cache lookups, by tileset and result.');
+    lines.push('# TYPE pmtiles_cache_lookups_total counter');
+    caches.forEach(({hits, misses}, tileset) => {
+      lines.push(`pmtiles_cache_lookups_total${labels({tileset, result: 'hit'})} ${hits}`);
+      lines.push(`pmtiles_cache_lookups_total${labels({tileset, result: 'miss'})} ${misses}`);
+    });
+
+    lines.push('# HELP pmtiles_tile_revalidations_total Tile responses by conditional-request outcome (304 = not_modified).');
+    lines.push('# TYPE pmtiles_tile_revalidations_total counter');
+    revalidations.forEach(({hits, misses}, tileset) => {
+      lines.push(`pmtiles_tile_revalidations_total${labels({tileset, result: 'not_modified'})} ${hits}`);
+      lines.push(`pmtiles_tile_revalidations_total${labels({tileset, result: 'full'})} ${misses}`);
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  return {recordRequest, recordCacheLookup, snapshot, toPrometheus};
+}
+
+/**
+ * Middleware for `/pmtiles/_stats`: JSON by default, Prometheus text for `?format=prometheus`
+ * or scrapers that ask for `text/plain` / OpenMetrics.
+ */
+export function createStatsMiddleware(metrics) {
+  return (req, res) => {
+    const {searchParams} = new URL(req.url ?? '/', 'http://localhost');
+    const accept = String(req.headers.accept ?? '');
+    const prometheus =
+      searchParams.get('format') === 'prometheus' ||
+      (!searchParams.has('format') && /text\/plain|openmetrics/.test(accept) && !accept.includes('application/json'));
+
+    res.setHeader('Cache-Control', 'no-store');
+    if (prometheus) {
+      res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.end(metrics.toPrometheus());
+      return;
+    }
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(metrics.snapshot()));
+  };
+}
@@ -0,0 +1,448 @@
+/**
+ * Feature queries over a PMTiles vector archive, used by the `/pmtiles/{id}/features` routes,
+ * and attribute filtering of single tiles for the filtered tile route.
+ *
+ * Features are decoded from the archive's most detailed zoom with `decodeTile`/`extractFeatures`,
+ * so geometries are the tiled ones: parcels crossing a tile edge come back clipped to the tile
+ * (plus its buffer) they were first found in. Each feature is returned once, keyed by its id
+ * property (`pnu` for the buildings archive).
+ */
+import {createHash} from 'node:crypto';
+import vtpbf from 'vt-pbf';
+import {decodeTile, extractFeatures} from './pmtiles-utils.mjs';
+
+// Same property names as src/pmtilesStyle.js
+const FAR_PROPERTY = 'FAR_prediction';
+const ID_PROPERTY = 'pnu';
+
+export const DEFAULT_QUERY_LIMIT = 1000;
+export const MAX_QUERY_LIMIT = 10000;
+// Upper bound on tiles decoded per request; larger areas must be split into several bboxes
+export const MAX_QUERY_TILES = 4096;
+
+const PNU_PATTERN = /^\d{19}$/;
+const FILTER_PATTERN = /^([\w.:-]+)(>=|<=|==|!=|\^=|\*=|>|<)(.*)$/;
+
+/**
+ * Invalid query parameters; the middleware answers these with `status` and the message.
+ */
+export class QueryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'QueryError';
+    this.status = status;
+  }
+}
+
+// ============================================================================
+// Parameter Parsing
+// ============================================================================
+
+function parseNumberParam(params, name) {
+  const raw = params.get(name);
+  if (raw === null || raw.trim() === '') {
+    return null;
+  }
+  const value = Number(raw);
+  if (!Number.isFinite(value)) {
+    throw new QueryError(`Expected a number for ${name}, got: ${raw}`);
+  }
+  return value;
+}
+
+function parseBbox(raw) {
+  if (raw === null) {
+    return null;
+  }
+  const bbox = raw.split(',').map(Number);
+  const [minLon, minLat, maxLon, maxLat] = bbox;
+  if (
+    bbox.length !== 4 ||
+    !bbox.every(Number.isFinite) ||
+    minLon > maxLon ||
+    minLat > maxLat ||
+    Math.abs(minLat) > 85.0511 ||
+    Math.abs(maxLat) > 85.0511 ||
+    Math.abs(minLon) > 180 ||
+    Math.abs(maxLon) > 180
+  ) {
+    throw new QueryError('bbox must be minLon,minLat,maxLon,maxLat in WGS84 degrees');
+  }
+  return bbox;
+}
+
+function parseFieldFilter(raw) {
+  const match = FILTER_PATTERN.exec(raw);
+  if (!match) {
+    throw new QueryError(`Invalid filter "${raw}"; expected <field><op><value> with op one of >= <= == != > < ^= *=`);
+  }
+  const [, field, operator, value] = match;
+  return {field, operator, value};
+}
+
+/**
+ * Attribute conditions shared by the feature query and the filtered tile routes:
+ * `far_min`, `far_max`, `pnu_prefix` and any number of `filter=<field><op><value>`
+ * (`^=` starts with, `*=` contains; numeric comparison when both sides are numbers).
+ * @param {URLSearchParams} params
+ * @returns {{field: string, operator: string, value: string|number}[]}
+ */
+export function parseAttributeFilters(params) {
+  const conditions = [];
+
+  const farMin = parseNumberParam(params, 'far_min');
+  if (farMin !== null) {
+    conditions.push({field: FAR_PROPERTY, operator: '>=', value: farMin});
+  }
+  const farMax = parseNumberParam(params, 'far_max');
+  if (farMax !== null) {
+    conditions.push({field: FAR_PROPERTY, operator: '<=', value: farMax});
+  }
+
+  const pnuPrefix = params.get('pnu_prefix');
+  if (pnuPrefix) {
+    if (!/^\d{1,19}$/.test(pnuPrefix)) {
+      throw new QueryError('pnu_prefix must be 1-19 digits');
+    }
+    conditions.push({field: ID_PROPERTY, operator: '^=', value: pnuPrefix});
+  }
+
+  params.getAll('filter').forEach((raw) => conditions.push(parseFieldFilter(raw)));
+  return conditions;
+}
+
+/**
+ * Parses the `/features` query string. Throws `QueryError` for invalid values.
+ */
+export function parseFeatureQuery(params) {
+  const limit = parseNumberParam(params, 'limit') ?? DEFAULT_QUERY_LIMIT;
+  const offset = parseNumberParam(params, 'offset') ?? 0;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUERY_LIMIT) {
+    throw new QueryError(`limit must be an integer between 1 and ${MAX_QUERY_LIMIT}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new QueryError('offset must be a non-negative integer');
+  }
+
+  const format = (params.get('format') ?? 'geojson').toLowerCase();
+  if (format !== 'geojson' && format !== 'csv') {
+    throw new QueryError('format must be geojson or csv');
+  }
+
+  return {
+    bbox: parseBbox(params.get('bbox')),
+    conditions: parseAttributeFilters(params),
+    layer: params.get('layer') || null,
+    format,
+    limit,
+    offset,
+  };
+}
+
+// ============================================================================
+// Matching
+// ============================================================================
+
+function compare(actual, operator, expected) {
+  if (actual === null || actual === undefined) {
+    return operator === '!=';
+  }
+
+  if (operator === '^=') {
+    return String(actual).startsWith(String(expected));
+  }
+  if (operator === '*=') {
+    return String(actual).includes(String(expected));
+  }
+
+  const numericActual = typeof actual === 'number' ? actual : Number(actual);
+  const numericExpected = typeof expected === 'number' ? expected : Number(expected);
+  const numeric = Number.isFinite(numericActual) && Number.isFinite(numericExpected) && String(expected).trim() !== '';
+  const left = numeric ? numericActual : String(actual);
+  const right = numeric ? numericExpected : String(expected);
+
+  switch (operator) {
+    case '>=':
+      return left >= right;
+    case '<=':
+      return left <= right;
+    case '>':
+      return left > right;
+    case '<':
+      return left < right;
+    case '!=':
+      return left !== right;
+    default:
+      return left === right;
+  }
+}
+
+/**
+ * Builds a predicate over feature properties that passes when every condition holds.
+ */
+export function createPropertiesPredicate(conditions) {
+  if (!conditions.length) {
+    return () => true;
+  }
+  return (properties = {}) =>
+    conditions.every(({field, operator, value}) => compare(properties[field], operator, value));
+}
+
+function geometryBounds(geometry) {
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+  const visit = (coordinates) => {
+    if (typeof coordinates[0] === 'number') {
+      bounds[0] = Math.min(bounds[0], coordinates[0]);
+      bounds[1] = Math.min(bounds[1], coordinates[1]);
+      bounds[2] = Math.max(bounds[2], coordinates[0]);
+      bounds[3] = Math.max(bounds[3], coordinates[1]);
+      return;
+    }
+    coordinates.forEach(visit);
+  };
+  visit(geometry.coordinates);
+  return bounds;
+}
+
+/**
+ * Short stable key for a set of conditions, for cache keys and ETags.
+ */
+export function conditionsKey(conditions) {
+  const canonical = conditions.map(({field, operator, value}) => `${field}${operator}${value}`).sort();
+  return createHash('sha1').update(JSON.stringify(canonical)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Re-encodes a decompressed vector tile with only the features whose properties match
+ * `conditions`. Layers without matches are dropped; returns null when nothing matches.
+ * @param {ArrayBuffer|Uint8Array} data - Decompressed MVT bytes
+ * @returns {Uint8Array|null}
+ */
+export function filterTile(data, conditions) {
+  const matches = createPropertiesPredicate(conditions);
+  const vectorTile = decodeTile(data);
+  const layers = {};
+
+  Object.values(vectorTile.layers).forEach((layer) => {
+    const kept = [];
+    for (let i = 0; i < layer.length; i++) {
+      if (matches(layer.feature(i).properties)) {
+        kept.push(i);
+      }
+    }
+    if (kept.length) {
+      // vt-pbf only needs the VectorTileLayer surface, so wrap the original layer instead of copying
+      layers[layer.name] = {
+        name: layer.name,
+        version: layer.version,
+        extent: layer.extent,
+        length: kept.length,
+        feature: (index) => layer.feature(kept[index]),
+      };
+    }
+  });
+
+  return Object.keys(layers).length ? vtpbf({layers}) : null;
+}
+
+const boundsIntersect = (a, b) => a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+
+// ============================================================================
+// Tile Scanning
+// ============================================================================
+
+function lonToTileX(lon, z) {
+  return Math.floor(((lon + 180) / 360) * 2 ** z);
+}
+
+function latToTileY(lat, z) {
+  const radians = (lat * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2) * 2 ** z);
+}
+
+/**
+ * Tile coordinates at zoom `z` covering a bbox, row by row from the north-west corner.
+ */
+export function tilesForBbox([minLon, minLat, maxLon, maxLat], z) {
+  const max = 2 ** z - 1;
+  const clamp = (value) => Math.min(max, Math.max(0, value));
+  const minX = clamp(lonToTileX(minLon, z));
+  const maxX = clamp(lonToTileX(maxLon, z));
+  const minY = clamp(latToTileY(maxLat, z));
+  const maxY = clamp(latToTileY(minLat, z));
+
+  const count = (maxX - minX + 1) * (maxY - minY + 1);
+  if (count > MAX_QUERY_TILES) {
+    throw new QueryError(`Query covers ${count} tiles at z${z}; narrow the bbox (limit ${MAX_QUERY_TILES})`);
+  }
+
+  const tiles = [];
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      tiles.push({z, x, y});
+    }
+  }
+  return tiles;
+}
+
+// Layer queried when none is named: the first one the archive declares, which the builder keeps
+// for the parcels ahead of its overview layers. Null (a tile's first layer) without metadata.
+async function defaultLayerName(archive) {
+  const metadata = await archive.getMetadata().catch(() => null);
+  const [first] = Array.isArray(metadata?.vector_layers) ? metadata.vector_layers : [];
+  return first?.id ?? null;
+}
+
+async function readTileFeatures(archive, {z, x, y}, layerName) {
+  const tile = await archive.getZxy(z, x, y);
+  if (!tile?.data) {
+    return [];
+  }
+  const vectorTile = decodeTile(tile.data);
+  const layer = vectorTile.layers[layerName ?? Object.keys(vectorTile.layers)[0]];
+  return layer ? extractFeatures(layer, x, y, z) : [];
+}
+
+const featureKey = (feature) => feature.properties?.[ID_PROPERTY] ?? feature.id ?? null;
+
+/**
+ * Runs a feature query against an open archive. Scans the tiles covering `bbox` (the whole
+ * archive when omitted) at its max zoom and stops as soon as the requested page is known.
+ *
+ * @param {PMTiles} archive - Open archive
+ * @param {object} query - Result of `parseFeatureQuery`
+ * @returns {Promise<{features: object[], hasMore: boolean}>}
+ */
+export async function queryFeatures(archive, {bbox, conditions, layer, limit, offset}) {
+  const header = await archive.getHeader();
+  const archiveBounds = [header.minLon, header.minLat, header.maxLon, header.maxLat];
+  if (bbox && !boundsIntersect(bbox, archiveBounds)) {
+    return {features: [], hasMore: false};
+  }
+
+  const matches = createPropertiesPredicate(conditions);
+  // Only the part of the bbox the archive covers needs scanning
+  const area = bbox
+    ? [
+        Math.max(bbox[0], archiveBounds[0]),
+        Math.max(bbox[1], archiveBounds[1]),
+        Math.min(bbox[2], archiveBounds[2]),
+        Math.min(bbox[3], archiveBounds[3]),
+      ]
+    : archiveBounds;
+  const wanted = offset + limit + 1;
+  const seen = new Set();
+  const found = [];
+  const layerName = layer ?? (await defaultLayerName(archive));
+
+  for (const coords of tilesForBbox(area, header.maxZoom)) {
+    const features = await readTileFeatures(archive, coords, layerName);
+    for (const feature of features) {
+      const key = featureKey(feature);
+      if (key !== null && seen.has(key)) {
+        continue;
+      }
+      if (!feature.geometry || !matches(feature.properties)) {
+        continue;
+      }
+      if (bbox && !boundsIntersect(geometryBounds(feature.geometry), bbox)) {
+        continue;
+      }
+      if (key !== null) {
+        seen.add(key);
+      }
+      found.push(feature);
+      if (found.length >= wanted) {
+        return {features: found.slice(offset, offset + limit), hasMore: true};
+      }
+    }
+  }
+
+  return {features: found.slice(offset, offset + limit), hasMore: false};
+}
+
+/**
+ * Looks up one feature by PNU using the archive's PNU index entry `[pnu, longitude, latitude]`.
+ * Returns null when the tile at that point does not contain the parcel.
+ */
+export async function lookupFeature(archive, {pnu, longitude, latitude}, {layer = null} = {}) {
+  if (!PNU_PATTERN.test(pnu)) {
+    throw new QueryError('PNU must be 19 digits');
+  }
+  const header = await archive.getHeader();
+  const z = header.maxZoom;
+  const features = await readTileFeatures(
+    archive,
+    {z, x: lonToTileX(longitude, z), y: latToTileY(latitude, z)},
+    layer ?? (await defaultLayerName(archive)),
+  );
+  return features.find((feature) => String(featureKey(feature)) === pnu) ?? null;
+}
+
+// ============================================================================
+// Output
+// ============================================================================
+
+const formatPosition = ([lon, lat]) => `${lon} ${lat}`;
+const formatRing = (ring) => `(${ring.map(formatPosition).join(', ')})`;
+const formatPolygon = (rings) => `(${rings.map(formatRing).join(', ')})`;
+
+/**
+ * Well-known text for a GeoJSON geometry.
+ */
+export function geometryToWkt(geometry) {
+  const {type, coordinates} = geometry;
+  switch (type) {
+    case 'Point':
+      return `POINT (${formatPosition(coordinates)})`;
+    case 'MultiPoint':
+      return `MULTIPOINT (${coordinates.map((point) => `(${formatPosition(point)})`).join(', ')})`;
+    case 'LineString':
+      return `LINESTRING ${formatRing(coordinates)}`;
+    case 'MultiLineString':
+      return `MULTILINESTRING (${coordinates.map(formatRing).join(', ')})`;
+    case 'Polygon':
+      return `POLYGON ${formatPolygon(coordinates)}`;
+    case 'MultiPolygon':
+      return `MULTIPOLYGON (${coordinates.map(formatPolygon).join(', ')})`;
+    default:
+      return '';
+  }
+}
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV with one column per property (in first-seen order), the bbox center as
+ * longitude/latitude for spreadsheets and the geometry as WKT for GIS tools.
+ */
+export function featuresToCsv(features) {
+  const columns = [];
+  const known = new Set();
+  features.forEach(({properties = {}}) => {
+    Object.keys(properties).forEach((key) => {
+      if (!known.has(key)) {
+        known.add(key);
+        columns.push(key);
+      }
+    });
+  });
+
+  const rows = features.map((feature) => {
+    const [minLon, minLat, maxLon, maxLat] = geometryBounds(feature.geometry);
+    return [
+      ...columns.map((column) => escapeCsv(feature.properties?.[column])),
+      (minLon + maxLon) / 2,
+      (minLat + maxLat) / 2,
+      escapeCsv(geometryToWkt(feature.geometry)),
+    ].join(',');
+  });
+
+  return [[...columns, 'longitude', 'latitude', 'wkt'].map(escapeCsv).join(','), ...rows].join('\r\n');
+}
@@ -0,0 +1,999 @@
+/**
+ * PMTiles HTTP handlers shared by the Vite dev/preview plugin and the standalone tile server.
+ *
+ * `/pmtiles/index.json` lists every archive (see `createCatalogMiddleware`), `/pmtiles/_stats`
+ * reports request metrics (see pmtiles-metrics.mjs), and each archive is served under
+ * `/pmtiles/{id}` with:
+ *   /{z}/{x}/{y}.pbf   vector tiles; attribute filters (`far_min`, `far_max`, `pnu_prefix`, `filter`)
+ *                      re-encode the tile with only the matching features
+ *   /metadata.json     archive metadata
+ *   /summary.json      build summary written by buildBuildingsPmtiles.mjs (optional)
+ *   /pnu/{prefix}.json PNU lookup shards (optional)
+ *   /features          feature query by bbox and attributes, as GeoJSON or CSV (see pmtiles-query.mjs)
+ *   /features/{pnu}    single parcel lookup (needs the PNU index)
+ *   /archive.pmtiles   the archive itself, with HTTP Range support for `pmtiles://` clients
+ */
+import {createReadStream, existsSync, readdirSync, readFileSync} from 'node:fs';
+import {readFile, stat} from 'node:fs/promises';
+import {basename, dirname, resolve} from 'node:path';
+import {Buffer} from 'node:buffer';
+import {pipeline} from 'node:stream/promises';
+import {promisify} from 'node:util';
+import {brotliDecompress, gunzip, gzip} from 'node:zlib';
+import {Compression, TileType} from 'pmtiles';
+import {ByteLruCache, openArchive} from './pmtiles-source.mjs';
+import {readRawTile} from './pmtiles-utils.mjs';
+import {createLeveledLogger, createMetrics} from './pmtiles-metrics.mjs';
+import {
+  QueryError,
+  conditionsKey,
+  featuresToCsv,
+  filterTile,
+  lookupFeature,
+  parseAttributeFilters,
+  parseFeatureQuery,
+  queryFeatures,
+} from './pmtiles-query.mjs';
+
+const ARCHIVE_ID_PATTERN = /^[\w-]+$/;
+// Must match PNU_SHARD_PREFIX_LENGTH in buildBuildingsPmtiles.mjs
+const PNU_SHARD_PREFIX_LENGTH = 5;
+
+// Rebuilds write archives in several chunks; wait for the writes to settle before reopening
+const RELOAD_DEBOUNCE_MS = 500;
+// Tile reads already in flight keep using the replaced source for this long before it is closed
+const SOURCE_CLOSE_GRACE_MS = 5000;
+// Memory for raw tiles and directory pages, shared by every archive of one server
+const DEFAULT_CACHE_BYTES = 64 * 1024 * 1024;
+
+// HTTP content-coding for each PMTiles tile compression
+const CONTENT_ENCODINGS = {
+  [Compression.Gzip]: 'gzip',
+  [Compression.Brotli]: 'br',
+  [Compression.Zstd]: 'zstd',
+};
+
+const TILE_TYPES = {
+  [TileType.Mvt]: 'mvt',
+  [TileType.Png]: 'png',
+  [TileType.Jpeg]: 'jpeg',
+  [TileType.Webp]: 'webp',
+  [TileType.Avif]: 'avif',
+};
+
+// Node 20 has no zstd decoder; zstd tiles are only served to clients that accept them
+const DECODERS = {
+  gzip: promisify(gunzip),
+  br: promisify(brotliDecompress),
+};
+
+const compressGzip = promisify(gzip);
+
+const errorMessage = (error) => (error instanceof Error ? error.message : error);
+
+/**
+ * Whether an Accept-Encoding header allows `encoding` (explicitly or via `*`) with q > 0.
+ */
+export function acceptsEncoding(acceptEncoding, encoding) {
+  if (!acceptEncoding) {
+    return false;
+  }
+
+  let wildcard = false;
+  for (const part of String(acceptEncoding).split(',')) {
+    const [token, ...params] = part.trim().toLowerCase().split(';');
+    const qParam = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+    const allowed = qParam ? Number(qParam.slice(2)) > 0 : true;
+    if (token === encoding) {
+      return allowed;
+    }
+    if (token === '*') {
+      wildcard = allowed;
+    }
+  }
+  return wildcard;
+}
+
+/**
+ * Whether an If-None-Match header matches `etag` (weak comparison, as RFC 9110 requires for
+ * If-None-Match).
+ */
+export function matchesEtag(ifNoneMatch, etag) {
+  if (!ifNoneMatch) {
+    return false;
+  }
+  const opaque = (value) => value.trim().replace(/^W\//, '');
+  return String(ifNoneMatch)
+    .split(',')
+    .some((candidate) => candidate.trim() === '*' || opaque(candidate) === opaque(etag));
+}
+
+/**
+ * Parses a single-range `Range: bytes=...` header against a file size.
+ * Returns `{start, end}` (inclusive), `null` when the header should be ignored (absent,
+ * malformed or multi-range, which is answered with the full file), or `false` when unsatisfiable.
+ */
+export function parseByteRange(rangeHeader, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(rangeHeader ?? '').trim());
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+
+  const [, startText, endText] = match;
+  if (!startText) {
+    // Suffix range: the last N bytes
+    const suffix = Number(endText);
+    return suffix > 0 && size > 0 ? {start: Math.max(0, size - suffix), end: size - 1} : false;
+  }
+
+  const start = Number(startText);
+  const end = endText ? Math.min(Number(endText), size - 1) : size - 1;
+  return start < size && start <= end ? {start, end} : false;
+}
+
+async function serveArchiveFile(req, res, path) {
+  const {size, mtime, mtimeMs} = await stat(path);
+  const etag = `"${size.toString(16)}-${Math.floor(mtimeMs).toString(16)}"`;
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Content-Type', 'application/vnd.pmtiles');
+  res.setHeader('Cache-Control', 'public, max-age=86400');
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', mtime.toUTCString());
+
+  // A stale If-Range validator means the client's partial copy is outdated: send everything
+  const ifRange = req.headers['if-range'];
+  const range = ifRange && ifRange !== etag ? null : parseByteRange(req.headers.range, size);
+  if (range === false) {
+    res.statusCode = 416;
+    res.setHeader('Content-Range', `bytes */${size}`);
+    res.end();
+    return;
+  }
+
+  if (!range && matchesEtag(req.headers['if-none-match'], etag)) {
+    res.statusCode = 304;
+    res.end();
+    return;
+  }
+
+  const {start, end} = range ?? {start: 0, end: size - 1};
+  if (range) {
+    res.statusCode = 206;
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+  }
+  res.setHeader('Content-Length', String(end - start + 1));
+
+  if (req.method === 'HEAD' || size === 0) {
+    res.end();
+    return;
+  }
+
+  try {
+    // pipeline destroys the file stream when the client goes away, so its descriptor is closed
+    await pipeline(createReadStream(path, {start, end}), res);
+  } catch (error) {
+    if (error?.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Finds `[pnu, longitude, latitude]` in the sorted PNU index shard for `pnu`, or null.
+ */
+async function findPnuEntry(pnuIndexPath, pnu) {
+  let shard;
+  try {
+    shard = JSON.parse(await readFile(resolve(pnuIndexPath, `${pnu.slice(0, PNU_SHARD_PREFIX_LENGTH)}.json`), 'utf8'));
+  } catch (error) {
+    if (error?.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  const entries = Array.isArray(shard?.entries) ? shard.entries : [];
+  let low = 0;
+  let high = entries.length - 1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    const key = entries[middle][0];
+    if (key === pnu) {
+      return entries[middle];
+    }
+    if (key < pnu) {
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return null;
+}
+
+function sendQueryError(res, error) {
+  res.statusCode = error.status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({error: error.message}));
+}
+
+function sendFeatures(res, features, {format, filename, extra = {}}) {
+  // Query results follow the archive, which can be replaced at runtime
+  res.setHeader('Cache-Control', 'no-cache');
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    // BOM so Excel opens Korean text as UTF-8
+    res.end(`\uFEFF${featuresToCsv(features)}\r\n`);
+    return;
+  }
+  res.setHeader('Content-Type', 'application/geo+json');
+  res.end(JSON.stringify({type: 'FeatureCollection', features, ...extra}));
+}
+
+const pathnameOf = (url) => {
+  try {
+    return new URL(url ?? '/', 'http://localhost').pathname;
+  } catch {
+    return url ?? '/';
+  }
+};
+
+// Metrics labels for a request path; null for paths the archive middleware passes on.
+function classifyRoute(pathname) {
+  const tile = pathname.match(/^\/(\d+)\/(\d+)\/(\d+)\.pbf$/);
+  if (tile) {
+    // Out-of-range zooms are rejected with 400; keep them out of the label set
+    const zoom = Number(tile[1]) <= 26 ? Number(tile[1]) : 'invalid';
+    return {route: 'tile', zoom, tile: `${tile[1]}/${tile[2]}/${tile[3]}`};
+  }
+  if (pathname === '/metadata.json') {
+    return {route: 'metadata'};
+  }
+  if (pathname === '/summary.json') {
+    return {route: 'summary'};
+  }
+  if (pathname === '/archive.pmtiles') {
+    return {route: 'archive'};
+  }
+  if (pathname === '/features') {
+    return {route: 'features'};
+  }
+  if (pathname.startsWith('/features/')) {
+    return {route: 'feature'};
+  }
+  if (pathname.startsWith('/pnu/')) {
+    return {route: 'pnu'};
+  }
+  return null;
+}
+
+// Archive version for tile ETags: the source etag when it has one, otherwise the layout fields.
+function archiveVersion(header) {
+  const etag = header.etag ? String(header.etag).replace(/^W\//, '').replace(/"/g, '') : '';
+  return etag || `${header.tileDataOffset.toString(16)}-${header.tileDataLength.toString(16)}`;
+}
+
+/**
+ * Lists the `*.pmtiles` files in a directory as archives. The id is the file name without the
+ * extension (files whose name is not a valid id are skipped), and the build companions
+ * `{name}.pmtiles.json` and `{name}.pmtiles.pnu/` are picked up when present.
+ *
+ * @param {string} directory - Absolute path to scan (not recursive)
+ * @returns {{id: string, path: string, summaryPath: string|null, pnuIndexPath: string|null, description: null}[]}
+ */
+export function discoverArchives(directory) {
+  let names;
+  try {
+    names = readdirSync(directory);
+  } catch (error) {
+    throw new Error(`Failed to scan archive directory ${directory}: ${errorMessage(error)}`);
+  }
+
+  return names
+    .filter((name) => name.endsWith('.pmtiles') && ARCHIVE_ID_PATTERN.test(basename(name, '.pmtiles')))
+    .sort()
+    .map((name) => {
+      const path = resolve(directory, name);
+      return {
+        id: basename(name, '.pmtiles'),
+        path,
+        summaryPath: existsSync(`${path}.json`) ? `${path}.json` : null,
+        pnuIndexPath: existsSync(`${path}.pnu`) ? `${path}.pnu` : null,
+        description: null,
+      };
+    });
+}
+
+/**
+ * Reads the archive list file. Archives are listed explicitly under `archives` and/or discovered
+ * from `directories` (see `discoverArchives`). Paths in the file are relative to the file itself:
+ *
+ *   {"archives": [{"id": "buildings", "filename": "buildings.pmtiles", "description": "...",
+ *                  "summaryFilename": "buildings.pmtiles.json", "pnuIndexDirname": "buildings.pmtiles.pnu"}],
+ *    "directories": ["tiles"]}
+ *
+ * @param {string} configPath - Absolute path to the JSON archive list
+ * @returns {{id: string, path: string, summaryPath: string|null, pnuIndexPath: string|null, description: string|null}[]}
+ */
+export function loadArchiveList(configPath) {
+  let config;
+  try {
+    config = JSON.parse(readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read archive list ${configPath}: ${errorMessage(error)}`);
+  }
+
+  const entries = (Array.isArray(config) ? config : config?.archives) ?? [];
+  const directories = Array.isArray(config) ? [] : config?.directories ?? [];
+  if (!Array.isArray(entries) || !Array.isArray(directories)) {
+    throw new Error(`Archive list ${configPath} needs "archives" and "directories" to be arrays`);
+  }
+
+  const baseDir = dirname(configPath);
+  const listed = entries.map((entry, index) => {
+    const {id, filename, summaryFilename, pnuIndexDirname, description} = entry ?? {};
+    if (typeof id !== 'string' || !ARCHIVE_ID_PATTERN.test(id)) {
+      throw new Error(`Archive #${index} in ${configPath} needs an id of letters, digits, "_" or "-"`);
+    }
+    if (typeof filename !== 'string' || !filename) {
+      throw new Error(`Archive "${id}" in ${configPath} is missing "filename"`);
+    }
+
+    return {
+      id,
+      path: resolve(baseDir, filename),
+      summaryPath: summaryFilename ? resolve(baseDir, summaryFilename) : null,
+      pnuIndexPath: pnuIndexDirname ? resolve(baseDir, pnuIndexDirname) : null,
+      description: typeof description === 'string' ? description : null,
+    };
+  });
+
+  // Explicit entries win over discovered files for the same archive
+  const listedPaths = new Set(listed.map(({path}) => path));
+  const discovered = directories
+    .flatMap((directory) => discoverArchives(resolve(baseDir, directory)))
+    .filter(({path}) => !listedPaths.has(path));
+
+  const archives = [...listed, ...discovered];
+  if (archives.length === 0) {
+    throw new Error(`Archive list ${configPath} has no archives`);
+  }
+
+  const seen = new Set();
+  archives.forEach(({id, path}) => {
+    if (seen.has(id)) {
+      throw new Error(`Duplicate archive id "${id}" in ${configPath} (${path})`);
+    }
+    seen.add(id);
+  });
+  return archives;
+}
+
+/**
+ * Resolves the archive registry for a server: every `*.pmtiles` file in `directory` when one is
+ * given, otherwise the archive list at `configPath`.
+ */
+export function loadArchiveRegistry({configPath, directory = null}) {
+  if (!directory) {
+    return loadArchiveList(configPath);
+  }
+  const archives = discoverArchives(directory);
+  if (archives.length === 0) {
+    throw new Error(`No .pmtiles archives found in ${directory}`);
+  }
+  return archives;
+}
+
+/**
+ * Builds one connect-style middleware per archive, to be mounted at `/pmtiles/{id}`.
+ * `logger` needs `info`, `warn` and `error` (Vite's logger or the standalone server's JSON logger);
+ * it is wrapped with `logLevel` filtering and rate limiting, and per-tile traces are `debug`.
+ * Requests are counted in `metrics` (pass one registry to share it with `/pmtiles/_stats`).
+ * `invalidate('archive' | 'summary')` drops the cached state after a file changed on disk.
+ *
+ * Archive reads go through one LRU cache of `cacheBytes` (0 disables it). With `warmup`, the tiles
+ * listed in each summary's `tileCoords` are read into it at startup and after every reload.
+ */
+export function createPmtilesHandlers(
+  rawLogger,
+  archives,
+  {metrics = createMetrics(), logLevel = 'info', cacheBytes = DEFAULT_CACHE_BYTES, warmup = false} = {},
+) {
+  const logger = createLeveledLogger(rawLogger, {level: logLevel});
+  const cache = cacheBytes > 0 ? new ByteLruCache(cacheBytes) : null;
+
+  const handlers = archives.map(({id, path, summaryPath, pnuIndexPath, description = null}) => {
+    // Warm-up reads are not requests; keep them out of the cache hit ratio
+    let warming = 0;
+    const openCachedArchive = () =>
+      openArchive(path, {
+        cache,
+        onCacheLookup: (hit) => {
+          if (!warming) {
+            metrics.recordCacheLookup(id, hit);
+          }
+        },
+      });
+
+    let current = openCachedArchive();
+    let headerPromise;
+    let metadataPromise;
+    let summaryPromise;
+    // Replaced sources waiting out their grace period, keyed by close timer
+    const pendingCloses = new Map();
+
+    async function getHeader() {
+      if (!headerPromise) {
+        const promise = current.archive
+          .getHeader()
+          .then((header) => {
+            logger.info(
+              `[pmtiles] ${id} header: z${header.minZoom}-${header.maxZoom}, tile compression ${header.tileCompression}`,
+              {archive: id, minZoom: header.minZoom, maxZoom: header.maxZoom, tileCompression: header.tileCompression},
+            );
+            return header;
+          })
+          .catch((error) => {
+            if (headerPromise === promise) {
+              headerPromise = null;
+            }
+            throw error;
+          });
+        headerPromise = promise;
+      }
+      return headerPromise;
+    }
+
+    async function getMetadata() {
+      if (!metadataPromise) {
+        const promise = current.archive.getMetadata().catch((error) => {
+          if (metadataPromise === promise) {
+            metadataPromise = null;
+          }
+          throw error;
+        });
+        metadataPromise = promise;
+      }
+      return metadataPromise;
+    }
+
+    async function getSummary() {
+      if (!summaryPath) {
+        return null;
+      }
+
+      if (!summaryPromise) {
+        const promise = readFile(summaryPath, 'utf8')
+          .then((contents) => JSON.parse(contents))
+          .catch((error) => {
+            if (summaryPromise === promise) {
+              summaryPromise = null;
+            }
+            throw error;
+          });
+        summaryPromise = promise;
+      }
+
+      return summaryPromise;
+    }
+
+    /**
+     * Reopens the archive (`kind: 'archive'`) or re-reads the summary (`kind: 'summary'`) on the
+     * next request. Resolves with the new archive version, or null when it is not readable yet.
+     */
+    async function invalidate(kind) {
+      if (kind === 'summary') {
+        summaryPromise = null;
+        return null;
+      }
+
+      const previous = current;
+      current = openCachedArchive();
+      headerPromise = null;
+      metadataPromise = null;
+
+      const timer = setTimeout(() => {
+        pendingCloses.delete(timer);
+        previous.source.close().catch((error) =>
+          logger.warn(`Failed to close replaced PMTiles archive ${id}: ${errorMessage(error)}`),
+        );
+      }, SOURCE_CLOSE_GRACE_MS);
+      timer.unref?.();
+      pendingCloses.set(timer, previous.source);
+
+      let version;
+      try {
+        version = archiveVersion(await getHeader());
+      } catch (error) {
+        logger.warn(`PMTiles archive ${id} is not readable after change: ${errorMessage(error)}`);
+        return null;
+      }
+      if (warmup) {
+        warmUp();
+      }
+      return version;
+    }
+
+    /**
+     * Reads the tiles listed in the summary's `tileCoords` into the cache, in summary order. Stops
+     * early once the cache starts evicting or the archive is reloaded. Never rejects.
+     */
+    async function warmUp() {
+      if (!cache || !summaryPath) {
+        return;
+      }
+
+      const started = Date.now();
+      const opened = current;
+      const evictions = cache.evictions;
+      let coords = [];
+      let count = 0;
+      warming++;
+      try {
+        const summary = await getSummary();
+        coords = Array.isArray(summary?.tileCoords) ? summary.tileCoords : [];
+        if (!coords.length) {
+          return;
+        }
+        for (const coord of coords) {
+          if (opened !== current || cache.evictions !== evictions) {
+            break;
+          }
+          const [z, x, y] = Array.isArray(coord) ? coord.map(Number) : [];
+          if (![z, x, y].every(Number.isInteger)) {
+            continue;
+          }
+          await readRawTile(opened.archive, z, x, y);
+          count++;
+        }
+      } catch (error) {
+        logger.warn(`[pmtiles] ${id} warm-up stopped: ${errorMessage(error)}`);
+      } finally {
+        warming--;
+      }
+
+      logger.info(`[pmtiles] ${id} warm-up: ${count} of ${coords.length} tiles in ${Date.now() - started}ms`, {
+        archive: id,
+        tiles: count,
+        cacheBytes: cache.bytes,
+      });
+    }
+
+    const handleRequest = async (req, res, next) => {
+      if (!req.url) {
+        next();
+        return;
+      }
+
+      const pathname = pathnameOf(req.url);
+
+      if (pathname === '/metadata.json') {
+        try {
+          const metadata = await getMetadata();
+          res.setHeader('Content-Type', 'application/json');
+          res.setHeader('Cache-Control', 'public, max-age=86400');
+          res.end(JSON.stringify(metadata));
+        } catch (error) {
+          logger.error(`Failed to serve PMTiles metadata ${id}: ${errorMessage(error)}`);
+          res.statusCode = 500;
+          res.end();
+        }
+        return;
+      }
+
+      if (summaryPath && pathname === '/summary.json') {
+        try {
+          const summary = await getSummary();
+          res.setHeader('Content-Type', 'application/json');
+          res.setHeader('Cache-Control', 'public, max-age=86400');
+          res.end(JSON.stringify(summary));
+        } catch (error) {
+          logger.error(`Failed to serve PMTiles summary ${id}: ${errorMessage(error)}`);
+          res.statusCode = 500;
+          res.end();
+        }
+        return;
+      }
+
+      if (pathname === '/archive.pmtiles') {
+        try {
+          await serveArchiveFile(req, res, path);
+        } catch (error) {
+          if (error?.code === 'ENOENT') {
+            res.statusCode = 404;
+            res.end();
+            return;
+          }
+          logger.error(`Failed to serve PMTiles archive ${id}: ${errorMessage(error)}`);
+          if (!res.headersSent) {
+            res.statusCode = 500;
+          }
+          res.end();
+        }
+        return;
+      }
+
+      if (pathname === '/features') {
+        try {
+          const params = new URL(req.url, 'http://localhost').searchParams;
+          const query = parseFeatureQuery(params);
+          await getHeader();
+          const {features, hasMore} = await queryFeatures(current.archive, query);
+
+          let next = null;
+          if (hasMore) {
+            params.set('offset', String(query.offset + query.limit));
+            next = `features?${params}`;
+            res.setHeader('Link', `<${next}>; rel="next"`);
+          }
+          sendFeatures(res, features, {
+            format: query.format,
+            filename: `${id}-features`,
+            extra: {numberReturned: features.length, next},
+          });
+        } catch (error) {
+          if (error instanceof QueryError) {
+            sendQueryError(res, error);
+            return;
+          }
+          logger.error(`Failed to query PMTiles features ${id}: ${errorMessage(error)}`);
+          res.statusCode = 500;
+          res.end();
+        }
+        return;
+      }
+
+      const featureMatch = pathname.match(/^\/features\/([^/]+)$/);
+      if (featureMatch) {
+        try {
+          let pnu;
+          try {
+            pnu = decodeURIComponent(featureMatch[1]);
+          } catch {
+            throw new QueryError('PNU has a malformed percent-encoding');
+          }
+          const params = new URL(req.url, 'http://localhost').searchParams;
+          const {format, layer} = parseFeatureQuery(params);
+          if (!/^\d{19}$/.test(pnu)) {
+            throw new QueryError('PNU must be 19 digits');
+          }
+          if (!pnuIndexPath) {
+            throw new QueryError(`Archive ${id} has no PNU index to look parcels up by`, 404);
+          }
+          const entry = await findPnuEntry(pnuIndexPath, pnu);
+          if (!entry) {
+            throw new QueryError(`PNU ${pnu} not found`, 404);
+          }
+          const [, longitude, latitude] = entry;
+          const feature = await lookupFeature(current.archive, {pnu, longitude, latitude}, {layer});
+          if (!feature) {
+            throw new QueryError(`PNU ${pnu} not found`, 404);
+          }
+
+          if (format === 'csv') {
+            sendFeatures(res, [feature], {format, filename: pnu});
+            return;
+          }
+          res.setHeader('Cache-Control', 'no-cache');
+          res.setHeader('Content-Type', 'application/geo+json');
+          res.end(JSON.stringify(feature));
+        } catch (error) {
+          if (error instanceof QueryError) {
+            sendQueryError(res, error);
+            return;
+          }
+          logger.error(`Failed to look up PMTiles feature ${id}: ${errorMessage(error)}`);
+          res.statusCode = 500;
+          res.end();
+        }
+        return;
+      }
+
+      const pnuShardMatch = pnuIndexPath ? pathname.match(/^\/pnu\/(\d{5})\.json$/) : null;
+      if (pnuShardMatch) {
+        try {
+          const contents = await readFile(resolve(pnuIndexPath, `${pnuShardMatch[1]}.json`));
+          res.setHeader('Content-Type', 'application/json');
+          res.setHeader('Cache-Control', 'public, max-age=86400');
+          res.end(contents);
+        } catch (error) {
+          if (error?.code === 'ENOENT') {
+            res.statusCode = 404;
+            res.end();
+            return;
+          }
+          logger.error(`Failed to serve PNU index shard ${id} ${pnuShardMatch[1]}: ${errorMessage(error)}`);
+          res.statusCode = 500;
+          res.end();
+        }
+        return;
+      }
+
+      const match = pathname.match(/^\/(\d+)\/(\d+)\/(\d+)\.pbf$/);
+      if (!match) {
+        next();
+        return;
+      }
+
+      const [, zStr, xStr, yStr] = match;
+      const z = Number(zStr);
+      const x = Number(xStr);
+      const y = Number(yStr);
+
+      if (z > 26 || x >= 2 ** z || y >= 2 ** z) {
+        res.statusCode = 400;
+        res.end();
+        return;
+      }
+
+      let conditions;
+      try {
+        conditions = parseAttributeFilters(new URL(req.url, 'http://localhost').searchParams);
+      } catch (error) {
+        if (error instanceof QueryError) {
+          sendQueryError(res, error);
+          return;
+        }
+        logger.error(`Failed to parse PMTiles tile filter ${id} ${z}/${x}/${y}: ${errorMessage(error)}`);
+        res.statusCode = 500;
+        res.end();
+        return;
+      }
+
+      try {
+        await getHeader();
+        const tile = await readRawTile(current.archive, z, x, y);
+
+        if (!tile) {
+          res.statusCode = 204;
+          res.end();
+          return;
+        }
+
+        if (conditions.length) {
+          await sendFilteredTile(req, res, {tile, z, x, y, conditions});
+          return;
+        }
+
+        // Compressed tiles pass through to clients that accept the encoding; others get them
+        // decoded here. Each representation has its own ETag.
+        const encoding = CONTENT_ENCODINGS[tile.compression] ?? null;
+        const passthrough = encoding !== null && acceptsEncoding(req.headers['accept-encoding'], encoding);
+        const etag = `"${archiveVersion(tile.header)}-${z}-${x}-${y}${passthrough ? `-${encoding}` : ''}"`;
+
+        res.setHeader('ETag', etag);
+        res.setHeader('Cache-Control', 'public, max-age=86400');
+        if (encoding) {
+          res.setHeader('Vary', 'Accept-Encoding');
+        }
+
+        if (matchesEtag(req.headers['if-none-match'], etag)) {
+          res.statusCode = 304;
+          res.end();
+          return;
+        }
+
+        let payload = Buffer.from(tile.data);
+        if (passthrough) {
+          res.setHeader('Content-Encoding', encoding);
+        } else if (encoding) {
+          const decode = DECODERS[encoding];
+          if (!decode) {
+            res.statusCode = 406;
+            res.end();
+            return;
+          }
+          payload = await decode(payload);
+        }
+
+        res.setHeader('Content-Type', 'application/x-protobuf');
+        res.setHeader('Content-Length', String(payload.length));
+
+        logger.debug(`[pmtiles:${id}] ${z}/${x}/${y} -> payload=${payload.length} bytes`);
+        res.end(payload);
+      } catch (error) {
+        logger.error(`Failed to serve PMTiles tile ${id} ${z}/${x}/${y}: ${errorMessage(error)}`);
+        res.statusCode = 500;
+        res.end();
+      }
+    };
+
+    // Filtered tiles are decoded, re-encoded without the non-matching features and gzipped for
+    // clients that accept it, so heavy filters shrink the transfer instead of hiding features.
+    async function sendFilteredTile(req, res, {tile, z, x, y, conditions}) {
+      const sourceEncoding = CONTENT_ENCODINGS[tile.compression] ?? null;
+      const gzipped = acceptsEncoding(req.headers['accept-encoding'], 'gzip');
+      const etag = `"${archiveVersion(tile.header)}-${z}-${x}-${y}-f${conditionsKey(conditions)}${gzipped ? '-gzip' : ''}"`;
+
+      res.setHeader('ETag', etag);
+      res.setHeader('Cache-Control', 'public, max-age=86400');
+      res.setHeader('Vary', 'Accept-Encoding');
+
+      if (matchesEtag(req.headers['if-none-match'], etag)) {
+        res.statusCode = 304;
+        res.end();
+        return;
+      }
+
+      let data = Buffer.from(tile.data);
+      if (sourceEncoding) {
+        const decode = DECODERS[sourceEncoding];
+        if (!decode) {
+          res.statusCode = 406;
+          res.end();
+          return;
+        }
+        data = await decode(data);
+      }
+
+      const filtered = filterTile(data, conditions);
+      if (!filtered) {
+        res.statusCode = 204;
+        res.end();
+        return;
+      }
+
+      const payload = gzipped ? await compressGzip(filtered) : Buffer.from(filtered);
+      if (gzipped) {
+        res.setHeader('Content-Encoding', 'gzip');
+      }
+      res.setHeader('Content-Type', 'application/x-protobuf');
+      res.setHeader('Content-Length', String(payload.length));
+
+      logger.debug(`[pmtiles:${id}] ${z}/${x}/${y} filtered -> payload=${payload.length} bytes (from ${data.length})`);
+      res.end(payload);
+    }
+
+    const middleware = (req, res, next) => {
+      const labels = classifyRoute(pathnameOf(req.url));
+      if (labels) {
+        const started = process.hrtime.bigint();
+        // Count body bytes as they are written; not every response sets Content-Length
+        let bytes = 0;
+        const count = (chunk, encoding) => {
+          if (chunk && typeof chunk !== 'function') {
+            bytes += Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : undefined);
+          }
+        };
+        const {write, end} = res;
+        res.write = function countedWrite(chunk, encoding, callback) {
+          count(chunk, encoding);
+          return write.call(this, chunk, encoding, callback);
+        };
+        res.end = function countedEnd(chunk, encoding, callback) {
+          count(chunk, encoding);
+          return end.call(this, chunk, encoding, callback);
+        };
+        res.once('finish', () => {
+          metrics.recordRequest({
+            tileset: id,
+            ...labels,
+            status: res.statusCode,
+            bytes,
+            durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+          });
+        });
+      }
+      return handleRequest(req, res, next);
+    };
+
+    // Readiness probe: the archive is usable once its header can be read.
+    const checkHealth = async () => {
+      try {
+        const header = await getHeader();
+        return {id, ok: true, minZoom: header.minZoom, maxZoom: header.maxZoom};
+      } catch (error) {
+        return {id, ok: false, error: String(errorMessage(error))};
+      }
+    };
+
+    // Entry for the /pmtiles/index.json catalog; unreadable archives are listed as unavailable
+    const describe = async () => {
+      try {
+        const [header, metadata] = await Promise.all([getHeader(), getMetadata()]);
+        const vectorLayers = Array.isArray(metadata?.vector_layers) ? metadata.vector_layers : [];
+        return {
+          id,
+          available: true,
+          name: metadata?.name ?? id,
+          description: description ?? metadata?.description ?? null,
+          attribution: metadata?.attribution ?? null,
+          tileType: TILE_TYPES[header.tileType] ?? 'unknown',
+          minzoom: header.minZoom,
+          maxzoom: header.maxZoom,
+          bounds: [header.minLon, header.minLat, header.maxLon, header.maxLat],
+          center: [header.centerLon, header.centerLat, header.centerZoom],
+          vectorLayers: vectorLayers.map((layer) => ({
+            id: layer.id,
+            fields: layer.fields ?? {},
+            minzoom: layer.minzoom,
+            maxzoom: layer.maxzoom,
+          })),
+          hasSummary: Boolean(summaryPath),
+          hasPnuIndex: Boolean(pnuIndexPath),
+        };
+      } catch (error) {
+        // The catalog is public; do not echo server file paths from ENOENT messages
+        const reason = error?.code === 'ENOENT' ? 'Archive file not found' : String(errorMessage(error));
+        return {id, available: false, description, error: reason};
+      }
+    };
+
+    const close = async () => {
+      const replaced = [...pendingCloses];
+      pendingCloses.clear();
+      replaced.forEach(([timer]) => clearTimeout(timer));
+      await Promise.all([current.source, ...replaced.map(([, source]) => source)].map((source) => source.close()));
+    };
+
+    return {id, path, summaryPath, middleware, checkHealth, describe, invalidate, warmUp, close};
+  });
+
+  if (warmup) {
+    // One archive at a time, so the first ones listed get the cache when it cannot hold them all
+    handlers.reduce((previous, handler) => previous.then(handler.warmUp), Promise.resolve());
+  }
+
+  return handlers;
+}
+
+/**
+ * Middleware for the `/pmtiles/index.json` catalog: `{tilesets: [...]}` with one entry per
+ * handler, holding its metadata, bounds, zoom range and vector layer fields.
+ */
+export function createCatalogMiddleware(handlers) {
+  return async (req, res) => {
+    const tilesets = await Promise.all(handlers.map((handler) => handler.describe()));
+    res.setHeader('Content-Type', 'application/json');
+    // Archives can be swapped at runtime, so clients revalidate every time
+    res.setHeader('Cache-Control', 'no-cache');
+    res.end(JSON.stringify({tilesets}));
+  };
+}
+
+/**
+ * Maps file-watcher events onto handler invalidation. Watch `directories` (rather than the files,
+ * so archives that do not exist yet are picked up when they appear) and feed `handleChange` every
+ * path the watcher reports; once writes to a file settle, the owning handler is invalidated and
+ * `onReload({id, kind, version})` is called.
+ */
+export function createArchiveReloader(handlers, {logger, onReload = () => {}, debounceMs = RELOAD_DEBOUNCE_MS}) {
+  const targets = new Map();
+  handlers.forEach((handler) => {
+    targets.set(handler.path, {handler, kind: 'archive'});
+    if (handler.summaryPath) {
+      targets.set(handler.summaryPath, {handler, kind: 'summary'});
+    }
+  });
+
+  const timers = new Map();
+
+  const handleChange = (file) => {
+    const filePath = resolve(file);
+    const target = targets.get(filePath);
+    if (!target) {
+      return;
+    }
+
+    clearTimeout(timers.get(filePath));
+    timers.set(
+      filePath,
+      setTimeout(async () => {
+        timers.delete(filePath);
+        const {handler, kind} = target;
+        const version = await handler.invalidate(kind);
+        logger.info(`[pmtiles] ${handler.id} ${kind} changed on disk, reloaded`, {archive: handler.id, kind, version});
+        onReload({id: handler.id, kind, version});
+      }, debounceMs),
+    );
+  };
+
+  const close = () => {
+    timers.forEach((timer) => clearTimeout(timer));
+    timers.clear();
+  };
+
+  const directories = [...new Set([...targets.keys()].map((filePath) => dirname(filePath)))];
+  return {directories, handleChange, close};
+}
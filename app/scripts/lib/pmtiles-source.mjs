@@ -0,0 +1,381 @@
+/**
+ * Archive access shared by the tile server and the PMTiles scripts: byte sources for local files,
+ * HTTP range URLs and in-memory buffers, an optional byte cache in front of them, and
+ * `openArchive`, which picks the source for a location.
+ *
+ * Sources implement the pmtiles `Source` interface. `getKey()` stays the same for the lifetime of
+ * a source, because pmtiles keys its header cache by it; the archive version travels as the etag
+ * instead. When pmtiles passes the etag of the header it read and the archive no longer matches,
+ * `getBytes` throws `EtagMismatch` and pmtiles re-reads the header once.
+ */
+import {open} from 'node:fs/promises';
+import {Buffer} from 'node:buffer';
+import {promisify} from 'node:util';
+import {brotliDecompress, gunzip} from 'node:zlib';
+import {Compression, EtagMismatch, PMTiles} from 'pmtiles';
+
+const DECOMPRESSORS = {
+  [Compression.Gzip]: promisify(gunzip),
+  [Compression.Brotli]: promisify(brotliDecompress),
+};
+
+// Cache keys are prefixed per source instance, so sources can share one cache
+let nextSourceId = 1;
+
+const strongEtag = (value) => (value && !value.startsWith('W/') ? value : undefined);
+
+// Exact ArrayBuffer for a Buffer or typed array view
+const toArrayBuffer = (view, length = view.byteLength) =>
+  view.byteOffset === 0 && length === view.buffer.byteLength
+    ? view.buffer
+    : view.buffer.slice(view.byteOffset, view.byteOffset + length);
+
+/**
+ * Decompresses archive data (directories, metadata, tiles) with node:zlib. Unlike the pmtiles
+ * default this handles Brotli as well as gzip.
+ * @param {ArrayBuffer} data
+ * @param {number} compression - pmtiles `Compression`
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function decompress(data, compression) {
+  if (compression === Compression.None || compression === Compression.Unknown) {
+    return data;
+  }
+  const decoder = DECOMPRESSORS[compression];
+  if (!decoder) {
+    throw new Error(`Unsupported PMTiles compression ${compression}`);
+  }
+  return toArrayBuffer(await decoder(Buffer.from(data)));
+}
+
+// ============================================================================
+// Cache
+// ============================================================================
+
+/**
+ * Byte-bounded LRU cache. Entries are kept in a Map in recency order; the least recently used ones
+ * are evicted once the total size passes `maxBytes`. Values larger than the whole budget are not
+ * cached.
+ */
+export class ByteLruCache {
+  constructor(maxBytes) {
+    this.maxBytes = maxBytes;
+    this.bytes = 0;
+    this.evictions = 0;
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, byteLength) {
+    this.delete(key);
+    if (byteLength > this.maxBytes) {
+      return;
+    }
+    this.entries.set(key, {value, byteLength});
+    this.bytes += byteLength;
+    for (const [oldestKey, oldest] of this.entries) {
+      if (this.bytes <= this.maxBytes) {
+        break;
+      }
+      this.entries.delete(oldestKey);
+      this.bytes -= oldest.byteLength;
+      this.evictions++;
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.bytes -= entry.byteLength;
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+}
+
+// ============================================================================
+// Sources
+// ============================================================================
+
+/**
+ * Common part of the sources: etag checks, and with a `cache` (a ByteLruCache, may be shared)
+ * every range read - header, directory pages and tile data - is kept in memory.
+ * `onCacheLookup(hit)` is called per cached read. Subclasses implement
+ * `read(offset, length, signal)`, resolving with `{data: ArrayBuffer, etag?: string}`.
+ */
+class ArchiveSource {
+  constructor(key, {cache = null, onCacheLookup = null} = {}) {
+    this.key = key;
+    this.cache = cache;
+    this.onCacheLookup = onCacheLookup;
+    this.cachePrefix = String(nextSourceId++);
+    // Bumped whenever the archive behind the source may have changed, retiring its cache entries
+    this.generation = 0;
+    // Reads in flight, so concurrent requests for the same range share one read
+    this.pending = new Map();
+    // Archive size in bytes, once known
+    this.size = null;
+  }
+
+  getKey() {
+    return this.key;
+  }
+
+  async getBytes(offset, length, signal, etag) {
+    const result = await this.cachedRead(offset, length, signal);
+    if (etag && result.etag && result.etag !== etag) {
+      throw new EtagMismatch(`Archive ${this.key} changed: expected ETag ${etag}, got ${result.etag}`);
+    }
+    return result;
+  }
+
+  async cachedRead(offset, length, signal) {
+    if (!this.cache) {
+      return this.read(offset, length, signal);
+    }
+
+    const key = `${this.cachePrefix}.${this.generation}:${offset}:${length}`;
+    const cached = this.cache.get(key);
+    this.onCacheLookup?.(cached !== undefined);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    if (!this.pending.has(key)) {
+      // Shared between callers, so no single caller's signal may abort it
+      const read = this.read(offset, length)
+        .then((result) => {
+          this.cache.set(key, result, result.data.byteLength);
+          return result;
+        })
+        .finally(() => this.pending.delete(key));
+      this.pending.set(key, read);
+    }
+    return this.pending.get(key);
+  }
+
+  async close() {}
+}
+
+// File reads may return fewer bytes than asked for; keep reading until the range or the file ends
+async function readFully(handle, offset, length) {
+  const buffer = Buffer.alloc(length);
+  let filled = 0;
+  while (filled < length) {
+    const {bytesRead} = await handle.read(buffer, filled, length - filled, offset + filled);
+    if (bytesRead === 0) {
+      break;
+    }
+    filled += bytesRead;
+  }
+  return toArrayBuffer(buffer, filled);
+}
+
+/**
+ * Local file. The file is opened on the first read and the etag is its size and mtime at that
+ * point; a failed open is retried on the next read. `close()` waits for reads in flight, may be
+ * called concurrently or for a file that never opened, and the next read opens the file again.
+ */
+export class NodeFileSource extends ArchiveSource {
+  constructor(path, options) {
+    super(path, options);
+    this.path = path;
+    this.handlePromise = null;
+    this.reads = new Set();
+    this.closing = Promise.resolve();
+  }
+
+  getHandle() {
+    if (!this.handlePromise) {
+      const opening = open(this.path, 'r').then(async (handle) => {
+        try {
+          const {size, mtimeMs} = await handle.stat();
+          this.size = size;
+          return {handle, etag: `${size.toString(16)}-${Math.floor(mtimeMs).toString(16)}`};
+        } catch (error) {
+          await handle.close();
+          throw error;
+        }
+      });
+      opening.catch(() => {
+        if (this.handlePromise === opening) {
+          this.handlePromise = null;
+        }
+      });
+      this.handlePromise = opening;
+    }
+    return this.handlePromise;
+  }
+
+  async read(offset, length) {
+    // Registered before the first await, so a close() that starts meanwhile waits for it
+    const read = this.getHandle().then(async ({handle, etag}) => ({
+      data: await readFully(handle, offset, length),
+      etag,
+    }));
+    this.reads.add(read);
+    try {
+      return await read;
+    } finally {
+      this.reads.delete(read);
+    }
+  }
+
+  close() {
+    const opening = this.handlePromise;
+    if (!opening) {
+      return this.closing;
+    }
+
+    this.handlePromise = null;
+    this.generation++;
+    const reads = [...this.reads];
+    this.closing = Promise.allSettled(reads)
+      .then(() => opening)
+      .then(
+        ({handle}) => handle.close(),
+        // Never opened: nothing to release
+        () => {},
+      );
+    return this.closing;
+  }
+}
+
+const contentRangeTotal = (contentRange) => {
+  const match = /\/(\d+)$/.exec(contentRange ?? '');
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Archive on an HTTP server or CDN that supports Range requests. Servers that answer with the
+ * whole file are only accepted when it fits in the requested range. The etag is the response's
+ * strong ETag; weak ones are ignored.
+ */
+export class HttpRangeSource extends ArchiveSource {
+  constructor(url, {headers = {}, ...options} = {}) {
+    super(url, options);
+    this.url = url;
+    this.headers = headers;
+    this.etag = undefined;
+  }
+
+  async read(offset, length, signal) {
+    const data = new Uint8Array(length);
+    let filled = 0;
+    let etag;
+
+    // A 206 response may stop short of the range end; ask again for the remainder
+    while (filled < length) {
+      const start = offset + filled;
+      const response = await fetch(this.url, {
+        headers: {...this.headers, range: `bytes=${start}-${offset + length - 1}`},
+        signal,
+      });
+
+      if (response.status === 416) {
+        // The range starts past the end of the archive
+        this.size = contentRangeTotal(response.headers.get('content-range')) ?? this.size;
+        await response.body?.cancel();
+        break;
+      }
+      if (response.status !== 200 && response.status !== 206) {
+        await response.body?.cancel();
+        throw new Error(`Range request to ${this.url} failed: ${response.status} ${response.statusText}`);
+      }
+
+      const responseEtag = strongEtag(response.headers.get('etag'));
+      if (filled > 0 && responseEtag !== etag) {
+        await response.body?.cancel();
+        throw new EtagMismatch(`Archive ${this.url} changed during a read`);
+      }
+      etag = responseEtag;
+
+      if (response.status === 200) {
+        const contentLength = Number(response.headers.get('content-length'));
+        if (!contentLength || contentLength > length) {
+          await response.body?.cancel();
+          throw new Error(`${this.url} does not support HTTP range requests`);
+        }
+        const body = new Uint8Array(await response.arrayBuffer());
+        this.size = body.byteLength;
+        const chunk = body.subarray(start, offset + length);
+        data.set(chunk, filled);
+        filled += chunk.byteLength;
+        break;
+      }
+
+      this.size = contentRangeTotal(response.headers.get('content-range')) ?? this.size;
+      const chunk = new Uint8Array(await response.arrayBuffer()).subarray(0, length - filled);
+      data.set(chunk, filled);
+      filled += chunk.byteLength;
+      if (!chunk.byteLength || (this.size !== null && offset + filled >= this.size)) {
+        break;
+      }
+    }
+
+    if (etag !== this.etag) {
+      if (this.etag !== undefined) {
+        this.generation++;
+      }
+      this.etag = etag;
+    }
+    return {data: toArrayBuffer(data, filled), etag};
+  }
+}
+
+/**
+ * Archive held in memory (an ArrayBuffer, Buffer or other typed array view), e.g. one just built.
+ * Reads return copies, so callers may keep or modify them.
+ */
+export class MemorySource extends ArchiveSource {
+  constructor(data, {key = 'memory', ...options} = {}) {
+    super(key, options);
+    this.bytes = ArrayBuffer.isView(data)
+      ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+      : new Uint8Array(data);
+    this.size = this.bytes.byteLength;
+  }
+
+  async read(offset, length) {
+    return {data: this.bytes.slice(offset, offset + length).buffer};
+  }
+}
+
+/**
+ * Source for an archive location: `http(s)://` URLs, file paths, or in-memory bytes.
+ * @param {string|ArrayBuffer|ArrayBufferView} location
+ * @param {{cache?: ByteLruCache, onCacheLookup?: (hit: boolean) => void, headers?: object, key?: string}} [options]
+ */
+export function createSource(location, options = {}) {
+  if (typeof location === 'string') {
+    return /^https?:\/\//i.test(location) ? new HttpRangeSource(location, options) : new NodeFileSource(location, options);
+  }
+  return new MemorySource(location, options);
+}
+
+/**
+ * Opens a PMTiles archive from a file path, URL or buffer (see createSource).
+ * @returns {{archive: PMTiles, source: NodeFileSource|HttpRangeSource|MemorySource}}
+ */
+export function openArchive(location, options) {
+  const source = createSource(location, options);
+  const archive = new PMTiles(source, undefined, decompress);
+  return {archive, source};
+}
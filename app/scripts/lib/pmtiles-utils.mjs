@@ -1,59 +1,58 @@
 /**
  * Shared utilities for PMTiles scripts.
  */
-import {open} from 'node:fs/promises';
 import {Buffer} from 'node:buffer';
-import {PMTiles} from 'pmtiles';
+import {EtagMismatch, PMTiles, findTile, zxyToTileId} from 'pmtiles';
 import {VectorTile} from '@mapbox/vector-tile';
 import Pbf from 'pbf';
 
 /**
- * Node.js file source adapter for PMTiles.
- * Provides random byte access to a local file.
+ * Reads a tile without decompressing it, unlike `PMTiles.getZxy`. Directory lookup mirrors
+ * getZxy and shares the archive's directory cache; like getZxy it re-reads the header once when
+ * the archive changed underneath it.
+ * @param {PMTiles} archive - Open archive (see openArchive in pmtiles-source.mjs)
+ * @returns {Promise<{data: ArrayBuffer, compression: number, header: object}|null>} null when absent
  */
-export class NodeFileSource {
-  constructor(path) {
-    this.path = path;
-    this.handlePromise = null;
-  }
-
-  async getHandle() {
-    if (!this.handlePromise) {
-      this.handlePromise = open(this.path, 'r');
+export async function readRawTile(archive, z, x, y) {
+  try {
+    return await readRawTileAttempt(archive, z, x, y);
+  } catch (error) {
+    if (!(error instanceof EtagMismatch)) {
+      throw error;
     }
-    return this.handlePromise;
-  }
-
-  async getBytes(offset, length) {
-    const handle = await this.getHandle();
-    const buffer = Buffer.alloc(length);
-    const {bytesRead} = await handle.read(buffer, 0, length, offset);
-    const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + bytesRead);
-    return {data: arrayBuffer};
+    await archive.cache.invalidate(archive.source);
+    return readRawTileAttempt(archive, z, x, y);
   }
+}
 
-  getKey() {
-    return this.path;
+async function readRawTileAttempt(archive, z, x, y) {
+  const header = await archive.getHeader();
+  if (z < header.minZoom || z > header.maxZoom) {
+    return null;
   }
 
-  async close() {
-    if (this.handlePromise) {
-      const handle = await this.handlePromise;
-      await handle.close();
-      this.handlePromise = null;
+  const tileId = zxyToTileId(z, x, y);
+  let offset = header.rootDirectoryOffset;
+  let length = header.rootDirectoryLength;
+  for (let depth = 0; depth <= 3; depth++) {
+    const directory = await archive.cache.getDirectory(archive.source, offset, length, header);
+    const entry = findTile(directory, tileId);
+    if (!entry) {
+      return null;
     }
+    if (entry.runLength > 0) {
+      const {data} = await archive.source.getBytes(
+        header.tileDataOffset + entry.offset,
+        entry.length,
+        undefined,
+        header.etag,
+      );
+      return {data, compression: header.tileCompression, header};
+    }
+    offset = header.leafDirectoryOffset + entry.offset;
+    length = entry.length;
   }
-}
-
-/**
- * Opens a PMTiles archive from a file path.
- * @param {string} filePath - Absolute path to the .pmtiles file
- * @returns {{archive: PMTiles, source: NodeFileSource}}
- */
-export function openArchive(filePath) {
-  const source = new NodeFileSource(filePath);
-  const archive = new PMTiles(source);
-  return {archive, source};
+  throw new Error('Maximum directory depth exceeded');
 }
 
 /**
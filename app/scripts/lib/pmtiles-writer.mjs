@@ -0,0 +1,232 @@
+/**
+ * Incremental PMTiles v3 writer for the build scripts.
+ *
+ * Tiles are compressed and appended to a spill file as they arrive, in any order, so memory holds
+ * only the directory entries. `finish(metadata)` writes header, directories and metadata to the
+ * output and then copies the tile data after them. The output is written under a temporary
+ * name and renamed into place, so servers watching it never see a partial archive.
+ */
+import {createReadStream, createWriteStream} from 'node:fs';
+import {open, rename, rm} from 'node:fs/promises';
+import {basename, dirname, join} from 'node:path';
+import {pipeline} from 'node:stream/promises';
+import {Buffer} from 'node:buffer';
+import {gzipSync} from 'node:zlib';
+import {Compression, TileType, zxyToTileId} from 'pmtiles';
+
+const HEADER_LENGTH = 127;
+// Header plus root directory must fit the 16 KiB clients read first
+const MAX_ROOT_LENGTH = 16384 - HEADER_LENGTH;
+const INITIAL_LEAF_SIZE = 4096;
+
+export {Compression, TileType};
+
+// ============================================================================
+// Encoding
+// ============================================================================
+
+function writeVarint(value, out) {
+  let remaining = value;
+  while (remaining >= 0x80) {
+    out.push((remaining % 0x80) | 0x80);
+    remaining = Math.floor(remaining / 0x80);
+  }
+  out.push(remaining);
+}
+
+// Directory layout from the PMTiles v3 spec: ids delta-encoded, offsets 0 when contiguous
+function serializeDirectory(entries) {
+  const out = [];
+  writeVarint(entries.length, out);
+  let lastId = 0;
+  for (const {tileId} of entries) {
+    writeVarint(tileId - lastId, out);
+    lastId = tileId;
+  }
+  for (const {runLength} of entries) {
+    writeVarint(runLength, out);
+  }
+  for (const {length} of entries) {
+    writeVarint(length, out);
+  }
+  entries.forEach(({offset}, index) => {
+    const previous = entries[index - 1];
+    writeVarint(previous && offset === previous.offset + previous.length ? 0 : offset + 1, out);
+  });
+  return Buffer.from(out);
+}
+
+const compress = (bytes, compression) => (compression === Compression.Gzip ? gzipSync(bytes) : Buffer.from(bytes));
+
+/**
+ * Splits entries into a root directory and leaf directories until the root fits its budget,
+ * growing the leaf size by 20% per attempt like the reference implementation.
+ */
+function buildDirectories(entries, compression) {
+  const root = compress(serializeDirectory(entries), compression);
+  if (root.length <= MAX_ROOT_LENGTH) {
+    return {root, leaves: Buffer.alloc(0)};
+  }
+
+  for (let leafSize = INITIAL_LEAF_SIZE; ; leafSize = Math.ceil(leafSize * 1.2)) {
+    const leaves = [];
+    const rootEntries = [];
+    let offset = 0;
+    for (let i = 0; i < entries.length; i += leafSize) {
+      const leaf = compress(serializeDirectory(entries.slice(i, i + leafSize)), compression);
+      rootEntries.push({tileId: entries[i].tileId, offset, length: leaf.length, runLength: 0});
+      leaves.push(leaf);
+      offset += leaf.length;
+    }
+    const leafRoot = compress(serializeDirectory(rootEntries), compression);
+    if (leafRoot.length <= MAX_ROOT_LENGTH) {
+      return {root: leafRoot, leaves: Buffer.concat(leaves)};
+    }
+  }
+}
+
+const toE7 = (degrees) => Math.round(degrees * 1e7);
+
+function serializeHeader(header) {
+  const bytes = Buffer.alloc(HEADER_LENGTH);
+  bytes.write('PMTiles', 0);
+  bytes.writeUInt8(3, 7);
+  [
+    header.rootDirectoryOffset,
+    header.rootDirectoryLength,
+    header.jsonMetadataOffset,
+    header.jsonMetadataLength,
+    header.leafDirectoryOffset,
+    header.leafDirectoryLength,
+    header.tileDataOffset,
+    header.tileDataLength,
+    header.numAddressedTiles,
+    header.numTileEntries,
+    header.numTileContents,
+  ].forEach((value, index) => bytes.writeBigUInt64LE(BigInt(value), 8 + index * 8));
+  bytes.writeUInt8(header.clustered ? 1 : 0, 96);
+  bytes.writeUInt8(header.internalCompression, 97);
+  bytes.writeUInt8(header.tileCompression, 98);
+  bytes.writeUInt8(header.tileType, 99);
+  bytes.writeUInt8(header.minZoom, 100);
+  bytes.writeUInt8(header.maxZoom, 101);
+  bytes.writeInt32LE(toE7(header.minLon), 102);
+  bytes.writeInt32LE(toE7(header.minLat), 106);
+  bytes.writeInt32LE(toE7(header.maxLon), 110);
+  bytes.writeInt32LE(toE7(header.maxLat), 114);
+  bytes.writeUInt8(header.centerZoom, 118);
+  bytes.writeInt32LE(toE7(header.centerLon), 119);
+  bytes.writeInt32LE(toE7(header.centerLat), 123);
+  return bytes;
+}
+
+// ============================================================================
+// Writer
+// ============================================================================
+
+/**
+ * Opens a writer for `path`. Tile data is spilled to `<spillDirectory>/<name>.tiles` until
+ * `finish`; only the finished archive is written next to `path`.
+ * @param {string} path - Output archive
+ * @param {{tileType?: number, compression?: number, spillDirectory?: string}} [options] -
+ *   `compression` applies to tiles, directories and metadata (Gzip by default); `spillDirectory`
+ *   defaults to the output's directory
+ * @returns {Promise<{addTile: Function, finish: Function, abort: Function}>}
+ */
+export async function createPmtilesWriter(
+  path,
+  {tileType = TileType.Mvt, compression = Compression.Gzip, spillDirectory = dirname(path)} = {},
+) {
+  const spillPath = join(spillDirectory, `${basename(path)}.tiles`);
+  const partialPath = `${path}.partial`;
+  const spill = await open(spillPath, 'w');
+  const entries = [];
+  const tileIds = new Set();
+  let tileDataLength = 0;
+  let minZoom = Infinity;
+  let maxZoom = -Infinity;
+
+  /**
+   * Appends one tile (uncompressed bytes). Each z/x/y may be written once.
+   */
+  async function addTile(z, x, y, data) {
+    const tileId = zxyToTileId(z, x, y);
+    if (tileIds.has(tileId)) {
+      throw new Error(`Tile ${z}/${x}/${y} was written twice`);
+    }
+    tileIds.add(tileId);
+
+    const bytes = compress(data, compression);
+    await spill.write(bytes, 0, bytes.length, tileDataLength);
+    entries.push({tileId, offset: tileDataLength, length: bytes.length, runLength: 1});
+    tileDataLength += bytes.length;
+    minZoom = Math.min(minZoom, z);
+    maxZoom = Math.max(maxZoom, z);
+  }
+
+  /**
+   * Writes the archive and removes the spill file.
+   * @param {object} metadata - JSON metadata (TileJSON-like)
+   * @param {{bounds: number[], center?: number[]}} layout - `[minLon, minLat, maxLon, maxLat]`
+   *   and optional `[lon, lat, zoom]`
+   * @returns {Promise<{size: number, tiles: number}>}
+   */
+  async function finish(metadata, {bounds, center}) {
+    await spill.close();
+    if (!entries.length) {
+      await rm(spillPath, {force: true});
+      throw new Error('No tiles were written');
+    }
+
+    // Tiles arrive in build order; directories must be sorted by tile id
+    entries.sort((a, b) => a.tileId - b.tileId);
+    const {root, leaves} = buildDirectories(entries, compression);
+    const json = compress(Buffer.from(JSON.stringify(metadata)), compression);
+    const [minLon, minLat, maxLon, maxLat] = bounds;
+    const [centerLon, centerLat, centerZoom] = center ?? [(minLon + maxLon) / 2, (minLat + maxLat) / 2, minZoom];
+
+    const header = serializeHeader({
+      rootDirectoryOffset: HEADER_LENGTH,
+      rootDirectoryLength: root.length,
+      jsonMetadataOffset: HEADER_LENGTH + root.length,
+      jsonMetadataLength: json.length,
+      leafDirectoryOffset: HEADER_LENGTH + root.length + json.length,
+      leafDirectoryLength: leaves.length,
+      tileDataOffset: HEADER_LENGTH + root.length + json.length + leaves.length,
+      tileDataLength,
+      numAddressedTiles: entries.length,
+      numTileEntries: entries.length,
+      numTileContents: entries.length,
+      // Tile data is in build order, not tile id order
+      clustered: false,
+      internalCompression: compression,
+      tileCompression: compression,
+      tileType,
+      minZoom,
+      maxZoom,
+      minLon,
+      minLat,
+      maxLon,
+      maxLat,
+      centerZoom,
+      centerLon,
+      centerLat,
+    });
+
+    const output = createWriteStream(partialPath);
+    output.write(Buffer.concat([header, root, json, leaves]));
+    await pipeline(createReadStream(spillPath), output);
+    await rename(partialPath, path);
+    await rm(spillPath, {force: true});
+
+    return {size: HEADER_LENGTH + root.length + json.length + leaves.length + tileDataLength, tiles: entries.length};
+  }
+
+  /** Drops the spill and partial files after a failed build. */
+  async function abort() {
+    await spill.close().catch(() => {});
+    await Promise.all([rm(spillPath, {force: true}), rm(partialPath, {force: true})]);
+  }
+
+  return {addTile, finish, abort};
+}
@@ -0,0 +1,145 @@
+/**
+ * Reprojection of input geometries to WGS84 (EPSG:4326) with proj4.
+ *
+ * Korean survey data is usually in one of the Transverse Mercator systems below - 연속지적도 in the
+ * 2010 belts (EPSG:5185-5188), 도로명주소 and 건축물대장 exports in the unified UTM-K (EPSG:5179),
+ * older data in the Bessel-based belts (EPSG:5174). Their definitions are built in; any other
+ * system can be given as a proj4 string or WKT.
+ */
+import proj4 from 'proj4';
+
+const WGS84 = 'EPSG:4326';
+
+const KOREAN_SYSTEMS = {
+  'EPSG:5174':
+    '+proj=tmerc +lat_0=38 +lon_0=127.0028902777778 +k=1 +x_0=200000 +y_0=500000 +ellps=bessel +units=m +no_defs +towgs84=-115.80,474.99,674.11,1.16,-2.31,-1.63,6.43',
+  'EPSG:5179': '+proj=tmerc +lat_0=38 +lon_0=127.5 +k=0.9996 +x_0=1000000 +y_0=2000000 +ellps=GRS80 +units=m +no_defs',
+  'EPSG:5181': '+proj=tmerc +lat_0=38 +lon_0=127 +k=1 +x_0=200000 +y_0=500000 +ellps=GRS80 +units=m +no_defs',
+  'EPSG:5185': '+proj=tmerc +lat_0=38 +lon_0=125 +k=1 +x_0=200000 +y_0=600000 +ellps=GRS80 +units=m +no_defs',
+  'EPSG:5186': '+proj=tmerc +lat_0=38 +lon_0=127 +k=1 +x_0=200000 +y_0=600000 +ellps=GRS80 +units=m +no_defs',
+  'EPSG:5187': '+proj=tmerc +lat_0=38 +lon_0=129 +k=1 +x_0=200000 +y_0=600000 +ellps=GRS80 +units=m +no_defs',
+  'EPSG:5188': '+proj=tmerc +lat_0=38 +lon_0=131 +k=1 +x_0=200000 +y_0=600000 +ellps=GRS80 +units=m +no_defs',
+};
+
+// Geographic systems close enough to WGS84 at tile precision: coordinates pass through unchanged
+const GEOGRAPHIC_SYSTEMS = new Set(['EPSG:4326', 'EPSG:4737', 'EPSG:4019', 'EPSG:4258', 'OGC:CRS84', 'CRS84']);
+
+// Names ESRI writes into .prj files for the systems above, which carry no EPSG authority
+const ESRI_NAMES = {
+  Korea_2000_Korea_Unified_Coordinate_System: 'EPSG:5179',
+  Korea_2000_Korea_Central_Belt: 'EPSG:5181',
+  Korea_2000_Korea_West_Belt_2010: 'EPSG:5185',
+  Korea_2000_Korea_Central_Belt_2010: 'EPSG:5186',
+  Korea_2000_Korea_East_Belt_2010: 'EPSG:5187',
+  Korea_2000_Korea_East_Sea_Belt_2010: 'EPSG:5188',
+  Korean_1985_Modified_Korea_Central_Belt: 'EPSG:5174',
+};
+
+Object.entries(KOREAN_SYSTEMS).forEach(([code, definition]) => proj4.defs(code, definition));
+
+/**
+ * Normalizes a coordinate system reference - `EPSG:5186`, `5186`, an OGC URN, a proj4 string or
+ * WKT - to an `EPSG:` code where one is recognized, otherwise returns it unchanged.
+ * @param {string} srs
+ * @returns {string}
+ */
+export function normalizeSrs(srs) {
+  const value = String(srs).trim();
+  if (/^\d+$/.test(value)) {
+    return `EPSG:${value}`;
+  }
+  const urn = /^urn:ogc:def:crs:(EPSG|OGC):[^:]*:(\w+)$/i.exec(value);
+  if (urn) {
+    return `${urn[1].toUpperCase()}:${urn[2].toUpperCase()}`;
+  }
+  if (/^epsg:\d+$/i.test(value)) {
+    return value.toUpperCase();
+  }
+  if (/^(PROJCS|GEOGCS|PROJCRS|GEOGCRS)\[/i.test(value)) {
+    // The authority closing a PROJCS/GEOGCS belongs to the whole system
+    const authority = /AUTHORITY\["EPSG",\s*"?(\d+)"?\]\]\s*$/i.exec(value) ?? /ID\["EPSG",\s*(\d+)\]\]\s*$/i.exec(value);
+    if (authority) {
+      return `EPSG:${authority[1]}`;
+    }
+    const name = /^PROJCS\["([^"]+)"/i.exec(value)?.[1];
+    if (name && ESRI_NAMES[name]) {
+      return ESRI_NAMES[name];
+    }
+    if (/^GEOGCS\[/i.test(value) && /WGS_?(19)?84|Korea_2000|GRS_?80/i.test(value)) {
+      return WGS84;
+    }
+  }
+  return value;
+}
+
+const isGeographic = (srs) => GEOGRAPHIC_SYSTEMS.has(srs);
+
+function transformCoordinates(coordinates, forward) {
+  if (typeof coordinates[0] === 'number') {
+    const [x, y] = forward([coordinates[0], coordinates[1]]);
+    coordinates[0] = x;
+    coordinates[1] = y;
+    coordinates.length = 2;
+    return;
+  }
+  for (const child of coordinates) {
+    transformCoordinates(child, forward);
+  }
+}
+
+function transformGeometry(geometry, forward) {
+  if (!geometry) return;
+  if (geometry.type === 'GeometryCollection') {
+    geometry.geometries?.forEach((child) => transformGeometry(child, forward));
+  } else if (Array.isArray(geometry.coordinates)) {
+    transformCoordinates(geometry.coordinates, forward);
+  }
+}
+
+// First position of a geometry, to sanity-check its coordinate range
+function firstPosition(geometry) {
+  let coordinates = geometry?.type === 'GeometryCollection' ? geometry.geometries?.[0]?.coordinates : geometry?.coordinates;
+  while (Array.isArray(coordinates?.[0])) {
+    coordinates = coordinates[0];
+  }
+  return typeof coordinates?.[0] === 'number' ? coordinates : null;
+}
+
+/**
+ * Returns a function that reprojects a feature's geometry in place from `srs` to WGS84, or
+ * leaves it alone for geographic systems. Geographic input with coordinates outside lon/lat
+ * range throws, since it almost always means a projected file without its `.prj`.
+ * @param {string} srs - Any reference `normalizeSrs` accepts
+ * @returns {(feature: object) => object}
+ */
+export function createReprojector(srs) {
+  const normalized = normalizeSrs(srs);
+
+  if (isGeographic(normalized)) {
+    return (feature) => {
+      const position = firstPosition(feature?.geometry);
+      if (position && (Math.abs(position[0]) > 180 || Math.abs(position[1]) > 90)) {
+        throw new Error(
+          `Coordinates (${position[0]}, ${position[1]}) are not longitude/latitude; set the source coordinate system with --srs (e.g. EPSG:5186)`,
+        );
+      }
+      return feature;
+    };
+  }
+
+  if (/^[A-Z]+:\w+$/.test(normalized) && !proj4.defs(normalized)) {
+    throw new Error(`Unknown coordinate system "${srs}"; give its proj4 definition or WKT instead`);
+  }
+  let converter;
+  try {
+    converter = proj4(normalized, WGS84);
+  } catch (error) {
+    throw new Error(`Unknown coordinate system "${srs}": ${error.message ?? error}`);
+  }
+  return (feature) => {
+    transformGeometry(feature?.geometry, converter.forward);
+    return feature;
+  };
+}
+
+export {WGS84};
@@ -0,0 +1,329 @@
+/**
+ * Streaming ESRI Shapefile reader: geometries from `.shp`, attributes from `.dbf` and the
+ * coordinate system from `.prj`, one record at a time.
+ *
+ * Korean exports encode `.dbf` text in CP949 and rarely ship a `.cpg`, so CP949 is the default;
+ * a `.cpg` file or an explicit encoding overrides it.
+ */
+import {createReadStream} from 'node:fs';
+import {readFile} from 'node:fs/promises';
+import {Buffer} from 'node:buffer';
+import iconv from 'iconv-lite';
+
+export const DEFAULT_DBF_ENCODING = 'cp949';
+
+const SHP_HEADER_BYTES = 100;
+const DBF_HEADER_BYTES = 32;
+const DBF_FIELD_BYTES = 32;
+const READ_CHUNK_BYTES = 1024 * 1024;
+
+// Shape types by their base type; Z (+10) and M (+20) variants share the 2D layout before the
+// extra ranges this reader skips
+const SHAPE_TYPES = {
+  0: 'Null',
+  1: 'Point',
+  3: 'PolyLine',
+  5: 'Polygon',
+  8: 'MultiPoint',
+};
+
+// ============================================================================
+// Byte Reader
+// ============================================================================
+
+/**
+ * Reads exact byte counts from a file stream. `read(n)` resolves with fewer bytes only at the
+ * end of the file.
+ */
+function createByteReader(path) {
+  const iterator = createReadStream(path, {highWaterMark: READ_CHUNK_BYTES})[Symbol.asyncIterator]();
+  let buffered = Buffer.alloc(0);
+  let done = false;
+
+  async function read(length) {
+    while (buffered.length < length && !done) {
+      const next = await iterator.next();
+      if (next.done) {
+        done = true;
+      } else {
+        buffered = buffered.length ? Buffer.concat([buffered, next.value]) : next.value;
+      }
+    }
+    const bytes = buffered.subarray(0, length);
+    buffered = buffered.subarray(bytes.length);
+    return bytes;
+  }
+
+  async function close() {
+    await iterator.return?.();
+  }
+
+  return {read, close};
+}
+
+// ============================================================================
+// Geometry
+// ============================================================================
+
+// Signed area of a ring, negative when clockwise: shapefile outer rings are clockwise, holes not
+function ringArea(ring) {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+  }
+  return area / 2;
+}
+
+function ringContains(ring, [x, y]) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Groups shapefile rings into GeoJSON polygons: each clockwise ring starts a polygon and each
+ * hole joins the polygon whose outer ring contains it. Rings are rewound counter-clockwise for
+ * outer rings, as GeoJSON expects.
+ */
+function ringsToPolygon(rings) {
+  const polygons = [];
+  const holes = [];
+  for (const ring of rings) {
+    if (ring.length < 4) continue;
+    if (ringArea(ring) < 0) {
+      polygons.push([ring.reverse()]);
+    } else {
+      holes.push(ring.reverse());
+    }
+  }
+  for (const hole of holes) {
+    const owner = polygons.find(([outer]) => ringContains(outer, hole[0]));
+    if (owner) {
+      owner.push(hole);
+    } else {
+      // A hole outside every outer ring is really an outer ring wound the wrong way
+      polygons.push([hole.reverse()]);
+    }
+  }
+  if (!polygons.length) return null;
+  return polygons.length === 1
+    ? {type: 'Polygon', coordinates: polygons[0]}
+    : {type: 'MultiPolygon', coordinates: polygons};
+}
+
+function readPoints(view, offset, count) {
+  const points = new Array(count);
+  for (let i = 0; i < count; i++) {
+    points[i] = [view.getFloat64(offset + i * 16, true), view.getFloat64(offset + i * 16 + 8, true)];
+  }
+  return points;
+}
+
+/**
+ * Decodes one record's content into a GeoJSON geometry; null shapes decode to null.
+ */
+function parseShape(content) {
+  const view = new DataView(content.buffer, content.byteOffset, content.byteLength);
+  const shapeType = view.getInt32(0, true);
+  // MultiPatch (31) has no 2D equivalent
+  const type = shapeType === 31 ? undefined : SHAPE_TYPES[shapeType % 10];
+  if (!type) {
+    throw new Error(`Unsupported shape type ${shapeType}`);
+  }
+
+  switch (type) {
+    case 'Null':
+      return null;
+    case 'Point':
+      return {type: 'Point', coordinates: readPoints(view, 4, 1)[0]};
+    case 'MultiPoint': {
+      // type, bbox (32 bytes), point count, points
+      const count = view.getInt32(36, true);
+      return count ? {type: 'MultiPoint', coordinates: readPoints(view, 40, count)} : null;
+    }
+    default: {
+      // type, bbox, part count, point count, part starts, points
+      const partCount = view.getInt32(36, true);
+      const pointCount = view.getInt32(40, true);
+      const starts = Array.from({length: partCount}, (_, i) => view.getInt32(44 + i * 4, true));
+      const points = readPoints(view, 44 + partCount * 4, pointCount);
+      const parts = starts.map((start, i) => points.slice(start, starts[i + 1] ?? pointCount));
+      if (!parts.length) return null;
+      if (type === 'Polygon') {
+        return ringsToPolygon(parts);
+      }
+      return parts.length === 1
+        ? {type: 'LineString', coordinates: parts[0]}
+        : {type: 'MultiLineString', coordinates: parts};
+    }
+  }
+}
+
+// ============================================================================
+// Attributes
+// ============================================================================
+
+// Numbers whose digits survive a round trip through a double; longer ones (e.g. 19-digit PNU
+// stored as N) stay strings
+const parseDbfNumber = (text) => {
+  if (!text || !/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return null;
+  const value = Number(text);
+  if (/^[-+]?\d+$/.test(text) && !Number.isSafeInteger(value)) return text;
+  return value;
+};
+
+function createDbfField(descriptor, decode) {
+  const name = decode(descriptor.subarray(0, 11)).replace(/\0.*$/s, '').trim();
+  const type = String.fromCharCode(descriptor[11]);
+  const length = descriptor[16];
+
+  let parse;
+  switch (type) {
+    case 'N':
+    case 'F':
+      parse = (bytes) => parseDbfNumber(bytes.toString('latin1').trim());
+      break;
+    case 'L':
+      parse = (bytes) => {
+        const flag = bytes.toString('latin1').trim().toUpperCase();
+        if (flag === 'Y' || flag === 'T') return true;
+        if (flag === 'N' || flag === 'F') return false;
+        return null;
+      };
+      break;
+    case 'D':
+      parse = (bytes) => {
+        const date = bytes.toString('latin1').trim();
+        return /^\d{8}$/.test(date) ? `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6)}` : null;
+      };
+      break;
+    default:
+      parse = (bytes) => {
+        const text = decode(bytes).replace(/\0+$/, '').trim();
+        return text || null;
+      };
+  }
+  return {name, length, parse};
+}
+
+/**
+ * Opens a `.dbf` file for sequential reading. Resolves with the field list and `next()`, which
+ * resolves with each record's properties (null once the records run out).
+ */
+async function openDbf(path, encoding) {
+  const reader = createByteReader(path);
+  const decode = (bytes) => iconv.decode(bytes, encoding);
+  const header = await reader.read(DBF_HEADER_BYTES);
+  if (header.length < DBF_HEADER_BYTES) {
+    throw new Error(`${path} is not a dBASE file`);
+  }
+
+  const recordCount = header.readUInt32LE(4);
+  const headerLength = header.readUInt16LE(8);
+  const recordLength = header.readUInt16LE(10);
+  const descriptors = await reader.read(headerLength - DBF_HEADER_BYTES);
+  const fields = [];
+  for (let offset = 0; offset + DBF_FIELD_BYTES <= descriptors.length && descriptors[offset] !== 0x0d; offset += DBF_FIELD_BYTES) {
+    fields.push(createDbfField(descriptors.subarray(offset, offset + DBF_FIELD_BYTES), decode));
+  }
+
+  let index = 0;
+  async function next() {
+    if (index >= recordCount) return null;
+    const record = await reader.read(recordLength);
+    if (record.length < recordLength) return null;
+    index++;
+
+    const properties = {};
+    // The first byte is the deletion flag
+    let offset = 1;
+    for (const field of fields) {
+      properties[field.name] = field.parse(record.subarray(offset, offset + field.length));
+      offset += field.length;
+    }
+    return properties;
+  }
+
+  return {fields, next, close: reader.close};
+}
+
+// ============================================================================
+// Shapefile
+// ============================================================================
+
+const siblingPath = (shpPath, extension) => shpPath.replace(/\.shp$/i, extension);
+
+// `.cpg` files hold an encoding name or a Windows code page number
+const normalizeEncoding = (value) => {
+  const name = value.trim();
+  if (name === '65001') return 'utf-8';
+  return /^\d+$/.test(name) ? `cp${name}` : name;
+};
+
+async function readOptionalText(path) {
+  try {
+    return (await readFile(path, 'utf8')).trim();
+  } catch (error) {
+    if (error?.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * The coordinate system WKT from the `.prj` next to `shpPath`, or null without one.
+ */
+export function readShapefileProjection(shpPath) {
+  return readOptionalText(siblingPath(shpPath, '.prj'));
+}
+
+/**
+ * Yields the records of a shapefile as GeoJSON features in the file's own coordinates.
+ * @param {string} shpPath - Path of the `.shp`; the `.dbf` and `.cpg` are found next to it
+ * @param {{encoding?: string}} [options] - `.dbf` text encoding (default: the `.cpg`, else CP949)
+ */
+export async function* readShapefile(shpPath, {encoding = null} = {}) {
+  const cpg = await readOptionalText(siblingPath(shpPath, '.cpg'));
+  const dbfEncoding = normalizeEncoding(encoding ?? cpg ?? DEFAULT_DBF_ENCODING);
+  if (!iconv.encodingExists(dbfEncoding)) {
+    throw new Error(`Unknown .dbf encoding "${dbfEncoding}"`);
+  }
+
+  const shp = createByteReader(shpPath);
+  let dbf = null;
+  try {
+    const header = await shp.read(SHP_HEADER_BYTES);
+    if (header.length < SHP_HEADER_BYTES || header.readInt32BE(0) !== 9994) {
+      throw new Error(`${shpPath} is not a shapefile`);
+    }
+    try {
+      dbf = await openDbf(siblingPath(shpPath, '.dbf'), dbfEncoding);
+    } catch (error) {
+      if (error?.code !== 'ENOENT') throw error;
+    }
+
+    for (let recordNumber = 1; ; recordNumber++) {
+      const recordHeader = await shp.read(8);
+      if (recordHeader.length < 8) break;
+      // Content length is in 16-bit words
+      const content = await shp.read(recordHeader.readInt32BE(4) * 2);
+
+      let geometry;
+      try {
+        geometry = parseShape(content);
+      } catch (error) {
+        throw new Error(`Shapefile record ${recordNumber}: ${error.message}`);
+      }
+      const properties = dbf ? await dbf.next() : {};
+      yield {type: 'Feature', properties: properties ?? {}, geometry};
+    }
+  } finally {
+    await shp.close();
+    await dbf?.close();
+  }
+}
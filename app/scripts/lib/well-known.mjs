@@ -0,0 +1,184 @@
+/**
+ * Well-known text and binary geometry decoding for the build script inputs: WKT from CSV columns
+ * and WKB from GeoPackage geometry blobs. Both decode to GeoJSON geometries; Z and M values are
+ * dropped, since the tiles are 2D.
+ */
+
+const GEOMETRY_TYPES = {
+  1: 'Point',
+  2: 'LineString',
+  3: 'Polygon',
+  4: 'MultiPoint',
+  5: 'MultiLineString',
+  6: 'MultiPolygon',
+  7: 'GeometryCollection',
+};
+
+const WKT_TYPES = new Map(Object.values(GEOMETRY_TYPES).map((type) => [type.toUpperCase(), type]));
+
+// ============================================================================
+// WKT
+// ============================================================================
+
+/**
+ * Parses a WKT (or EWKT, with a leading `SRID=...;`) geometry. Empty geometries parse to null.
+ * @param {string} text
+ * @returns {object|null} GeoJSON geometry
+ */
+export function parseWkt(text) {
+  const source = String(text).trim().replace(/^SRID=\d+;/i, '');
+  let position = 0;
+
+  const fail = (message) => {
+    throw new Error(`Invalid WKT at character ${position + 1}: ${message}`);
+  };
+  const skipSpace = () => {
+    while (position < source.length && /\s/.test(source[position])) position++;
+  };
+  const peek = () => {
+    skipSpace();
+    return source[position];
+  };
+  const expect = (char) => {
+    if (peek() !== char) fail(`expected "${char}"`);
+    position++;
+  };
+  const word = () => {
+    skipSpace();
+    const match = /^[A-Za-z]+/.exec(source.slice(position));
+    if (!match) fail('expected a keyword');
+    position += match[0].length;
+    return match[0].toUpperCase();
+  };
+
+  const coordinate = () => {
+    skipSpace();
+    const match = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?(\s+[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?)+/.exec(
+      source.slice(position),
+    );
+    if (!match) fail('expected a coordinate');
+    position += match[0].length;
+    return match[0].trim().split(/\s+/).slice(0, 2).map(Number);
+  };
+
+  // A parenthesized, comma-separated list of `item`
+  const list = (item) => {
+    expect('(');
+    const items = [item()];
+    while (peek() === ',') {
+      position++;
+      items.push(item());
+    }
+    expect(')');
+    return items;
+  };
+
+  // MULTIPOINT allows both (1 2, 3 4) and ((1 2), (3 4))
+  const point = () => {
+    if (peek() !== '(') return coordinate();
+    const [only] = list(coordinate);
+    return only;
+  };
+
+  const geometry = () => {
+    // Dimension markers: POINT Z (...), POINT ZM (...), POINTZ (...)
+    const keyword = word();
+    const type = WKT_TYPES.get(keyword) ?? WKT_TYPES.get(keyword.replace(/(ZM|Z|M)$/, ''));
+    if (!type) fail('unknown geometry type');
+    if (/[ZM]/i.test(peek() ?? '')) {
+      word();
+    }
+    if (peek() !== '(') {
+      if (word() !== 'EMPTY') fail('expected "(" or EMPTY');
+      return null;
+    }
+
+    switch (type) {
+      case 'Point':
+        return {type, coordinates: list(coordinate)[0]};
+      case 'LineString':
+      case 'MultiPoint':
+        return {type, coordinates: type === 'MultiPoint' ? list(point) : list(coordinate)};
+      case 'Polygon':
+      case 'MultiLineString':
+        return {type, coordinates: list(() => list(coordinate))};
+      case 'MultiPolygon':
+        return {type, coordinates: list(() => list(() => list(coordinate)))};
+      default:
+        return {type, geometries: list(geometry).filter(Boolean)};
+    }
+  };
+
+  const result = geometry();
+  if (peek() !== undefined) fail('unexpected trailing text');
+  return result;
+}
+
+// ============================================================================
+// WKB
+// ============================================================================
+
+/**
+ * Parses a WKB geometry (ISO or EWKB dimension flags) starting at `offset` of `bytes`.
+ * @param {Uint8Array} bytes
+ * @param {number} [offset]
+ * @returns {object|null} GeoJSON geometry; null for an empty point
+ */
+export function parseWkb(bytes, offset = 0) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let position = offset;
+
+  const geometry = () => {
+    const littleEndian = view.getUint8(position) === 1;
+    const rawType = view.getUint32(position + 1, littleEndian);
+    position += 5;
+
+    // EWKB flags Z, M and SRID in the high bits; ISO adds 1000 (Z), 2000 (M) or 3000 (ZM)
+    const hasSrid = Boolean(rawType & 0x20000000);
+    let dimensions = 2 + (rawType & 0x80000000 ? 1 : 0) + (rawType & 0x40000000 ? 1 : 0);
+    let baseType = rawType & 0x0fffffff;
+    if (baseType >= 1000) {
+      const iso = Math.floor(baseType / 1000);
+      dimensions = iso === 3 ? 4 : 3;
+      baseType %= 1000;
+    }
+    if (hasSrid) position += 4;
+
+    const uint32 = () => {
+      const value = view.getUint32(position, littleEndian);
+      position += 4;
+      return value;
+    };
+    const coordinate = () => {
+      const x = view.getFloat64(position, littleEndian);
+      const y = view.getFloat64(position + 8, littleEndian);
+      position += dimensions * 8;
+      return [x, y];
+    };
+    const coordinates = () => Array.from({length: uint32()}, coordinate);
+    const rings = () => Array.from({length: uint32()}, coordinates);
+    const parts = () => Array.from({length: uint32()}, geometry);
+
+    const type = GEOMETRY_TYPES[baseType];
+    switch (type) {
+      case 'Point': {
+        const point = coordinate();
+        return point.every(Number.isNaN) ? null : {type, coordinates: point};
+      }
+      case 'LineString':
+        return {type, coordinates: coordinates()};
+      case 'Polygon':
+        return {type, coordinates: rings()};
+      case 'MultiPoint':
+      case 'MultiLineString':
+      case 'MultiPolygon':
+        return {type, coordinates: parts().filter(Boolean).map((part) => part.coordinates)};
+      case 'GeometryCollection':
+        return {type, geometries: parts().filter(Boolean)};
+      default:
+        throw new Error(`Unsupported WKB geometry type ${rawType}`);
+    }
+  };
+
+  return geometry();
+}
@@ -0,0 +1,388 @@
+#!/usr/bin/env node
+/**
+ * Standalone PMTiles tile server for self-hosting the atlas without a CDN.
+ * Serves the same `/pmtiles/{id}/...` routes as the Vite dev/preview plugin, and optionally the
+ * built app (`npm run build`) from the same origin.
+ *
+ * Usage: node servePmtiles.mjs [options]
+ * Options:
+ *   --config            Archive list JSON (default: ../pmtiles.config.json)
+ *   --dir               Serve every .pmtiles file in this directory instead of the archive list
+ *   --host              Interface to bind (default: 0.0.0.0)
+ *   --port              Port to listen on (default: $PORT or 8080)
+ *   --static            Directory with the built app to serve, e.g. ../dist (default: none)
+ *   --base              URL prefix the app was built with (VITE_BASE_PATH, default: /)
+ *   --cors              Access-Control-Allow-Origin for tile routes and their preflight requests (default: *)
+ *   --shutdownTimeout   Milliseconds to drain open requests on SIGINT/SIGTERM (default: 10000)
+ *   --logLevel          Tile handler log level: debug, info, warn or error; debug adds a line per request (default: info)
+ *   --cacheMb           Memory for cached tiles and directory pages, 0 to disable (default: 64)
+ *   --warmup            Read the tiles listed in each build summary into the cache at startup
+ *
+ * `{base}pmtiles/index.json` lists the archives with their metadata, bounds, zoom range and fields,
+ * and `{base}pmtiles/_stats` reports request metrics as JSON or Prometheus text (`?format=prometheus`).
+ * Health endpoints: `{base}healthz` (process is up) and `{base}readyz` (every archive header
+ * is readable). Logs are JSON lines on stdout.
+ */
+import {once} from 'node:events';
+import {createServer} from 'node:http';
+import {createReadStream} from 'node:fs';
+import {stat} from 'node:fs/promises';
+import {dirname, extname, resolve, sep} from 'node:path';
+import {pipeline} from 'node:stream/promises';
+import {fileURLToPath} from 'node:url';
+import {createCatalogMiddleware, createPmtilesHandlers, loadArchiveRegistry} from './lib/pmtiles-server.mjs';
+import {LOG_LEVELS, createLeveledLogger, createMetrics, createStatsMiddleware} from './lib/pmtiles-metrics.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const DEFAULTS = {
+  config: '../pmtiles.config.json',
+  dir: '',
+  host: '0.0.0.0',
+  port: Number(process.env.PORT) || 8080,
+  static: '',
+  base: '/',
+  cors: '*',
+  shutdownTimeout: 10000,
+  logLevel: 'info',
+  cacheMb: 64,
+  warmup: false,
+};
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2',
+  '.wasm': 'application/wasm',
+};
+
+// ============================================================================
+// Argument Parsing
+// ============================================================================
+
+function parseArgs(argv) {
+  const args = {...DEFAULTS};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const key = arg.slice(2);
+    const value = argv[i + 1];
+
+    if (!(key in DEFAULTS)) {
+      throw new Error(`Unknown option: --${key}`);
+    }
+
+    if (typeof DEFAULTS[key] === 'boolean') {
+      args[key] = true;
+    } else if (typeof DEFAULTS[key] === 'number') {
+      const parsed = Number(value);
+      if (!Number.isFinite(parsed)) {
+        throw new Error(`Expected number for --${key}, got: ${value}`);
+      }
+      args[key] = parsed;
+      i++;
+    } else {
+      if (!value || value.startsWith('--')) {
+        throw new Error(`Missing value for --${key}`);
+      }
+      args[key] = value;
+      i++;
+    }
+  }
+
+  if (!LOG_LEVELS.includes(args.logLevel)) {
+    throw new Error(`Expected one of ${LOG_LEVELS.join(', ')} for --logLevel, got: ${args.logLevel}`);
+  }
+
+  args.config = resolve(__dirname, args.config);
+  args.dir = args.dir ? resolve(__dirname, args.dir) : null;
+  args.static = args.static ? resolve(__dirname, args.static) : null;
+  args.base = `/${args.base.replace(/^\/+|\/+$/g, '')}/`.replace('//', '/');
+  return args;
+}
+
+// ============================================================================
+// Logging
+// ============================================================================
+
+/**
+ * JSON-lines logger with the `info`/`warn`/`error` surface the handlers expect from Vite's logger,
+ * plus `debug` for the handlers' per-tile traces.
+ */
+function createJsonLogger(stream = process.stdout) {
+  const write = (level, msg, fields = {}) => {
+    stream.write(`${JSON.stringify({time: new Date().toISOString(), level, msg, ...fields})}\n`);
+  };
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+  };
+}
+
+// ============================================================================
+// Request Handling
+// ============================================================================
+
+function sendJson(res, statusCode, body) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(JSON.stringify(body));
+}
+
+async function serveStatic(req, res, {root, relativePath, logger}) {
+  let decodedPath;
+  try {
+    decodedPath = decodeURIComponent(relativePath);
+  } catch {
+    res.statusCode = 400;
+    res.end();
+    return;
+  }
+  const candidate = resolve(root, `.${decodedPath}`);
+  if (candidate !== root && !candidate.startsWith(`${root}${sep}`)) {
+    res.statusCode = 403;
+    res.end();
+    return;
+  }
+
+  let filePath = candidate;
+  let info = await stat(filePath).catch(() => null);
+  if (info?.isDirectory()) {
+    filePath = resolve(filePath, 'index.html');
+    info = await stat(filePath).catch(() => null);
+  }
+  // Unknown routes fall back to the app shell; missing assets stay 404
+  if (!info && !extname(candidate)) {
+    filePath = resolve(root, 'index.html');
+    info = await stat(filePath).catch(() => null);
+  }
+  if (!info?.isFile()) {
+    res.statusCode = 404;
+    res.end();
+    return;
+  }
+
+  res.setHeader('Content-Type', CONTENT_TYPES[extname(filePath)] ?? 'application/octet-stream');
+  res.setHeader('Content-Length', String(info.size));
+  // Vite fingerprints everything under assets/, so those can be cached forever
+  res.setHeader(
+    'Cache-Control',
+    filePath.includes(`${sep}assets${sep}`) ? 'public, max-age=31536000, immutable' : 'no-cache',
+  );
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  // Open before sending anything, so a file that vanished or is unreadable still gets a status
+  const stream = createReadStream(filePath);
+  try {
+    await once(stream, 'open');
+  } catch (error) {
+    logger.error(`Failed to open static file: ${error.message}`, {path: req.url});
+    res.statusCode = error.code === 'ENOENT' ? 404 : 500;
+    res.removeHeader('Content-Length');
+    res.end();
+    return;
+  }
+  try {
+    // Destroys the file stream when the client disconnects, closing its descriptor
+    await pipeline(stream, res);
+  } catch (error) {
+    if (error?.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      logger.error(`Failed to serve static file: ${error.message}`, {path: req.url});
+    }
+  }
+}
+
+function createRequestHandler({options, handlers, metrics, logger, state}) {
+  const handlersById = new Map(handlers.map((handler) => [handler.id, handler]));
+  const tilePrefix = `${options.base}pmtiles/`;
+  const catalog = createCatalogMiddleware(handlers);
+  const stats = createStatsMiddleware(metrics);
+
+  return async (req, res) => {
+    const started = process.hrtime.bigint();
+    const originalUrl = req.url;
+    res.on('finish', () => {
+      logger.debug('request', {
+        method: req.method,
+        path: originalUrl,
+        status: res.statusCode,
+        bytes: res.hasHeader('Content-Length') ? Number(res.getHeader('Content-Length')) : null,
+        durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+      });
+    });
+
+    const {pathname} = new URL(req.url ?? '/', 'http://localhost');
+
+    if (pathname === `${options.base}healthz`) {
+      sendJson(res, 200, {status: 'ok', uptimeSeconds: Math.round(process.uptime())});
+      return;
+    }
+
+    if (pathname === `${options.base}readyz`) {
+      if (state.shuttingDown) {
+        sendJson(res, 503, {status: 'shutting-down'});
+        return;
+      }
+      const archives = await Promise.all(handlers.map((handler) => handler.checkHealth()));
+      const ready = archives.every((archive) => archive.ok);
+      sendJson(res, ready ? 200 : 503, {status: ready ? 'ready' : 'unavailable', archives});
+      return;
+    }
+
+    // CORS preflight, e.g. for requests with If-None-Match; everything else is read-only
+    if (req.method === 'OPTIONS' && pathname.startsWith(tilePrefix)) {
+      res.statusCode = 204;
+      res.setHeader('Allow', 'GET, HEAD, OPTIONS');
+      if (options.cors) {
+        res.setHeader('Access-Control-Allow-Origin', options.cors);
+        res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Range, If-None-Match, If-Range');
+        res.setHeader('Access-Control-Max-Age', '86400');
+      }
+      res.end();
+      return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.statusCode = 405;
+      res.setHeader('Allow', 'GET, HEAD');
+      res.end();
+      return;
+    }
+
+    if (pathname === `${tilePrefix}index.json`) {
+      if (options.cors) {
+        res.setHeader('Access-Control-Allow-Origin', options.cors);
+      }
+      await catalog(req, res);
+      return;
+    }
+
+    if (pathname === `${tilePrefix}_stats`) {
+      stats(req, res);
+      return;
+    }
+
+    if (pathname.startsWith(tilePrefix)) {
+      const [id] = pathname.slice(tilePrefix.length).split('/', 1);
+      const handler = handlersById.get(id);
+      if (!handler) {
+        res.statusCode = 404;
+        res.end();
+        return;
+      }
+      if (options.cors) {
+        res.setHeader('Access-Control-Allow-Origin', options.cors);
+      }
+      // Mount the handler like connect does: strip `/pmtiles/{id}` from the URL
+      req.url = req.url.slice(req.url.indexOf(`pmtiles/${id}`) + `pmtiles/${id}`.length) || '/';
+      await handler.middleware(req, res, () => {
+        res.statusCode = 404;
+        res.end();
+      });
+      return;
+    }
+
+    if (options.static && pathname.startsWith(options.base)) {
+      await serveStatic(req, res, {
+        root: options.static,
+        relativePath: `/${pathname.slice(options.base.length)}`,
+        logger,
+      });
+      return;
+    }
+
+    res.statusCode = 404;
+    res.end();
+  };
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const logger = createJsonLogger();
+  const archives = loadArchiveRegistry({configPath: options.config, directory: options.dir});
+  const metrics = createMetrics();
+  const handlers = createPmtilesHandlers(logger, archives, {
+    metrics,
+    logLevel: options.logLevel,
+    cacheBytes: options.cacheMb * 1024 * 1024,
+    warmup: options.warmup,
+  });
+  const state = {shuttingDown: false};
+
+  // Access lines and static file errors follow --logLevel and its rate limit like the handlers' logs
+  const requestLogger = createLeveledLogger(logger, {level: options.logLevel});
+  const handleRequest = createRequestHandler({options, handlers, metrics, logger: requestLogger, state});
+
+  const server = createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      logger.error(`Unhandled request error: ${error instanceof Error ? error.message : error}`, {path: req.url});
+      if (!res.headersSent) {
+        res.statusCode = 500;
+      }
+      res.end();
+    });
+  });
+
+  const shutdown = (signal) => {
+    if (state.shuttingDown) {
+      logger.warn('Second shutdown signal, exiting immediately', {signal});
+      process.exit(1);
+    }
+    state.shuttingDown = true;
+    logger.info('Shutting down', {signal, timeoutMs: options.shutdownTimeout});
+
+    const forceTimer = setTimeout(() => {
+      logger.warn('Shutdown timeout reached, closing open connections');
+      server.closeAllConnections();
+    }, options.shutdownTimeout);
+    forceTimer.unref();
+
+    server.close(async () => {
+      const results = await Promise.allSettled(handlers.map((handler) => handler.close()));
+      results
+        .filter((result) => result.status === 'rejected')
+        .forEach(({reason}) => logger.warn(`Failed to close archive: ${reason instanceof Error ? reason.message : reason}`));
+      logger.info('Server stopped');
+    });
+    server.closeIdleConnections();
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  await new Promise((resolveListen, rejectListen) => {
+    server.once('error', rejectListen);
+    server.listen(options.port, options.host, resolveListen);
+  });
+
+  logger.info(`Serving ${archives.length} PMTiles archive(s) on http://${options.host}:${options.port}${options.base}`, {
+    archives: archives.map(({id, path}) => ({id, path})),
+    static: options.static,
+  });
+}
+
+main().catch((error) => {
+  console.error('\n✗ Tile server failed:', error.message);
+  process.exitCode = 1;
+});
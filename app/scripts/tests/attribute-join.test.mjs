@@ -0,0 +1,96 @@
+import {after, before, describe, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {mkdtemp, rm, writeFile} from 'node:fs/promises';
+import {tmpdir} from 'node:os';
+import {join} from 'node:path';
+import {createAttributeJoin, readJoinTable} from '../lib/attribute-join.mjs';
+
+const pnu = (index) => `11110101001${String(index).padStart(8, '0')}`;
+
+const footprint = (properties) => ({
+  type: 'Feature',
+  properties,
+  geometry: {type: 'Point', coordinates: [126.978, 37.566]},
+});
+
+describe('attribute join', () => {
+  let directory;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'attribute-join-'));
+  });
+
+  after(async () => {
+    await rm(directory, {recursive: true, force: true});
+  });
+
+  const write = async (name, contents) => {
+    const path = join(directory, name);
+    await writeFile(path, contents);
+    return path;
+  };
+
+  test('merges table rows onto footprints by PNU, later tables and non-empty cells winning', async () => {
+    const predictions = await readJoinTable(
+      await write('predictions.csv', `pnu,FAR_prediction,a30\n${pnu(1)},245.5,240\n${pnu(2)},180,\n`),
+      'pnu',
+    );
+    const overrides = await readJoinTable(await write('overrides.tsv', `pnu\tFAR_prediction\n${pnu(2)}\t199\n`), 'pnu');
+    const attributeJoin = createAttributeJoin([predictions, overrides], 'pnu');
+
+    const first = attributeJoin.apply(footprint({pnu: pnu(1), BLD_NM: '본관'}));
+    const second = attributeJoin.apply(footprint({pnu: pnu(2), a30: 170}));
+    assert.deepEqual(first.properties, {pnu: pnu(1), BLD_NM: '본관', FAR_prediction: 245.5, a30: 240});
+    // The empty a30 cell leaves the footprint's value
+    assert.deepEqual(second.properties, {pnu: pnu(2), a30: 170, FAR_prediction: 199});
+    assert.equal(attributeJoin.report().footprints.matched, 2);
+  });
+
+  test('reports unmatched PNU on both sides, duplicates and type conflicts', async () => {
+    const table = await readJoinTable(
+      await write(
+        'report.csv',
+        ['pnu,FAR_prediction', `${pnu(1)},100`, `${pnu(1)},101`, `${pnu(2)},NA`, `${pnu(9)},300`, ',5'].join('\n'),
+      ),
+      'pnu',
+    );
+    const attributeJoin = createAttributeJoin([table], 'pnu');
+    [
+      {pnu: pnu(1), FAR_prediction: 'unknown'},
+      {pnu: pnu(1)},
+      {pnu: pnu(2)},
+      {pnu: pnu(3)},
+      {pnu: pnu(3)},
+      {BLD_NM: 'no parcel'},
+    ].forEach((properties) => attributeJoin.apply(footprint(properties)));
+
+    const report = attributeJoin.report();
+    assert.deepEqual(report.footprints, {
+      features: 6,
+      withoutKey: 1,
+      matched: 3,
+      unmatched: {count: 1, sample: [pnu(3)]},
+      duplicates: {count: 2, sample: [pnu(1), pnu(3)]},
+    });
+    assert.deepEqual(report.tables, [
+      {
+        path: table.path,
+        columns: ['FAR_prediction'],
+        rows: 5,
+        withoutKey: 1,
+        matched: 2,
+        unmatched: {count: 1, sample: [pnu(9)]},
+        duplicates: {count: 1, sample: [pnu(1)]},
+      },
+    ]);
+    assert.deepEqual(report.typeConflicts, [
+      {table: table.path, column: 'FAR_prediction', kind: 'mixed', types: {Float: 3, String: 1}},
+      {table: table.path, column: 'FAR_prediction', kind: 'replaced', types: {Float: 3, String: 1}, replaced: {String: 1}},
+    ]);
+  });
+
+  test('rejects tables without the key column or in other formats', async () => {
+    await assert.rejects(readJoinTable(await write('nokey.csv', 'PNU_CD,FAR\n1,2\n'), 'pnu'), /no "pnu" column/);
+    await assert.rejects(readJoinTable(await write('table.json', '[]'), 'pnu'), /\.csv or \.tsv/);
+  });
+});
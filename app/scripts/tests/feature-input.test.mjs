@@ -0,0 +1,263 @@
+import {after, before, describe, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {mkdtemp, rm, writeFile} from 'node:fs/promises';
+import {Buffer} from 'node:buffer';
+import {tmpdir} from 'node:os';
+import {dirname, join} from 'node:path';
+import {fileURLToPath} from 'node:url';
+import iconv from 'iconv-lite';
+import {detectFormat, openFeatureInput, readFeatures} from '../lib/feature-input.mjs';
+import {parseWkb, parseWkt} from '../lib/well-known.mjs';
+import {createReprojector, normalizeSrs} from '../lib/reproject.mjs';
+
+// 40 buildings in EPSG:5186 and one empty geometry, written by Python's sqlite3 with 512-byte
+// pages so the table spans interior and overflow pages
+const GEOPACKAGE_FIXTURE = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'buildings-5186.gpkg');
+
+// EPSG:5186 (197000, 551000) is near 서울시청
+const CITY_HALL_5186 = [197000, 551000];
+const CITY_HALL_WGS84 = [126.96605, 37.55852];
+
+const PRJ_5186 =
+  'PROJCS["Korea_2000_Korea_Central_Belt_2010",GEOGCS["GCS_Korea_2000",DATUM["D_Korea_2000",SPHEROID["GRS_1980",6378137.0,298.257222101]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],PROJECTION["Transverse_Mercator"],PARAMETER["False_Easting",200000.0],PARAMETER["False_Northing",600000.0],PARAMETER["Central_Meridian",127.0],PARAMETER["Scale_Factor",1.0],PARAMETER["Latitude_Of_Origin",38.0],UNIT["Meter",1.0]]';
+
+async function collect(iterable) {
+  const values = [];
+  for await (const value of iterable) {
+    values.push(value);
+  }
+  return values;
+}
+
+const assertNear = (actual, expected, message) => {
+  actual.forEach((value, index) => assert.ok(Math.abs(value - expected[index]) < 1e-4, `${message}: ${actual} vs ${expected}`));
+};
+
+// Square ring, clockwise as shapefile outer rings are unless `counterClockwise`
+const squareRing = ([x, y], size, counterClockwise = false) => {
+  const ring = [[x, y], [x, y + size], [x + size, y + size], [x + size, y], [x, y]];
+  return counterClockwise ? ring.reverse() : ring;
+};
+
+/**
+ * Writes a polygon shapefile (.shp and .dbf) from `records` of `{rings, properties}`; `fields`
+ * are `{name, type, length}` dBASE descriptors, text encoded with `encoding`.
+ */
+async function writeShapefile(basePath, fields, records, encoding) {
+  const contents = records.map(({rings}) => {
+    const points = rings.flat();
+    const content = Buffer.alloc(44 + rings.length * 4 + points.length * 16);
+    content.writeInt32LE(5, 0);
+    content.writeInt32LE(rings.length, 36);
+    content.writeInt32LE(points.length, 40);
+    let start = 0;
+    rings.forEach((ring, index) => {
+      content.writeInt32LE(start, 44 + index * 4);
+      start += ring.length;
+    });
+    points.forEach(([x, y], index) => {
+      content.writeDoubleLE(x, 44 + rings.length * 4 + index * 16);
+      content.writeDoubleLE(y, 44 + rings.length * 4 + index * 16 + 8);
+    });
+    return content;
+  });
+
+  const shpHeader = Buffer.alloc(100);
+  shpHeader.writeInt32BE(9994, 0);
+  shpHeader.writeInt32BE((100 + contents.reduce((sum, content) => sum + 8 + content.length, 0)) / 2, 24);
+  shpHeader.writeInt32LE(1000, 28);
+  shpHeader.writeInt32LE(5, 32);
+  const shpRecords = contents.map((content, index) => {
+    const header = Buffer.alloc(8);
+    header.writeInt32BE(index + 1, 0);
+    header.writeInt32BE(content.length / 2, 4);
+    return Buffer.concat([header, content]);
+  });
+  await writeFile(`${basePath}.shp`, Buffer.concat([shpHeader, ...shpRecords]));
+
+  const recordLength = 1 + fields.reduce((sum, field) => sum + field.length, 0);
+  const dbfHeader = Buffer.alloc(32 + fields.length * 32 + 1);
+  dbfHeader[0] = 3;
+  dbfHeader.writeUInt32LE(records.length, 4);
+  dbfHeader.writeUInt16LE(dbfHeader.length, 8);
+  dbfHeader.writeUInt16LE(recordLength, 10);
+  fields.forEach((field, index) => {
+    dbfHeader.write(field.name, 32 + index * 32, 'latin1');
+    dbfHeader.write(field.type, 32 + index * 32 + 11, 'latin1');
+    dbfHeader[32 + index * 32 + 16] = field.length;
+  });
+  dbfHeader[dbfHeader.length - 1] = 0x0d;
+  const dbfRecords = records.map(({properties}) => {
+    const record = Buffer.alloc(recordLength, 0x20);
+    let offset = 1;
+    for (const field of fields) {
+      const bytes = iconv.encode(String(properties[field.name] ?? ''), encoding);
+      const padded = field.type === 'N' ? Buffer.concat([Buffer.alloc(field.length - bytes.length, 0x20), bytes]) : bytes;
+      padded.copy(record, offset);
+      offset += field.length;
+    }
+    return record;
+  });
+  await writeFile(`${basePath}.dbf`, Buffer.concat([dbfHeader, ...dbfRecords, Buffer.from([0x1a])]));
+}
+
+const SHAPEFILE_FIELDS = [
+  {name: 'PNU', type: 'N', length: 19},
+  {name: 'SGG_NM', type: 'C', length: 20},
+  {name: 'FAR', type: 'N', length: 10},
+];
+
+const SHAPEFILE_RECORDS = [
+  {
+    rings: [squareRing(CITY_HALL_5186, 100), squareRing([197040, 551040], 20, true)],
+    properties: {PNU: '1111010100100010000', SGG_NM: '종로구', FAR: '245.5'},
+  },
+  {
+    rings: [squareRing([197200, 551000], 50), squareRing([197400, 551000], 50)],
+    properties: {PNU: '1114010100100020000', SGG_NM: '중구 똠방각하', FAR: ''},
+  },
+];
+
+describe('feature input', () => {
+  let directory;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'feature-input-'));
+  });
+
+  after(async () => {
+    await rm(directory, {recursive: true, force: true});
+  });
+
+  const write = async (name, contents) => {
+    const path = join(directory, name);
+    await writeFile(path, contents);
+    return path;
+  };
+
+  test('parses WKT and WKB, dropping Z and M', () => {
+    assert.deepEqual(parseWkt('SRID=5186;POINT Z (1 2 3)'), {type: 'Point', coordinates: [1, 2]});
+    assert.deepEqual(parseWkt('MULTIPOINT ((1 2), (3 4))'), parseWkt('MULTIPOINT (1 2, 3 4)'));
+    assert.equal(parseWkt('multipolygon (((0 0, 1 0, 1 1, 0 0)))').type, 'MultiPolygon');
+    assert.equal(parseWkt('POLYGON EMPTY'), null);
+    assert.deepEqual(parseWkt('GEOMETRYCOLLECTION (POINT (1 2), LINESTRING EMPTY)'), {
+      type: 'GeometryCollection',
+      geometries: [{type: 'Point', coordinates: [1, 2]}],
+    });
+    assert.throws(() => parseWkt('POLYGON ((0 0, 1 0'), /Invalid WKT/);
+
+    // Little-endian ISO LineString Z
+    const wkb = Buffer.alloc(9 + 2 * 24);
+    wkb.writeUInt8(1, 0);
+    wkb.writeUInt32LE(1002, 1);
+    wkb.writeUInt32LE(2, 5);
+    [1, 2, 3, 4, 5, 6].forEach((value, index) => wkb.writeDoubleLE(value, 9 + index * 8));
+    assert.deepEqual(parseWkb(wkb), {type: 'LineString', coordinates: [[1, 2], [4, 5]]});
+  });
+
+  test('normalizes coordinate system references and reprojects Korean TM to WGS84', () => {
+    assert.equal(normalizeSrs('5186'), 'EPSG:5186');
+    assert.equal(normalizeSrs('urn:ogc:def:crs:EPSG::5179'), 'EPSG:5179');
+    assert.equal(normalizeSrs(PRJ_5186), 'EPSG:5186');
+
+    const feature = {type: 'Feature', properties: {}, geometry: {type: 'Point', coordinates: [...CITY_HALL_5186]}};
+    createReprojector('EPSG:5186')(feature);
+    assertNear(feature.geometry.coordinates, CITY_HALL_WGS84, 'EPSG:5186');
+
+    // The same place in UTM-K
+    const utmk = {type: 'Feature', properties: {}, geometry: {type: 'Point', coordinates: [952840.5, 1951153.01]}};
+    createReprojector('EPSG:5179')(utmk);
+    assertNear(utmk.geometry.coordinates, CITY_HALL_WGS84, 'EPSG:5179');
+
+    // Projected coordinates read as lon/lat are a missing .prj, not a valid input
+    assert.throws(() => createReprojector('EPSG:4326')({type: 'Feature', geometry: {type: 'Point', coordinates: [...CITY_HALL_5186]}}), /--srs/);
+  });
+
+  test('reads a CP949 shapefile with its .prj, assigning holes and keeping 19-digit PNU', async () => {
+    const basePath = join(directory, 'parcels');
+    await writeShapefile(basePath, SHAPEFILE_FIELDS, SHAPEFILE_RECORDS, 'cp949');
+    await writeFile(`${basePath}.prj`, PRJ_5186);
+
+    assert.equal(await detectFormat(`${basePath}.shp`), 'shapefile');
+    const input = await openFeatureInput(`${basePath}.shp`);
+    assert.equal(input.srs, 'EPSG:5186');
+    const [first, second] = await collect(input.features());
+
+    assert.deepEqual(first.properties, {PNU: '1111010100100010000', SGG_NM: '종로구', FAR: 245.5});
+    assert.deepEqual(second.properties, {PNU: '1114010100100020000', SGG_NM: '중구 똠방각하', FAR: null});
+
+    assert.equal(first.geometry.type, 'Polygon');
+    assert.equal(first.geometry.coordinates.length, 2);
+    assertNear(first.geometry.coordinates[0][0], CITY_HALL_WGS84, 'outer ring');
+    assert.equal(second.geometry.type, 'MultiPolygon');
+    assert.equal(second.geometry.coordinates.length, 2);
+  });
+
+  test('takes the shapefile encoding from a .cpg or the option, and the SRS from --srs', async () => {
+    const basePath = join(directory, 'utf8');
+    await writeShapefile(basePath, SHAPEFILE_FIELDS, SHAPEFILE_RECORDS.slice(0, 1), 'utf8');
+    await writeFile(`${basePath}.cpg`, 'UTF-8');
+
+    const [fromCpg] = await collect(readFeatures(`${basePath}.shp`, {srs: '5186'}));
+    assert.equal(fromCpg.properties.SGG_NM, '종로구');
+    assertNear(fromCpg.geometry.coordinates[0][0], CITY_HALL_WGS84, '--srs');
+
+    await assert.rejects(collect(readFeatures(`${basePath}.shp`)), /--srs/);
+    await assert.rejects(collect(readFeatures(`${basePath}.shp`, {encoding: 'klingon'})), /Unknown .dbf encoding/);
+  });
+
+  test('reads CSV with WKT: quoted fields, delimiter sniffing and value types', async () => {
+    const path = await write(
+      'buildings.csv',
+      [
+        '\uFEFFpnu;name;FAR_prediction;floors;WKT',
+        '1111010100100010000;"종로구; ""본관""\nB동";245.5;3;POINT (126.97 37.56)',
+        '0111010100100010000;;-1e3;;',
+      ].join('\r\n') + '\r\n',
+    );
+    assert.equal(await detectFormat(path), 'csv');
+    const features = await collect(readFeatures(path));
+    assert.deepEqual(features, [
+      {
+        type: 'Feature',
+        properties: {pnu: '1111010100100010000', name: '종로구; "본관"\nB동', FAR_prediction: 245.5, floors: 3},
+        geometry: {type: 'Point', coordinates: [126.97, 37.56]},
+      },
+      {
+        type: 'Feature',
+        properties: {pnu: '0111010100100010000', name: null, FAR_prediction: -1000, floors: null},
+        geometry: null,
+      },
+    ]);
+
+    const tsv = await write('buildings.tsv', 'code\tshape\n00123\tSRID=5186;POINT (197000 551000)\n');
+    const [fromTsv] = await collect(readFeatures(tsv, {wkt: 'shape', srs: 'EPSG:5186'}));
+    assert.equal(fromTsv.properties.code, '00123');
+    assertNear(fromTsv.geometry.coordinates, CITY_HALL_WGS84, 'TSV');
+    await assert.rejects(collect(readFeatures(tsv)), /no WKT column/);
+  });
+
+  test('reads a GeoPackage feature table in its spatial reference system', async () => {
+    assert.equal(await detectFormat(GEOPACKAGE_FIXTURE), 'geopackage');
+    const input = await openFeatureInput(GEOPACKAGE_FIXTURE);
+    assert.equal(input.srs, 'EPSG:5186');
+    const features = await collect(input.features());
+
+    assert.equal(features.length, 41);
+    assert.deepEqual(features.map((feature) => feature.id).slice(0, 3), [1, 2, 3]);
+    assert.deepEqual(features[0].properties, {
+      pnu: '1111010100100000000',
+      FAR_prediction: 100.5,
+      floors: 0,
+      code: null,
+      note: null,
+    });
+    assertNear(features[0].geometry.coordinates[0][0], CITY_HALL_WGS84, 'GeoPackage');
+    // INTEGER beyond 2^53 and text long enough to overflow its page
+    assert.equal(features[3].properties.code, '1111010100100000003');
+    assert.equal(features[5].properties.note, '종로구'.repeat(100));
+    assert.equal(features[40].geometry, null);
+
+    await assert.rejects(openFeatureInput(GEOPACKAGE_FIXTURE, {table: 'notes'}), /no feature table "notes" \(available: buildings\)/);
+  });
+});
@@ -0,0 +1,119 @@
+import {describe, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {HISTOGRAM_BINS, QUANTILE_STEPS, TOP_VALUES, createFieldStatsCollector} from '../lib/field-stats.mjs';
+
+const feature = (properties, type = 'Polygon') => ({type: 'Feature', properties, geometry: {type, coordinates: []}});
+
+describe('field stats', () => {
+  test('types fields over every feature, not a sample', () => {
+    const collector = createFieldStatsCollector();
+    for (let index = 0; index < 2000; index++) {
+      collector.add(feature({pnu: `pnu-${index}`, late: index < 1500 ? null : index, empty: null}));
+    }
+    collector.add(feature({flag: true}));
+    assert.deepEqual(collector.fieldTypes(), {pnu: 'String', late: 'Integer', flag: 'Boolean'});
+  });
+
+  test('types a numeric field as Float once any value has a fraction', () => {
+    const collector = createFieldStatsCollector();
+    [120, 240, 312.5].forEach((value) => collector.add(feature({FAR_prediction: value, floors: value > 200 ? 5 : 3})));
+    assert.deepEqual(collector.fieldTypes(), {FAR_prediction: 'Float', floors: 'Integer'});
+  });
+
+  test('computes numeric statistics: count, nulls, min, max, mean, percentiles and histogram', () => {
+    const collector = createFieldStatsCollector();
+    for (let value = 1; value <= 100; value++) {
+      collector.add(feature({FAR_prediction: value}));
+    }
+    collector.add(feature({FAR_prediction: null}));
+    collector.add(feature({FAR_prediction: Number.NaN}));
+
+    const {FAR_prediction: stats} = collector.stats();
+    assert.equal(stats.type, 'number');
+    assert.equal(stats.count, 100);
+    assert.equal(stats.nulls, 2);
+    assert.equal(stats.distinct, 100);
+    assert.equal(stats.min, 1);
+    assert.equal(stats.max, 100);
+    assert.equal(stats.mean, 50.5);
+    assert.equal(stats.quantiles.length, QUANTILE_STEPS + 1);
+    assert.equal(stats.quantiles[50], 50.5);
+    assert.equal(stats.top, undefined);
+
+    assert.equal(stats.histogram.counts.length, HISTOGRAM_BINS);
+    assert.equal(stats.histogram.edges.length, HISTOGRAM_BINS + 1);
+    assert.deepEqual([stats.histogram.edges[0], stats.histogram.edges[HISTOGRAM_BINS]], [1, 100]);
+    assert.equal(stats.histogram.counts.reduce((sum, count) => sum + count, 0), 100);
+    // Equal-width bins, the last one closed so it holds the maximum
+    assert.ok(stats.histogram.counts.every((count) => count === 5));
+  });
+
+  test('counts distinct and most frequent string values', () => {
+    const collector = createFieldStatsCollector();
+    const districts = {종로구: 5, 중구: 3, 용산구: 3};
+    for (const [name, count] of Object.entries(districts)) {
+      for (let index = 0; index < count; index++) {
+        collector.add(feature({SGG_NM: name}));
+      }
+    }
+    for (let index = 0; index < 20; index++) {
+      collector.add(feature({SGG_NM: `other-${String(index).padStart(2, '0')}`}));
+    }
+
+    const {SGG_NM: stats} = collector.stats();
+    assert.equal(stats.type, 'string');
+    assert.equal(stats.count, 31);
+    assert.equal(stats.distinct, 23);
+    assert.equal(stats.top.length, TOP_VALUES);
+    // Ties are ordered by value
+    assert.deepEqual(stats.top.slice(0, 4), [
+      {value: '종로구', count: 5},
+      {value: '용산구', count: 3},
+      {value: '중구', count: 3},
+      {value: 'other-00', count: 1},
+    ]);
+  });
+
+  test('keeps a mostly numeric field numeric despite stray strings', () => {
+    const collector = createFieldStatsCollector();
+    [120, 240, 'NA', 360].forEach((value) => collector.add(feature({FAR_prediction: value})));
+
+    assert.deepEqual(collector.fieldTypes(), {FAR_prediction: 'Integer'});
+    const {FAR_prediction: stats} = collector.stats();
+    assert.equal(stats.type, 'mixed');
+    assert.equal(stats.distinct, 4);
+    assert.deepEqual([stats.min, stats.max, stats.mean], [120, 360, 240]);
+    assert.deepEqual(stats.top, [{value: 'NA', count: 1}]);
+
+    // tilestats has no mixed attribute type; it goes on the types list instead
+    const [attribute] = collector.tilestats('buildings').layers[0].attributes;
+    assert.equal(attribute.type, 'number');
+    assert.deepEqual(attribute.types, ['number', 'string', 'mixed']);
+  });
+
+  test('writes the statistics as a tilestats block', () => {
+    const collector = createFieldStatsCollector();
+    collector.add(feature({pnu: '1111010100100010000', floors: 3}));
+    collector.add(feature({pnu: '1111010100100020000', floors: 5}, 'MultiPolygon'));
+    collector.add(feature({pnu: '1111010100100030000', floors: null}, 'Point'));
+
+    const {layerCount, layers} = collector.tilestats('buildings');
+    assert.equal(layerCount, 1);
+    const [layer] = layers;
+    assert.equal(layer.layer, 'buildings');
+    assert.equal(layer.count, 3);
+    assert.equal(layer.geometry, 'Polygon');
+    assert.equal(layer.attributeCount, 2);
+
+    const [pnu, floors] = layer.attributes;
+    assert.equal(pnu.attribute, 'pnu');
+    assert.equal(pnu.count, 3);
+    assert.equal(pnu.type, 'string');
+    assert.equal(pnu.types, undefined);
+    assert.deepEqual(pnu.values, ['1111010100100010000', '1111010100100020000', '1111010100100030000']);
+    assert.deepEqual(
+      {attribute: floors.attribute, count: floors.count, type: floors.type, nulls: floors.nulls, min: floors.min, max: floors.max},
+      {attribute: 'floors', count: 2, type: 'number', nulls: 1, min: 3, max: 5},
+    );
+  });
+});
@@ -0,0 +1,96 @@
+import {after, before, describe, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {mkdtemp, rm, writeFile} from 'node:fs/promises';
+import {tmpdir} from 'node:os';
+import {join} from 'node:path';
+import {detectInputFormat, readFeatureCollection, readFeatures} from '../lib/geojson-stream.mjs';
+
+const feature = (index) => ({
+  type: 'Feature',
+  // Braces, brackets and escaped quotes inside strings must not confuse the scanner
+  properties: {pnu: `1111010100${index}`, note: `"{[${index}]}" \\ end`, 한글: '종로구'},
+  geometry: {type: 'Point', coordinates: [126.97 + index / 1000, 37.56]},
+});
+
+async function collect(iterable) {
+  const values = [];
+  for await (const value of iterable) {
+    values.push(value);
+  }
+  return values;
+}
+
+describe('geojson-stream', () => {
+  let directory;
+  const features = Array.from({length: 5}, (_, index) => feature(index));
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'geojson-stream-'));
+  });
+
+  after(async () => {
+    await rm(directory, {recursive: true, force: true});
+  });
+
+  const write = async (name, contents) => {
+    const path = join(directory, name);
+    await writeFile(path, contents);
+    return path;
+  };
+
+  test('streams FeatureCollection features and skips other members', async () => {
+    const path = await write(
+      'collection.geojson',
+      `\uFEFF${JSON.stringify(
+        {
+          bbox: [126, 37, 128, 38],
+          crs: {type: 'name', properties: {name: 'urn:ogc:def:crs:OGC:1.3:CRS84', features: []}},
+          features,
+          type: 'FeatureCollection',
+        },
+        null,
+        2,
+      )}`,
+    );
+
+    assert.deepEqual(await collect(readFeatureCollection(path)), features);
+    assert.equal(await detectInputFormat(path), 'geojson');
+  });
+
+  test('reassembles features split across read chunks', async () => {
+    const large = Array.from({length: 300}, (_, index) => ({
+      ...feature(index),
+      properties: {...feature(index).properties, padding: 'x'.repeat(10000)},
+    }));
+    const path = await write('large.geojson', JSON.stringify({type: 'FeatureCollection', features: large}));
+
+    const read = await collect(readFeatures(path));
+    assert.equal(read.length, large.length);
+    assert.deepEqual(read[299], large[299]);
+  });
+
+  test('reads GeoJSONSeq with record separators and newline-delimited features', async () => {
+    const sequence = await write('features.geojsons', features.map((value) => `\x1e${JSON.stringify(value)}\n`).join(''));
+    const lines = await write('features.txt', `${features.map((value) => JSON.stringify(value)).join('\r\n')}\r\n\r\n`);
+
+    assert.equal(await detectInputFormat(lines), 'geojsonseq');
+    assert.deepEqual(await collect(readFeatures(sequence)), features);
+    assert.deepEqual(await collect(readFeatures(lines)), features);
+  });
+
+  test('rejects input that is not a FeatureCollection', async () => {
+    const array = await write('array.json', '[1, 2]');
+    const single = await write('single.json', JSON.stringify(feature(0), null, 2));
+    const truncated = await write('truncated.geojson', JSON.stringify({type: 'FeatureCollection', features}).slice(0, -10));
+
+    await assert.rejects(collect(readFeatures(array)), /valid GeoJSON FeatureCollection/);
+    await assert.rejects(collect(readFeatures(single, 'geojson')), /valid GeoJSON FeatureCollection/);
+    await assert.rejects(collect(readFeatures(truncated)), /Unexpected end/);
+  });
+
+  test('reports the line of invalid GeoJSONSeq records', async () => {
+    const path = await write('broken.geojsonl', `${JSON.stringify(feature(0))}\n{"type": "Feature",\n`);
+
+    await assert.rejects(collect(readFeatures(path)), /line 2/);
+  });
+});
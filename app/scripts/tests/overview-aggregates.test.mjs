@@ -0,0 +1,113 @@
+import {after, before, describe, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {mkdtemp, rm, writeFile} from 'node:fs/promises';
+import {tmpdir} from 'node:os';
+import {join} from 'node:path';
+import {
+  adminFeatures,
+  createOverviewCollector,
+  gridFeatures,
+  readAdminBoundaries,
+} from '../lib/overview-aggregates.mjs';
+
+// Buildings spread over two 시군구 (종로구 11110, 중구 11140) in two 읍면동 each
+function seoulCollector() {
+  const collector = createOverviewCollector();
+  for (let index = 0; index < 200; index++) {
+    const district = index % 2 ? '11140' : '11110';
+    const dong = index % 4 < 2 ? '101' : '102';
+    collector.add(126.95 + (index % 20) * 0.004, 37.55 + Math.floor(index / 20) * 0.004, {
+      pnu: `${district}${dong}00100${String(index).padStart(7, '0')}`,
+      FAR_prediction: index,
+      a30: index % 5 ? index - 10 : null,
+    });
+  }
+  return collector;
+}
+
+const sumCounts = (features) => features.reduce((sum, feature) => sum + feature.properties.count, 0);
+
+describe('overview aggregates', () => {
+  let directory;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'overview-aggregates-'));
+  });
+
+  after(async () => {
+    await rm(directory, {recursive: true, force: true});
+  });
+
+  test('assigns every building to exactly one grid cell per zoom', () => {
+    const collector = seoulCollector();
+    for (const grid of ['hex', 'square']) {
+      for (const zoom of [8, 11, 13]) {
+        const features = gridFeatures(collector, zoom, {grid, gridSize: 16});
+        assert.equal(sumCounts(features), 200, `${grid} z${zoom}`);
+        const ring = features[0].geometry.coordinates[0];
+        assert.equal(ring.length, grid === 'hex' ? 7 : 5);
+        assert.deepEqual(ring[0], ring[ring.length - 1]);
+      }
+    }
+    // Finer cells at higher zooms
+    assert.ok(gridFeatures(collector, 13, {grid: 'hex', gridSize: 16}).length > gridFeatures(collector, 8, {grid: 'hex', gridSize: 16}).length);
+  });
+
+  test('computes count, mean, median and p90 FAR and the mean residual', () => {
+    const collector = createOverviewCollector();
+    [10, 20, 30, 40, 1000, 2500].forEach((far, index) => {
+      collector.add(126.978, 37.566, {pnu: '1111010100100010000', FAR_prediction: far, a30: index < 2 ? far - 5 : null});
+    });
+    collector.add(126.978, 37.566, {pnu: '1111010100100020000', FAR_prediction: null});
+
+    const [cell] = gridFeatures(collector, 8, {grid: 'square', gridSize: 16});
+    // 2500 is above the outlier cutoff and left out, as on the map; the building without a
+    // prediction counts but has no FAR
+    assert.deepEqual(cell.properties, {
+      count: 6,
+      far_mean: 220,
+      far_median: 30,
+      far_p90: 616,
+      residual_mean: 5,
+    });
+  });
+
+  test('aggregates 시군구 at low zooms and 읍면동 above them, as points without boundaries', () => {
+    const collector = seoulCollector();
+
+    const districts = adminFeatures(collector, 9);
+    assert.deepEqual(districts.map((feature) => feature.properties.code).sort(), ['11110', '11140']);
+    assert.ok(districts.every((feature) => feature.properties.level === 'sigungu' && feature.properties.count === 100));
+    assert.equal(districts[0].geometry.type, 'Point');
+
+    const dongs = adminFeatures(collector, 12);
+    assert.deepEqual(dongs.map((feature) => feature.properties.code).sort(), ['11110101', '11110102', '11140101', '11140102']);
+    assert.equal(sumCounts(dongs), 200);
+  });
+
+  test('uses boundary polygons matched by code, normalizing 10-digit 법정동 codes', async () => {
+    const square = (lon, lat) => ({
+      type: 'Polygon',
+      coordinates: [[[lon, lat], [lon + 0.1, lat], [lon + 0.1, lat + 0.1], [lon, lat + 0.1], [lon, lat]]],
+    });
+    const path = join(directory, 'boundaries.geojson');
+    await writeFile(path, JSON.stringify({
+      type: 'FeatureCollection',
+      features: [
+        {type: 'Feature', properties: {code: '11110'}, geometry: square(126.9, 37.5)},
+        {type: 'Feature', properties: {code: '1111010100'}, geometry: square(126.95, 37.55)},
+        {type: 'Feature', properties: {code: '11'}, geometry: square(126, 37)},
+        {type: 'Feature', properties: {code: '11140'}, geometry: {type: 'Point', coordinates: [127, 37.5]}},
+      ],
+    }));
+
+    const {boundaries, skipped} = await readAdminBoundaries(path, 'code');
+    assert.deepEqual([...boundaries.keys()].sort(), ['11110', '11110101']);
+    assert.equal(skipped, 2);
+
+    const collector = seoulCollector();
+    const byCode = (features) => Object.fromEntries(features.map((feature) => [feature.properties.code, feature.geometry.type]));
+    assert.deepEqual(byCode(adminFeatures(collector, 8, boundaries)), {11110: 'Polygon', 11140: 'Point'});
+    assert.equal(byCode(adminFeatures(collector, 13, boundaries))['11110101'], 'Polygon');
+  });
+});
@@ -0,0 +1,200 @@
+import {describe, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_QUERY_LIMIT,
+  MAX_QUERY_LIMIT,
+  QueryError,
+  featuresToCsv,
+  filterTile,
+  lookupFeature,
+  parseAttributeFilters,
+  parseFeatureQuery,
+  queryFeatures,
+} from '../lib/pmtiles-query.mjs';
+import {openArchive} from '../lib/pmtiles-source.mjs';
+import {decodeTile} from '../lib/pmtiles-utils.mjs';
+import {buildArchive, seoulParcels, vectorTiles} from './synthetic-archive.mjs';
+
+const params = (query) => new URLSearchParams(query);
+const pnus = (features) => features.map((feature) => feature.properties.pnu).sort();
+
+const parcels = seoulParcels();
+const allPnus = pnus(parcels);
+
+function parcelArchive() {
+  const bytes = buildArchive(vectorTiles(parcels), {metadata: {name: 'buildings', vector_layers: [{id: 'buildings'}]}});
+  return openArchive(bytes).archive;
+}
+
+const query = (overrides) => ({...parseFeatureQuery(params('')), ...overrides});
+
+describe('parseAttributeFilters', () => {
+  test('turns far_min, far_max, pnu_prefix and filter into conditions', () => {
+    assert.deepEqual(parseAttributeFilters(params('far_min=100&far_max=300.5&pnu_prefix=11110&filter=SGG_NM==종로구&filter=a30!=')), [
+      {field: 'FAR_prediction', operator: '>=', value: 100},
+      {field: 'FAR_prediction', operator: '<=', value: 300.5},
+      {field: 'pnu', operator: '^=', value: '11110'},
+      {field: 'SGG_NM', operator: '==', value: '종로구'},
+      {field: 'a30', operator: '!=', value: ''},
+    ]);
+    assert.deepEqual(parseAttributeFilters(params('far_min=&pnu_prefix=')), []);
+  });
+
+  test('rejects invalid values with a 400 QueryError', () => {
+    for (const raw of ['far_min=abc', 'far_max=Infinity', 'pnu_prefix=11a10', 'pnu_prefix=11110101001000000001', 'filter=SGG_NM']) {
+      assert.throws(() => parseAttributeFilters(params(raw)), (error) => error instanceof QueryError && error.status === 400, raw);
+    }
+  });
+});
+
+describe('parseFeatureQuery', () => {
+  test('applies the defaults', () => {
+    assert.deepEqual(parseFeatureQuery(params('')), {
+      bbox: null,
+      conditions: [],
+      layer: null,
+      format: 'geojson',
+      limit: DEFAULT_QUERY_LIMIT,
+      offset: 0,
+    });
+  });
+
+  test('parses bbox, layer, format and paging', () => {
+    const parsed = parseFeatureQuery(params('bbox=126.9,37.5,127,37.6&layer=buildings&format=CSV&limit=10&offset=20&far_min=1'));
+    assert.deepEqual(parsed.bbox, [126.9, 37.5, 127, 37.6]);
+    assert.equal(parsed.layer, 'buildings');
+    assert.equal(parsed.format, 'csv');
+    assert.deepEqual([parsed.limit, parsed.offset], [10, 20]);
+    assert.equal(parsed.conditions.length, 1);
+  });
+
+  test('rejects invalid paging, formats and bboxes', () => {
+    for (const raw of [
+      'limit=0',
+      `limit=${MAX_QUERY_LIMIT + 1}`,
+      'limit=1.5',
+      'offset=-1',
+      'format=xml',
+      'bbox=126.9,37.5,127',
+      'bbox=127,37.5,126.9,37.6',
+      'bbox=126.9,37.5,127,89',
+    ]) {
+      assert.throws(() => parseFeatureQuery(params(raw)), QueryError, raw);
+    }
+  });
+});
+
+describe('queryFeatures', () => {
+  const archive = parcelArchive();
+
+  test('returns every parcel of the archive once, also those spanning two tiles', async () => {
+    const {features, hasMore} = await queryFeatures(archive, query());
+    assert.deepEqual(pnus(features), allPnus);
+    assert.equal(hasMore, false);
+    const [far] = features.filter((feature) => feature.properties.pnu === allPnus[2]);
+    assert.equal(far.properties.FAR_prediction, 250);
+    assert.equal(far.geometry.type, 'Polygon');
+  });
+
+  test('pages through the results with limit and offset', async () => {
+    const first = await queryFeatures(archive, query({limit: 2}));
+    const second = await queryFeatures(archive, query({limit: 2, offset: 2}));
+    const last = await queryFeatures(archive, query({limit: 2, offset: 4}));
+
+    assert.deepEqual([first.hasMore, second.hasMore, last.hasMore], [true, true, false]);
+    assert.equal(last.features.length, 1);
+    assert.deepEqual(pnus([...first.features, ...second.features, ...last.features]), allPnus);
+  });
+
+  test('filters by pnu_prefix and attributes', async () => {
+    const byPrefix = await queryFeatures(archive, parseFeatureQuery(params('pnu_prefix=11140')));
+    assert.deepEqual(pnus(byPrefix.features), allPnus.slice(3));
+
+    // The parcel without a prediction matches neither bound
+    const byFar = await queryFeatures(archive, parseFeatureQuery(params('far_min=200')));
+    assert.deepEqual(
+      byFar.features.map((feature) => feature.properties.FAR_prediction).sort((a, b) => a - b),
+      [250, 420],
+    );
+
+    const byName = await queryFeatures(archive, parseFeatureQuery(params('filter=SGG_NM==중구&filter=pnu*=000004')));
+    assert.deepEqual(pnus(byName.features), [allPnus[3]]);
+  });
+
+  test('limits the results to the bbox', async () => {
+    const inside = await queryFeatures(archive, parseFeatureQuery(params('bbox=126.955,37.56,126.97,37.57')));
+    assert.deepEqual(pnus(inside.features), allPnus.slice(0, 2));
+
+    const outside = await queryFeatures(archive, parseFeatureQuery(params('bbox=129,35,129.1,35.1')));
+    assert.deepEqual(outside, {features: [], hasMore: false});
+  });
+});
+
+describe('lookupFeature', () => {
+  const archive = parcelArchive();
+
+  test('finds a parcel from its PNU index entry', async () => {
+    const feature = await lookupFeature(archive, {pnu: allPnus[4], longitude: 126.9905, latitude: 37.5655});
+    assert.equal(feature.properties.FAR_prediction, 420);
+    assert.equal(feature.properties.SGG_NM, '중구');
+  });
+
+  test('returns null when the tile at the point does not hold the parcel', async () => {
+    assert.equal(await lookupFeature(archive, {pnu: allPnus[4], longitude: 126.9605, latitude: 37.5655}), null);
+  });
+
+  test('rejects malformed PNU', async () => {
+    await assert.rejects(lookupFeature(archive, {pnu: '11110', longitude: 126.96, latitude: 37.56}), QueryError);
+  });
+});
+
+describe('filterTile', () => {
+  // z14 13970/6344 holds the three 종로구 parcels, the last one clipped at the tile edge
+  const [tile] = vectorTiles(parcels).filter(({x}) => x === 13970);
+  const layerPnus = (data) => {
+    const layer = decodeTile(data).layers.buildings;
+    return Array.from({length: layer.length}, (_, index) => layer.feature(index).properties.pnu);
+  };
+
+  test('re-encodes the tile with only the matching features', () => {
+    const filtered = filterTile(tile.data, parseAttributeFilters(params('far_min=150')));
+    assert.deepEqual(layerPnus(filtered), allPnus.slice(1, 3));
+
+    const original = decodeTile(tile.data).layers.buildings;
+    const layer = decodeTile(filtered).layers.buildings;
+    assert.equal(layer.extent, original.extent);
+    assert.deepEqual(layer.feature(0).properties, original.feature(1).properties);
+    assert.deepEqual(layer.feature(0).loadGeometry(), original.feature(1).loadGeometry());
+  });
+
+  test('keeps the whole tile when every feature matches', () => {
+    assert.deepEqual(layerPnus(filterTile(tile.data, parseAttributeFilters(params('pnu_prefix=11110')))), allPnus.slice(0, 3));
+  });
+
+  test('returns null when nothing matches', () => {
+    assert.equal(filterTile(tile.data, parseAttributeFilters(params('filter=SGG_NM==중구'))), null);
+  });
+});
+
+describe('featuresToCsv', () => {
+  test('writes the union of properties, the center and WKT', () => {
+    const csv = featuresToCsv([
+      {
+        type: 'Feature',
+        properties: {pnu: '1111010100000000001', BLD_NM: 'A, "main"'},
+        geometry: {type: 'Polygon', coordinates: [[[126, 37], [127, 37], [127, 38], [126, 37]]]},
+      },
+      {
+        type: 'Feature',
+        properties: {pnu: '1111010100000000002', FAR_prediction: 250},
+        geometry: {type: 'Point', coordinates: [126.5, 37.5]},
+      },
+    ]);
+
+    assert.deepEqual(csv.split('\r\n'), [
+      'pnu,BLD_NM,FAR_prediction,longitude,latitude,wkt',
+      '1111010100000000001,"A, ""main""",,126.5,37.5,"POLYGON ((126 37, 127 37, 127 38, 126 37))"',
+      '1111010100000000002,,250,126.5,37.5,POINT (126.5 37.5)',
+    ]);
+  });
+});
@@ -0,0 +1,223 @@
+import {after, before, describe, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createServer, request} from 'node:http';
+import {existsSync} from 'node:fs';
+import {mkdir, mkdtemp, readdir, rm, writeFile} from 'node:fs/promises';
+import {tmpdir} from 'node:os';
+import {join} from 'node:path';
+import {Buffer} from 'node:buffer';
+import {createPmtilesHandlers} from '../lib/pmtiles-server.mjs';
+import {decodeTile} from '../lib/pmtiles-utils.mjs';
+import {buildArchive, seoulParcels, vectorTiles} from './synthetic-archive.mjs';
+
+const silentLogger = {debug() {}, info() {}, warn() {}, error() {}};
+
+describe('PMTiles query routes', () => {
+  const parcels = seoulParcels();
+  const [, , straddling] = parcels.map((feature) => feature.properties.pnu);
+  let directory;
+  let handlers;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'pmtiles-server-'));
+    const path = join(directory, 'buildings.pmtiles');
+    await writeFile(
+      path,
+      buildArchive(vectorTiles(parcels), {metadata: {name: 'buildings', vector_layers: [{id: 'buildings'}]}}),
+    );
+
+    // PNU index shards as buildBuildingsPmtiles.mjs writes them: sorted [pnu, longitude, latitude]
+    const pnuIndexPath = join(directory, 'pnu');
+    await mkdir(pnuIndexPath);
+    const shards = new Map();
+    parcels.forEach(({properties: {pnu}, geometry: {coordinates}}) => {
+      const [longitude, latitude] = coordinates[0][0];
+      const entries = shards.get(pnu.slice(0, 5)) ?? [];
+      entries.push([pnu, longitude + 0.0005, latitude + 0.0005]);
+      shards.set(pnu.slice(0, 5), entries);
+    });
+    for (const [prefix, entries] of shards) {
+      await writeFile(join(pnuIndexPath, `${prefix}.json`), JSON.stringify({entries}));
+    }
+
+    handlers = createPmtilesHandlers(
+      silentLogger,
+      [
+        {id: 'buildings', path, pnuIndexPath},
+        {id: 'plain', path},
+      ],
+      {cacheBytes: 0},
+    );
+    // Mounted like servePmtiles.mjs does: `/{id}` stripped before the handler sees the URL
+    server = createServer((req, res) => {
+      const [, id] = req.url.split('/', 2);
+      const handler = handlers.find((candidate) => candidate.id === id);
+      req.url = req.url.slice(id.length + 1) || '/';
+      handler.middleware(req, res, () => {
+        res.statusCode = 404;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await Promise.all(handlers.map((handler) => handler.close()));
+    await rm(directory, {recursive: true, force: true});
+  });
+
+  const get = (path, headers = {}) => fetch(`${baseUrl}${path}`, {headers});
+  const tilePnus = async (response) => {
+    const layer = decodeTile(await response.arrayBuffer()).layers.buildings;
+    return Array.from({length: layer.length}, (_, index) => layer.feature(index).properties.pnu);
+  };
+
+  test('answers feature queries as GeoJSON with a link to the next page', async () => {
+    const response = await get('/buildings/features?limit=2&pnu_prefix=11110');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/geo+json');
+    assert.equal(response.headers.get('link'), '<features?limit=2&pnu_prefix=11110&offset=2>; rel="next"');
+
+    const body = await response.json();
+    assert.equal(body.type, 'FeatureCollection');
+    assert.equal(body.numberReturned, 2);
+    assert.equal(body.next, 'features?limit=2&pnu_prefix=11110&offset=2');
+
+    const last = await (await get(`/buildings/${body.next}`)).json();
+    assert.deepEqual([last.numberReturned, last.next], [1, null]);
+  });
+
+  test('answers feature queries as CSV', async () => {
+    const response = await get('/buildings/features?format=csv&pnu_prefix=11140');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'text/csv; charset=utf-8');
+    assert.equal(response.headers.get('content-disposition'), 'attachment; filename="buildings-features.csv"');
+
+    const lines = Buffer.from(await response.arrayBuffer()).toString('utf8').split('\r\n');
+    assert.equal(lines[0], '\uFEFFpnu,SGG_NM,FAR_prediction,longitude,latitude,wkt');
+    // Header, two parcels and the closing line break
+    assert.equal(lines.length, 4);
+  });
+
+  test('rejects invalid queries with 400 and the reason', async () => {
+    const response = await get('/buildings/features?limit=0');
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /limit must be an integer/);
+  });
+
+  test('looks up one parcel by PNU through the index', async () => {
+    const response = await get(`/buildings/features/${straddling}`);
+    assert.equal(response.status, 200);
+    const feature = await response.json();
+    assert.equal(feature.type, 'Feature');
+    assert.deepEqual(feature.properties, {pnu: straddling, FAR_prediction: 250, SGG_NM: '종로구'});
+
+    const csv = await get(`/buildings/features/${straddling}?format=csv`);
+    assert.equal(csv.headers.get('content-disposition'), `attachment; filename="${straddling}.csv"`);
+  });
+
+  test('answers 404 for unknown parcels and archives without a PNU index', async () => {
+    assert.equal((await get('/buildings/features/1111010100000000099')).status, 404);
+    assert.equal((await get('/buildings/features/2711010100000000001')).status, 404);
+    assert.equal((await get(`/plain/features/${straddling}`)).status, 404);
+  });
+
+  test('answers 400 for malformed PNU', async () => {
+    assert.equal((await get('/buildings/features/11110')).status, 400);
+    const response = await get('/buildings/features/%E0%A4%A');
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /percent-encoding/);
+  });
+
+  test('re-encodes filtered tiles with only the matching features', async () => {
+    const [first, second, third] = parcels.map((feature) => feature.properties.pnu);
+    assert.deepEqual(await tilePnus(await get('/buildings/14/13970/6344.pbf')), [first, second, third]);
+
+    const gzipped = await get('/buildings/14/13970/6344.pbf?far_min=150', {'accept-encoding': 'gzip'});
+    assert.equal(gzipped.status, 200);
+    assert.equal(gzipped.headers.get('content-encoding'), 'gzip');
+    assert.match(gzipped.headers.get('etag'), /-f[0-9a-f]{12}-gzip"$/);
+    assert.deepEqual(await tilePnus(gzipped), [second, third]);
+
+    const plain = await get('/buildings/14/13970/6344.pbf?far_min=150', {'accept-encoding': 'identity'});
+    assert.equal(plain.headers.get('content-encoding'), null);
+    assert.equal(plain.headers.get('content-type'), 'application/x-protobuf');
+    assert.deepEqual(await tilePnus(plain), [second, third]);
+  });
+
+  test('answers 204 when no feature of the tile matches the filter', async () => {
+    const response = await get('/buildings/14/13970/6344.pbf?filter=SGG_NM==중구');
+    assert.equal(response.status, 204);
+  });
+
+  test('answers 400 for invalid tile filters', async () => {
+    const response = await get('/buildings/14/13970/6344.pbf?filter=FAR_prediction');
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /Invalid filter/);
+    assert.equal((await get('/buildings/14/13970/6344.pbf?far_max=high')).status, 400);
+  });
+});
+
+describe('PMTiles archive route', () => {
+  let directory;
+  let handler;
+  let server;
+  let served;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'pmtiles-archive-'));
+    // Large enough that the response cannot sit in the socket buffers when the client aborts
+    const path = join(directory, 'large.pmtiles');
+    await writeFile(path, Buffer.alloc(32 * 1024 * 1024));
+    [handler] = createPmtilesHandlers(silentLogger, [{id: 'large', path}], {cacheBytes: 0});
+    server = createServer((req, res) => {
+      served = handler.middleware(req, res, () => {
+        res.statusCode = 404;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await handler.close();
+    await rm(directory, {recursive: true, force: true});
+  });
+
+  const openDescriptors = async () => (await readdir('/proc/self/fd')).length;
+
+  test('closes the file when the client aborts a range request', {skip: !existsSync('/proc/self/fd')}, async () => {
+    const before = await openDescriptors();
+    await new Promise((resolve, reject) => {
+      const req = request({
+        host: '127.0.0.1',
+        port: server.address().port,
+        path: '/archive.pmtiles',
+        headers: {range: 'bytes=1024-'},
+      });
+      req.on('response', (res) => {
+        assert.equal(res.statusCode, 206);
+        res.once('data', () => {
+          req.destroy();
+          resolve();
+        });
+      });
+      req.on('error', (error) => {
+        if (error.code !== 'ECONNRESET') reject(error);
+      });
+      req.end();
+    });
+
+    await served;
+    // The read stream closes its descriptor asynchronously after being destroyed
+    for (let attempt = 0; attempt < 50 && (await openDescriptors()) > before; attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    assert.equal(await openDescriptors(), before);
+  });
+});
@@ -0,0 +1,250 @@
+import {after, before, describe, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createServer} from 'node:http';
+import {mkdtemp, rm, writeFile} from 'node:fs/promises';
+import {tmpdir} from 'node:os';
+import {join} from 'node:path';
+import {Buffer} from 'node:buffer';
+import {Compression, EtagMismatch} from 'pmtiles';
+import {
+  ByteLruCache,
+  HttpRangeSource,
+  MemorySource,
+  NodeFileSource,
+  createSource,
+  openArchive,
+} from '../lib/pmtiles-source.mjs';
+import {readRawTile} from '../lib/pmtiles-utils.mjs';
+import {parseByteRange} from '../lib/pmtiles-server.mjs';
+import {buildArchive, seoulTiles} from './synthetic-archive.mjs';
+
+const text = (data) => Buffer.from(data).toString();
+
+describe('ByteLruCache', () => {
+  test('evicts the least recently used entries once over budget', () => {
+    const cache = new ByteLruCache(10);
+    cache.set('a', 'A', 4);
+    cache.set('b', 'B', 4);
+    cache.get('a');
+    cache.set('c', 'C', 4);
+
+    assert.deepEqual([...cache.entries.keys()], ['a', 'c']);
+    assert.equal(cache.bytes, 8);
+    assert.equal(cache.evictions, 1);
+  });
+
+  test('does not cache values larger than the budget', () => {
+    const cache = new ByteLruCache(10);
+    cache.set('a', 'A', 4);
+    cache.set('big', 'BIG', 11);
+
+    assert.equal(cache.get('big'), undefined);
+    assert.equal(cache.get('a'), 'A');
+    assert.equal(cache.bytes, 4);
+  });
+});
+
+describe('MemorySource', () => {
+  test('reads tiles, leaf directories and metadata', async () => {
+    const bytes = buildArchive(seoulTiles(40), {metadata: {name: 'memory'}, leafSize: 8});
+    const {archive} = openArchive(bytes);
+
+    const tile = await archive.getZxy(14, 13990, 6344);
+    assert.equal(text(tile.data), 'tile-30');
+    assert.equal(await archive.getZxy(14, 13959, 6344), undefined);
+    assert.deepEqual(await archive.getMetadata(), {name: 'memory'});
+  });
+
+  test('reads from a view into a larger buffer', async () => {
+    const bytes = buildArchive(seoulTiles(3));
+    const padded = Buffer.concat([Buffer.from('padding'), bytes]);
+    const {archive} = openArchive(padded.subarray(7));
+
+    assert.equal(text((await archive.getZxy(14, 13961, 6344)).data), 'tile-1');
+  });
+
+  test('decompresses gzip archives, and readRawTile keeps tiles compressed', async () => {
+    const {archive} = openArchive(buildArchive(seoulTiles(3), {compression: Compression.Gzip}));
+
+    assert.equal(text((await archive.getZxy(14, 13962, 6344)).data), 'tile-2');
+    const raw = await readRawTile(archive, 14, 13962, 6344);
+    assert.equal(raw.compression, Compression.Gzip);
+    assert.notEqual(text(raw.data), 'tile-2');
+  });
+});
+
+describe('NodeFileSource', () => {
+  let directory;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'pmtiles-source-'));
+  });
+
+  after(async () => {
+    await rm(directory, {recursive: true, force: true});
+  });
+
+  test('serves archives from disk and reports the file size', async () => {
+    const path = join(directory, 'read.pmtiles');
+    const bytes = buildArchive(seoulTiles(20), {leafSize: 4});
+    await writeFile(path, bytes);
+    const {archive, source} = openArchive(path);
+
+    assert.ok(source instanceof NodeFileSource);
+    assert.equal(text((await archive.getZxy(14, 13977, 6344)).data), 'tile-17');
+    assert.equal(source.size, bytes.length);
+    await source.close();
+  });
+
+  test('keeps reading after short reads and stops at the end of the file', async () => {
+    const path = join(directory, 'short.pmtiles');
+    await writeFile(path, Buffer.from('0123456789'));
+    const source = new NodeFileSource(path);
+    const {handle} = await source.getHandle();
+    const read = handle.read.bind(handle);
+    handle.read = (buffer, offset, length, position) => read(buffer, offset, Math.min(length, 3), position);
+
+    assert.equal(text((await source.getBytes(1, 8)).data), '12345678');
+    assert.equal(text((await source.getBytes(6, 100)).data), '6789');
+    await source.close();
+  });
+
+  test('close() waits for reads in flight and may be called concurrently', async () => {
+    const path = join(directory, 'close.pmtiles');
+    await writeFile(path, Buffer.from('0123456789'));
+    const source = new NodeFileSource(path);
+
+    const read = source.getBytes(0, 4);
+    await Promise.all([source.close(), source.close()]);
+    assert.equal(text((await read).data), '0123');
+    // Reopens on the next read
+    assert.equal(text((await source.getBytes(4, 2)).data), '45');
+    await source.close();
+  });
+
+  test('close() resolves for a file that could not be opened', async () => {
+    const source = new NodeFileSource(join(directory, 'missing.pmtiles'));
+
+    await assert.rejects(source.getBytes(0, 16), {code: 'ENOENT'});
+    await source.close();
+  });
+
+  test('picks up a rewritten archive after close() through the etag', async () => {
+    const path = join(directory, 'rewrite.pmtiles');
+    await writeFile(path, buildArchive(seoulTiles(3)));
+    const {archive, source} = openArchive(path, {cache: new ByteLruCache(1 << 20)});
+    const {etag} = await archive.getHeader();
+    assert.equal(text((await readRawTile(archive, 14, 13961, 6344)).data), 'tile-1');
+
+    await writeFile(path, buildArchive([{z: 14, x: 13961, y: 6344, data: 'rewritten'}]));
+    await source.close();
+
+    await assert.rejects(source.getBytes(0, 16, undefined, etag), EtagMismatch);
+    assert.equal(text((await readRawTile(archive, 14, 13961, 6344)).data), 'rewritten');
+    assert.equal(text((await archive.getZxy(14, 13961, 6344)).data), 'rewritten');
+    await source.close();
+  });
+
+  test('serves repeated reads from the cache', async () => {
+    const path = join(directory, 'cache.pmtiles');
+    await writeFile(path, buildArchive(seoulTiles(3)));
+    const lookups = [];
+    const {archive, source} = openArchive(path, {
+      cache: new ByteLruCache(1 << 20),
+      onCacheLookup: (hit) => lookups.push(hit),
+    });
+
+    await readRawTile(archive, 14, 13960, 6344);
+    await readRawTile(archive, 14, 13960, 6344);
+    // Header (with the root directory) and tile, then the tile again
+    assert.deepEqual(lookups, [false, false, true]);
+    await source.close();
+  });
+});
+
+describe('HttpRangeSource', () => {
+  const archive = buildArchive(seoulTiles(30), {leafSize: 6});
+  const requests = [];
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    // /archive.pmtiles answers ranges in chunks of at most 100 bytes, /small.pmtiles ignores Range
+    const small = buildArchive(seoulTiles(2));
+    server = createServer((req, res) => {
+      requests.push(req.url);
+      if (req.url === '/small.pmtiles') {
+        res.setHeader('Content-Length', small.length);
+        res.end(small);
+        return;
+      }
+      const range = parseByteRange(req.headers.range, archive.length);
+      res.setHeader('ETag', '"v1"');
+      if (!range) {
+        res.statusCode = range === false ? 416 : 200;
+        res.setHeader('Content-Range', `bytes */${archive.length}`);
+        res.end(range === false ? undefined : archive);
+        return;
+      }
+      const end = Math.min(range.end, range.start + 99);
+      res.statusCode = 206;
+      res.setHeader('Content-Range', `bytes ${range.start}-${end}/${archive.length}`);
+      res.end(archive.subarray(range.start, end + 1));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test('reads an archive through short range responses', async () => {
+    const {archive: remote, source} = openArchive(`${baseUrl}/archive.pmtiles`);
+
+    assert.ok(source instanceof HttpRangeSource);
+    assert.equal(text((await remote.getZxy(14, 13985, 6344)).data), 'tile-25');
+    assert.equal(source.size, archive.length);
+    assert.equal((await remote.getHeader()).etag, '"v1"');
+  });
+
+  test('returns the available bytes for ranges past the end', async () => {
+    const source = createSource(`${baseUrl}/archive.pmtiles`);
+
+    assert.equal((await source.getBytes(archive.length - 5, 50)).data.byteLength, 5);
+    assert.equal((await source.getBytes(archive.length + 10, 50)).data.byteLength, 0);
+  });
+
+  test('throws EtagMismatch when the server has another version', async () => {
+    const source = createSource(`${baseUrl}/archive.pmtiles`);
+
+    await assert.rejects(source.getBytes(0, 16, undefined, '"v0"'), EtagMismatch);
+  });
+
+  test('accepts whole-file responses only when they fit the requested range', async () => {
+    const source = createSource(`${baseUrl}/small.pmtiles`);
+
+    const {data} = await source.getBytes(0, 16384);
+    assert.equal(data.byteLength, source.size);
+    await assert.rejects(source.getBytes(200, 10), /does not support HTTP range requests/);
+  });
+
+  test('shares one request between concurrent reads of a cached range', async () => {
+    const source = createSource(`${baseUrl}/archive.pmtiles`, {cache: new ByteLruCache(1 << 20)});
+    requests.length = 0;
+
+    const results = await Promise.all([source.getBytes(0, 50), source.getBytes(0, 50), source.getBytes(0, 50)]);
+    await source.getBytes(0, 50);
+    assert.equal(requests.length, 1);
+    results.forEach(({data}) => assert.equal(data.byteLength, 50));
+  });
+});
+
+describe('createSource', () => {
+  test('picks the source by location', () => {
+    assert.ok(createSource('https://tiles.example.com/a.pmtiles') instanceof HttpRangeSource);
+    assert.ok(createSource('/srv/tiles/a.pmtiles') instanceof NodeFileSource);
+    assert.ok(createSource(new Uint8Array(8)) instanceof MemorySource);
+    assert.equal(createSource(new Uint8Array(8), {key: 'built'}).getKey(), 'built');
+  });
+});
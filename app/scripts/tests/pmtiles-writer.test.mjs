@@ -0,0 +1,97 @@
+import {after, before, describe, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {mkdir, mkdtemp, readdir, rm} from 'node:fs/promises';
+import {tmpdir} from 'node:os';
+import {join} from 'node:path';
+import {Buffer} from 'node:buffer';
+import {Compression} from 'pmtiles';
+import {openArchive} from '../lib/pmtiles-source.mjs';
+import {readRawTile} from '../lib/pmtiles-utils.mjs';
+import {createPmtilesWriter} from '../lib/pmtiles-writer.mjs';
+
+const SEOUL_BOUNDS = [126.76, 37.41, 127.18, 37.7];
+
+describe('createPmtilesWriter', () => {
+  let directory;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'pmtiles-writer-'));
+  });
+
+  after(async () => {
+    await rm(directory, {recursive: true, force: true});
+  });
+
+  test('writes tiles added out of order with header, metadata and bounds', async () => {
+    const path = join(directory, 'small.pmtiles');
+    const writer = await createPmtilesWriter(path);
+    await writer.addTile(14, 13971, 6345, Buffer.from('d'));
+    await writer.addTile(12, 3492, 1586, Buffer.from('a'));
+    await writer.addTile(14, 13970, 6344, Buffer.from('c'));
+    await writer.addTile(13, 6985, 3172, Buffer.from('b'));
+    const result = await writer.finish({name: 'small'}, {bounds: SEOUL_BOUNDS});
+
+    const {archive, source} = openArchive(path);
+    const header = await archive.getHeader();
+    assert.equal(result.tiles, 4);
+    assert.equal(source.size, result.size);
+    assert.deepEqual([header.minZoom, header.maxZoom, header.numTileEntries], [12, 14, 4]);
+    assert.deepEqual([header.minLon, header.minLat, header.maxLon, header.maxLat], SEOUL_BOUNDS);
+    assert.equal(header.tileCompression, Compression.Gzip);
+    assert.deepEqual(await archive.getMetadata(), {name: 'small'});
+    assert.equal(Buffer.from((await archive.getZxy(13, 6985, 3172)).data).toString(), 'b');
+    assert.equal(Buffer.from((await archive.getZxy(14, 13971, 6345)).data).toString(), 'd');
+    assert.equal(await archive.getZxy(14, 13972, 6345), undefined);
+    assert.deepEqual((await readdir(directory)).sort(), ['small.pmtiles']);
+    await source.close();
+  });
+
+  test('moves entries into leaf directories when the root would not fit', async () => {
+    const path = join(directory, 'leaves.pmtiles');
+    const writer = await createPmtilesWriter(path, {compression: Compression.None});
+    // Scattered tile ids keep the directory from compressing into the root budget
+    const coords = [];
+    for (let x = 0; x < 200; x++) {
+      for (let y = 0; y < 100; y++) {
+        coords.push([15, 27900 + x * 3, 12680 + y * 3]);
+      }
+    }
+    for (const [z, x, y] of coords) {
+      await writer.addTile(z, x, y, Buffer.from(`${x}/${y}`));
+    }
+    await writer.finish({}, {bounds: SEOUL_BOUNDS});
+
+    const {archive, source} = openArchive(path);
+    const header = await archive.getHeader();
+    assert.ok(header.leafDirectoryLength > 0);
+    assert.ok(header.rootDirectoryLength <= 16384 - 127);
+    for (const [z, x, y] of [coords[0], coords[12345], coords[coords.length - 1]]) {
+      assert.equal(Buffer.from((await readRawTile(archive, z, x, y)).data).toString(), `${x}/${y}`);
+    }
+    await source.close();
+  });
+
+  test('spills tile data to the given directory', async () => {
+    const output = join(directory, 'output');
+    const spillDirectory = join(directory, 'spill');
+    await Promise.all([mkdir(output), mkdir(spillDirectory)]);
+    const writer = await createPmtilesWriter(join(output, 'spilled.pmtiles'), {spillDirectory});
+    await writer.addTile(12, 3492, 1586, Buffer.from('a'));
+
+    assert.deepEqual(await readdir(output), []);
+    assert.deepEqual(await readdir(spillDirectory), ['spilled.pmtiles.tiles']);
+    await writer.finish({}, {bounds: SEOUL_BOUNDS});
+    assert.deepEqual(await readdir(output), ['spilled.pmtiles']);
+    assert.deepEqual(await readdir(spillDirectory), []);
+  });
+
+  test('rejects duplicate tiles and cleans up on abort', async () => {
+    const path = join(directory, 'aborted.pmtiles');
+    const writer = await createPmtilesWriter(path);
+    await writer.addTile(12, 3492, 1586, Buffer.from('a'));
+
+    await assert.rejects(writer.addTile(12, 3492, 1586, Buffer.from('b')), /written twice/);
+    await writer.abort();
+    assert.ok(!(await readdir(directory)).some((name) => name.startsWith('aborted')));
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Writes small PMTiles v3 archives for tests, without the s2-pmtiles build dependency.
+ * Tiles are stored as given (any bytes will do); `leafSize` spreads the entries over leaf
+ * directories so lookups go through more than the root. `vectorTiles` cuts GeoJSON into real
+ * MVT tiles for the query and filter tests.
+ */
+import {Buffer} from 'node:buffer';
+import {gzipSync} from 'node:zlib';
+import geojsonvt from 'geojson-vt';
+import vtpbf from 'vt-pbf';
+import {Compression, TileType, zxyToTileId} from 'pmtiles';
+
+const HEADER_LENGTH = 127;
+
+function writeVarint(value, out) {
+  let remaining = value;
+  while (remaining >= 0x80) {
+    out.push((remaining % 0x80) | 0x80);
+    remaining = Math.floor(remaining / 0x80);
+  }
+  out.push(remaining);
+}
+
+function serializeDirectory(entries) {
+  const out = [];
+  writeVarint(entries.length, out);
+  let lastId = 0;
+  entries.forEach(({tileId}) => {
+    writeVarint(tileId - lastId, out);
+    lastId = tileId;
+  });
+  entries.forEach(({runLength}) => writeVarint(runLength, out));
+  entries.forEach(({length}) => writeVarint(length, out));
+  entries.forEach(({offset}) => writeVarint(offset + 1, out));
+  return Buffer.from(out);
+}
+
+/**
+ * @param {{z: number, x: number, y: number, data: string|Uint8Array}[]} tiles
+ * @param {{metadata?: object, compression?: number, leafSize?: number}} [options]
+ *   `compression` applies to directories, metadata and tiles (None or Gzip)
+ * @returns {Buffer}
+ */
+export function buildArchive(tiles, {metadata = {name: 'synthetic'}, compression = Compression.None, leafSize = 0} = {}) {
+  const encode = (bytes) => (compression === Compression.Gzip ? gzipSync(bytes) : Buffer.from(bytes));
+
+  const sorted = tiles
+    .map((tile) => ({...tile, tileId: zxyToTileId(tile.z, tile.x, tile.y)}))
+    .sort((a, b) => a.tileId - b.tileId);
+
+  let tileOffset = 0;
+  const tileData = [];
+  const entries = sorted.map(({tileId, data}) => {
+    const bytes = encode(typeof data === 'string' ? Buffer.from(data) : data);
+    tileData.push(bytes);
+    const entry = {tileId, offset: tileOffset, length: bytes.length, runLength: 1};
+    tileOffset += bytes.length;
+    return entry;
+  });
+
+  let rootEntries = entries;
+  const leaves = [];
+  if (leafSize > 0) {
+    let leafOffset = 0;
+    rootEntries = [];
+    for (let i = 0; i < entries.length; i += leafSize) {
+      const chunk = entries.slice(i, i + leafSize);
+      const leaf = encode(serializeDirectory(chunk));
+      leaves.push(leaf);
+      rootEntries.push({tileId: chunk[0].tileId, offset: leafOffset, length: leaf.length, runLength: 0});
+      leafOffset += leaf.length;
+    }
+  }
+
+  const root = encode(serializeDirectory(rootEntries));
+  const json = encode(Buffer.from(JSON.stringify(metadata)));
+  const leafData = Buffer.concat(leaves);
+  const tileBytes = Buffer.concat(tileData);
+  const zooms = sorted.map(({z}) => z);
+
+  const header = Buffer.alloc(HEADER_LENGTH);
+  header.write('PMTiles', 0);
+  header.writeUInt8(3, 7);
+  const layout = [
+    [HEADER_LENGTH, root.length],
+    [HEADER_LENGTH + root.length, json.length],
+    [HEADER_LENGTH + root.length + json.length, leafData.length],
+    [HEADER_LENGTH + root.length + json.length + leafData.length, tileBytes.length],
+  ];
+  layout.forEach(([offset, length], index) => {
+    header.writeBigUInt64LE(BigInt(offset), 8 + index * 16);
+    header.writeBigUInt64LE(BigInt(length), 16 + index * 16);
+  });
+  header.writeBigUInt64LE(BigInt(entries.length), 72);
+  header.writeBigUInt64LE(BigInt(entries.length), 80);
+  header.writeBigUInt64LE(BigInt(entries.length), 88);
+  header.writeUInt8(1, 96);
+  header.writeUInt8(compression, 97);
+  header.writeUInt8(compression, 98);
+  header.writeUInt8(TileType.Mvt, 99);
+  header.writeUInt8(Math.min(...zooms), 100);
+  header.writeUInt8(Math.max(...zooms), 101);
+  header.writeInt32LE(126.76 * 1e7, 102);
+  header.writeInt32LE(37.41 * 1e7, 106);
+  header.writeInt32LE(127.18 * 1e7, 110);
+  header.writeInt32LE(37.7 * 1e7, 114);
+  header.writeUInt8(Math.min(...zooms), 118);
+  header.writeInt32LE(126.97 * 1e7, 119);
+  header.writeInt32LE(37.56 * 1e7, 123);
+
+  return Buffer.concat([header, root, json, leafData, tileBytes]);
+}
+
+/** `count` tiles at zoom 14 in a row over Seoul, each holding the text `tile-{index}`. */
+export function seoulTiles(count) {
+  return Array.from({length: count}, (_, index) => ({z: 14, x: 13960 + index, y: 6344, data: `tile-${index}`}));
+}
+
+/**
+ * Five parcel squares in one row over 종로구 (PNU 11110...) and 중구 (11140...); the third
+ * straddles the edge between z14 tiles 13970 and 13971, and the fourth has no FAR_prediction.
+ */
+export function seoulParcels() {
+  return [
+    ['11110', 126.96, 100],
+    ['11110', 126.965, 180],
+    ['11110', 126.9795, 250],
+    ['11140', 126.985, null],
+    ['11140', 126.99, 420],
+  ].map(([district, lon, far], index) => ({
+    type: 'Feature',
+    properties: {
+      pnu: `${district}10100${String(index + 1).padStart(9, '0')}`,
+      ...(far === null ? {} : {FAR_prediction: far}),
+      SGG_NM: district === '11110' ? '종로구' : '중구',
+    },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[[lon, 37.565], [lon + 0.001, 37.565], [lon + 0.001, 37.566], [lon, 37.566], [lon, 37.565]]],
+    },
+  }));
+}
+
+/**
+ * Cuts features (lon/lat GeoJSON) into MVT tiles at zoom `z`, all in one layer.
+ * @returns {{z: number, x: number, y: number, data: Uint8Array}[]} Only the tiles holding features
+ */
+export function vectorTiles(features, {z = 14, layer = 'buildings'} = {}) {
+  const index = geojsonvt({type: 'FeatureCollection', features}, {maxZoom: z, indexMaxZoom: z, indexMaxPoints: 0});
+  const tiles = [];
+  const visit = (tileZ, x, y) => {
+    if (tileZ === z) {
+      const tile = index.getTile(z, x, y);
+      if (tile?.features.length) {
+        tiles.push({z, x, y, data: new Uint8Array(vtpbf.fromGeojsonVt({[layer]: tile}, {version: 2}))});
+      }
+      return;
+    }
+    for (const [childX, childY] of [[x * 2, y * 2], [x * 2 + 1, y * 2], [x * 2, y * 2 + 1], [x * 2 + 1, y * 2 + 1]]) {
+      if (index.getTile(tileZ + 1, childX, childY)) {
+        visit(tileZ + 1, childX, childY);
+      }
+    }
+  };
+  visit(0, 0, 0);
+  return tiles;
+}
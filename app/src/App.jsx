@@ -11,12 +11,51 @@ import {
 import './App.css';
 import 'mapbox-gl/dist/mapbox-gl.css';
 import './keplerTheme.css';
-import { loadBuildings } from './loadData';
+import { loadBuildings, loadBuildingsFieldStats } from './loadData';
 import KeplerGl from './keplerUI';
+import FarLegend from './FarLegend';
+import StyleControls from './StyleControls';
+import FilterPanel from './FilterPanel';
+import ParcelDetailPanel from './ParcelDetailPanel';
+import PnuSearch from './PnuSearch';
+import SelectionOverlay from './SelectionOverlay';
+import SelectionPanel from './SelectionPanel';
 import {
+  SELECTION_TOOLS,
+  isPointInPolygon,
+  polygonBounds,
+  representativeCoordinate,
+} from './selection';
+import { DEFAULT_LABEL_LOCALE } from './fieldLabels';
+import { registerPmtilesProtocol } from './pmtilesProtocol';
+import { readUrlState, writeUrlState } from './urlState';
+import { applyWorkspace, createWorkspace } from './schemaManager';
+import WorkspaceMenu from './WorkspaceMenu';
+import TilesetCatalog from './TilesetCatalog';
+import {
+  addCatalogTileset,
+  catalogSourceId,
+  fetchTilesetZoomRange,
+  removeCatalogTileset,
+} from './pmtilesCatalog';
+import { DEFAULT_BUILDINGS_FILTERS, createBuildingsFilter, hasActiveFilters } from './buildingsFilter';
+import {
+  BUILDINGS_LAYER_IDS,
+  BUILDINGS_TILESET_ID,
+  DEFAULT_FAR_STYLE,
+  FAR_COLOR_LAYERS,
+  FAR_COLOR_MODES,
+  OVERVIEW_COLOR_LAYERS,
+  OVERVIEW_LAYER_IDS,
+  PMTILES_SOURCE_MODE,
+  PMTILES_SOURCE_MODES,
   PMTILES_STYLE_ID,
   createSeoulPmtilesStyle,
   createExtrusionHeightExpression,
+  createFarColorExpression,
+  createOverviewColorExpression,
+  reloadPmtilesSource,
+  resolveFarColorScale,
 } from './pmtilesStyle';
 
 // Layer IDs for click detection - use fill layer for polygons (zoom 14+)
@@ -28,6 +67,28 @@ const EXTRUSION_LAYER_ID = 'far-buildings-extrusion';
 // Minimum zoom level where fill layer is visible
 const FILL_LAYER_MIN_ZOOM = 14;
 
+// Zoom used when flying to a searched parcel; high enough for the fill layer to be hit-testable
+const SEARCH_RESULT_ZOOM = 17;
+// Idle events to wait for the searched parcel's tile before giving up on showing its details
+const SEARCH_REVEAL_ATTEMPTS = 5;
+
+const BUILDINGS_FEATURE_TARGET = { source: 'buildings', sourceLayer: 'buildings' };
+
+const SELECTION_TOOL_LABELS = {
+  [SELECTION_TOOLS.click]: 'Click',
+  [SELECTION_TOOLS.rectangle]: 'Box',
+  [SELECTION_TOOLS.lasso]: 'Lasso',
+};
+
+// Use pnu property as the feature ID (this is the promoteId)
+const featureIdOf = (feature) => feature.properties?.pnu ?? feature.id;
+
+const toSelectionEntry = (feature) => ({
+  id: featureIdOf(feature),
+  properties: { ...(feature.properties ?? {}) },
+  geometry: feature.geometry ?? null,
+});
+
 const resolveMapInstance = (mapLike) => {
   if (!mapLike) {
     return null;
@@ -54,6 +115,56 @@ const resolveMapInstance = (mapLike) => {
   return mapLike;
 };
 
+const hasMapLayer = (map, id) => {
+  try {
+    return Boolean(map.getLayer(id));
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Runs `apply` now, or on the next styledata event that lets it succeed. `apply` returns
+ * false while the style (or the layers it targets) is not ready yet.
+ */
+const applyWhenStyleReady = (map, apply) => {
+  if (!map || typeof map.getLayer !== 'function') {
+    return;
+  }
+
+  const attempt = () => {
+    if (typeof map.isStyleLoaded === 'function' && !map.isStyleLoaded()) {
+      return false;
+    }
+    return apply();
+  };
+
+  if (!attempt()) {
+    const handleStyleOnce = () => {
+      if (attempt()) {
+        map.off('styledata', handleStyleOnce);
+      }
+    };
+    map.on('styledata', handleStyleOnce);
+  }
+};
+
+/**
+ * Counts distinct buildings currently drawn by the fill (zoom 14+) or points layers.
+ */
+const countRenderedBuildings = (map) => {
+  const layers = [FILL_LAYER_ID, POINTS_LAYER_ID].filter((id) => hasMapLayer(map, id));
+  if (!layers.length) {
+    return null;
+  }
+
+  const ids = new Set();
+  map.queryRenderedFeatures({ layers }).forEach((feature) => {
+    ids.add(feature.properties?.pnu ?? feature.id);
+  });
+  return ids.size;
+};
+
 function App() {
   const dispatch = useDispatch();
   const token = import.meta.env.VITE_MAPBOX_TOKEN;
@@ -63,6 +174,13 @@ function App() {
     (state) => state.keplerGl?.map?.uiState?.splitMaps?.length ?? 0,
   );
   const isSplit = splitCount > 0;
+  const isSplitRef = useRef(isSplit);
+  // View state from a shared link, read once before the dataset loads
+  const [initialUrlState] = useState(readUrlState);
+  const pendingPnuRef = useRef(initialUrlState.pnu);
+  const pendingExtrusionRef = useRef(initialUrlState.extrusion);
+  const isDatasetReadyRef = useRef(false);
+  const urlStateListenerRef = useRef(null);
   const farLayer = useSelector((state) =>
     state.keplerGl?.map?.visState?.layers?.find((layer) => layer.id === 'buildings-far-3d'),
   );
@@ -70,8 +188,41 @@ function App() {
   const mapboxRef = useRef(null);
   const hoverDetachRef = useRef(null);
   const hoverStyleListenerRef = useRef(null);
+  // Selected parcels keyed by PNU; mirrored into state for the selection summary
+  const selectionRef = useRef(new Map());
+  const [selectedFeatures, setSelectedFeatures] = useState([]);
+  const [selectionTool, setSelectionTool] = useState(SELECTION_TOOLS.click);
   const extrusionEnabledRef = useRef(isExtrusionEnabled);
-  const [hoverInfo, setHoverInfo] = useState(null);
+  // Properties of the parcel shown in the detail panel
+  const [detailProperties, setDetailProperties] = useState(null);
+  const [labelLocale, setLabelLocale] = useState(DEFAULT_LABEL_LOCALE);
+  const [farStyle, setFarStyle] = useState(initialUrlState.farStyle);
+  const farStyleRef = useRef(farStyle);
+  const [fieldStats, setFieldStats] = useState(null);
+  const fieldStatsRef = useRef(fieldStats);
+  const [summaryFields, setSummaryFields] = useState([]);
+  const [buildingsFilters, setBuildingsFilters] = useState(
+    initialUrlState.filters ?? DEFAULT_BUILDINGS_FILTERS,
+  );
+  const buildingsFiltersRef = useRef(buildingsFilters);
+  const [isFilterPanelOpen, setIsFilterPanelOpen] = useState(false);
+  const [isWorkspaceMenuOpen, setIsWorkspaceMenuOpen] = useState(false);
+  const [isCatalogOpen, setIsCatalogOpen] = useState(false);
+  // Catalog tilesets shown on the map, keyed by id; re-added whenever the map instance changes
+  const catalogTilesetsRef = useRef(new Map());
+  const [registeredTilesetIds, setRegisteredTilesetIds] = useState([]);
+  const [matchCount, setMatchCount] = useState(null);
+  const matchCountListenerRef = useRef(null);
+  const isFiltered = hasActiveFilters(buildingsFilters);
+  const isResidualMode = farStyle.mode === FAR_COLOR_MODES.residual;
+  const activeScale = useMemo(
+    () => resolveFarColorScale(farStyle, { stats: fieldStats }),
+    [farStyle, fieldStats],
+  );
+  const colorExpression = useMemo(
+    () => createFarColorExpression(farStyle, { stats: fieldStats }),
+    [farStyle, fieldStats],
+  );
 
   const [loadInfo, setLoadInfo] = useState(() => ({
     status:
@@ -94,56 +245,86 @@ function App() {
       return undefined;
     }
 
-    const pmtilesStyle = createSeoulPmtilesStyle();
+    let cancelled = false;
 
-    // Helpful trace during development to confirm PMTiles style registration.
-    console.log('[pmtiles] Loading custom style', {
-      basemap: pmtilesStyle.sources?.protomaps?.tiles,
-      buildings: pmtilesStyle.sources?.buildings?.tiles,
-    });
+    const loadStyle = (buildingsZoomRange) => {
+      if (cancelled) {
+        return;
+      }
+      const pmtilesStyle = createSeoulPmtilesStyle({ buildingsMinZoom: buildingsZoomRange?.minzoom });
+
+      // Helpful trace during development to confirm PMTiles style registration.
+      console.log('[pmtiles] Loading custom style', {
+        mode: PMTILES_SOURCE_MODE,
+        basemap: pmtilesStyle.sources?.protomaps?.tiles ?? pmtilesStyle.sources?.protomaps?.url,
+        buildings: pmtilesStyle.sources?.buildings?.tiles ?? pmtilesStyle.sources?.buildings?.url,
+        buildingsMinZoom: pmtilesStyle.sources?.buildings?.minzoom ?? 'archive header',
+      });
 
-    dispatch(
-      MapStyleActions.loadMapStyles({
-        [PMTILES_STYLE_ID]: {
-          id: PMTILES_STYLE_ID,
-          label: 'Seoul PMTiles',
-          url: null,
-          layerGroups: [],
-          style: pmtilesStyle,
-        },
-      }),
-    );
+      dispatch(
+        MapStyleActions.loadMapStyles({
+          [PMTILES_STYLE_ID]: {
+            id: PMTILES_STYLE_ID,
+            label: 'Seoul PMTiles',
+            url: null,
+            layerGroups: [],
+            style: pmtilesStyle,
+          },
+        }),
+      );
+
+      dispatch(MapStyleActions.mapStyleChange(PMTILES_STYLE_ID));
+    };
 
-    dispatch(MapStyleActions.mapStyleChange(PMTILES_STYLE_ID));
+    // Archive sources use pmtiles:// URLs, which MapLibre can only resolve once the protocol exists;
+    // their TileJSON carries the archive's zoom range. Tile URLs take it from the catalog.
+    if (PMTILES_SOURCE_MODE === PMTILES_SOURCE_MODES.archive) {
+      registerPmtilesProtocol()
+        .then(() => loadStyle(null))
+        .catch((error) => console.error('[pmtiles] Failed to register pmtiles:// protocol', error));
+    } else {
+      fetchTilesetZoomRange(BUILDINGS_TILESET_ID)
+        .catch((error) => {
+          console.warn('[pmtiles] Failed to read the buildings zoom range from the catalog', error);
+          return null;
+        })
+        .then(loadStyle);
+    }
 
-    return undefined;
+    return () => {
+      cancelled = true;
+    };
   }, [dispatch]);
 
+  // Dev server only: a rebuilt archive is swapped in without reloading the page
   useEffect(() => {
-    // Load GeoJSON dataset once Redux store is ready
-    if (didRequestDataset.current) {
+    if (!import.meta.hot) {
       return undefined;
     }
 
-    didRequestDataset.current = true;
-
-    let cancelled = false;
-
-    loadBuildings(dispatch).catch((error) => {
-      if (cancelled) {
+    const handleArchiveUpdate = ({ id, kind, version }) => {
+      if (kind === 'summary') {
+        // New statistics re-derive the legend and data-driven classification breaks
+        if (id === BUILDINGS_TILESET_ID) {
+          loadBuildingsFieldStats()
+            .then(({ stats, fields }) => {
+              setFieldStats(stats);
+              setSummaryFields(fields);
+              console.log('[pmtiles] Summary changed on disk', { id, version });
+            })
+            .catch((error) => console.error('[pmtiles] Failed to reload summary', error));
+        }
         return;
       }
-
-      if (typeof globalThis !== 'undefined') {
-        globalThis.__BUILDINGS_DATASET_STATUS__ = 'error';
-      }
-      console.error('Unable to load buildings dataset', error);
-    });
-
-    return () => {
-      cancelled = true;
+      const reloaded = catalogTilesetsRef.current.has(id)
+        ? reloadPmtilesSource(mapboxRef.current, id, version, catalogSourceId(id))
+        : reloadPmtilesSource(mapboxRef.current, id, version);
+      console.log('[pmtiles] Archive changed on disk', { id, version, reloaded });
     };
-  }, [dispatch]);
+
+    import.meta.hot.on('pmtiles:update', handleArchiveUpdate);
+    return () => import.meta.hot.off('pmtiles:update', handleArchiveUpdate);
+  }, []);
 
   useEffect(() => {
     if (typeof window === 'undefined') {
@@ -263,6 +444,359 @@ function App() {
     extrusionEnabledRef.current = isExtrusionEnabled;
   }, [isExtrusionEnabled]);
 
+  const syncFarColors = useCallback((style) => {
+    const map = mapboxRef.current;
+    applyWhenStyleReady(map, () => {
+      const options = { stats: fieldStatsRef.current };
+      let applied = false;
+      [
+        [FAR_COLOR_LAYERS, createFarColorExpression(style, options)],
+        [OVERVIEW_COLOR_LAYERS, createOverviewColorExpression(style, options)],
+      ].forEach(([layers, colorExpression]) => {
+        const serialized = JSON.stringify(colorExpression);
+        layers.forEach(({ id, paintProperty }) => {
+          if (!hasMapLayer(map, id)) {
+            return;
+          }
+          applied = true;
+          // Skip no-op updates so styledata listeners do not loop on their own changes
+          if (JSON.stringify(map.getPaintProperty(id, paintProperty)) === serialized) {
+            return;
+          }
+          map.setPaintProperty(id, paintProperty, colorExpression);
+        });
+      });
+      return applied;
+    });
+  }, []);
+
+  const syncBuildingsFilter = useCallback((filters) => {
+    const map = mapboxRef.current;
+    applyWhenStyleReady(map, () => {
+      const filterExpression = createBuildingsFilter(filters);
+      const serialized = JSON.stringify(filterExpression);
+      let applied = false;
+      BUILDINGS_LAYER_IDS.forEach((id) => {
+        if (!hasMapLayer(map, id)) {
+          return;
+        }
+        applied = true;
+        if (JSON.stringify(map.getFilter(id)) === serialized) {
+          return;
+        }
+        map.setFilter(id, filterExpression);
+      });
+      // Aggregates cover every parcel, so they would misreport a filtered view
+      const overviewVisibility = hasActiveFilters(filters) ? 'none' : 'visible';
+      OVERVIEW_LAYER_IDS.forEach((id) => {
+        if (hasMapLayer(map, id) && map.getLayoutProperty(id, 'visibility') !== overviewVisibility) {
+          map.setLayoutProperty(id, 'visibility', overviewVisibility);
+        }
+      });
+      return applied;
+    });
+  }, []);
+
+  useEffect(() => {
+    buildingsFiltersRef.current = buildingsFilters;
+    syncBuildingsFilter(buildingsFilters);
+  }, [buildingsFilters, syncBuildingsFilter]);
+
+  const updateMatchCount = useCallback(() => {
+    const map = mapboxRef.current;
+    if (!map) {
+      return;
+    }
+    setMatchCount(countRenderedBuildings(map));
+  }, []);
+
+  useEffect(() => {
+    farStyleRef.current = farStyle;
+    fieldStatsRef.current = fieldStats;
+    syncFarColors(farStyle);
+  }, [farStyle, fieldStats, syncFarColors]);
+
+  /**
+   * Replaces the selection with `next` (a Map of PNU -> selection entry), moving the `selected`
+   * feature-state only for parcels that entered or left it. Map clicks, box/lasso and PNU
+   * search all go through here so every selected parcel is highlighted the same way.
+   */
+  const commitSelection = useCallback((next) => {
+    const map = mapboxRef.current;
+    const previous = selectionRef.current;
+    selectionRef.current = next;
+    setSelectedFeatures([...next.values()]);
+    if (!map) {
+      return;
+    }
+
+    previous.forEach((_, id) => {
+      if (!next.has(id)) {
+        map.setFeatureState({ ...BUILDINGS_FEATURE_TARGET, id }, { selected: false });
+      }
+    });
+    next.forEach((_, id) => {
+      if (!previous.has(id)) {
+        map.setFeatureState({ ...BUILDINGS_FEATURE_TARGET, id }, { selected: true });
+      }
+    });
+  }, []);
+
+  const setSelectedFeature = useCallback(
+    (entry) => {
+      commitSelection(entry ? new Map([[entry.id, entry]]) : new Map());
+    },
+    [commitSelection],
+  );
+
+  const handleClearSelection = useCallback(() => {
+    commitSelection(new Map());
+    setDetailProperties(null);
+  }, [commitSelection]);
+
+  /**
+   * Selects a parcel by PNU and fills in its properties once its tile has loaded. Used by PNU
+   * search and when restoring the selection from a shared link.
+   */
+  const selectParcel = useCallback(
+    (pnu) => {
+      setSelectedFeature({ id: pnu, properties: { pnu }, geometry: null });
+      setDetailProperties(null);
+
+      const map = mapboxRef.current;
+      if (!map) {
+        return;
+      }
+
+      // The parcel's tile may not be loaded yet; look for its properties after each idle
+      let attempts = 0;
+      const revealFeature = () => {
+        attempts++;
+        const [feature] = map.querySourceFeatures('buildings', {
+          sourceLayer: 'buildings',
+          filter: ['==', ['to-string', ['get', 'pnu']], pnu],
+        });
+        if (feature) {
+          if (selectionRef.current.has(pnu)) {
+            setSelectedFeature(toSelectionEntry(feature));
+          }
+          setDetailProperties(feature.properties ?? {});
+          return;
+        }
+        if (attempts < SEARCH_REVEAL_ATTEMPTS) {
+          map.once('idle', revealFeature);
+        }
+      };
+      map.once('idle', revealFeature);
+    },
+    [setSelectedFeature],
+  );
+
+  const handleSearchSelect = useCallback(
+    ({ pnu, longitude, latitude }) => {
+      console.log('[search] Flying to parcel', { pnu, longitude, latitude });
+      dispatch(MapStateActions.updateMap({ longitude, latitude, zoom: SEARCH_RESULT_ZOOM }, 0));
+      selectParcel(pnu);
+    },
+    [dispatch, selectParcel],
+  );
+
+  // Applies the PNU from a shared link once both the map and the dataset are available.
+  const restorePendingSelection = useCallback(() => {
+    const map = mapboxRef.current;
+    const pnu = pendingPnuRef.current;
+    if (!map || !pnu || !isDatasetReadyRef.current) {
+      return;
+    }
+
+    pendingPnuRef.current = null;
+    applyWhenStyleReady(map, () => {
+      if (!hasMapLayer(map, FILL_LAYER_ID) && !hasMapLayer(map, POINTS_LAYER_ID)) {
+        return false;
+      }
+      selectParcel(pnu);
+      return true;
+    });
+  }, [selectParcel]);
+
+  /**
+   * Mirrors the current view, selection and style options into the URL hash. Skipped until the
+   * dataset has loaded so the initial camera does not overwrite a shared link.
+   */
+  const syncUrlState = useCallback(() => {
+    if (!isDatasetReadyRef.current) {
+      return;
+    }
+
+    const map = mapboxRef.current;
+    const center = map?.getCenter?.();
+    const [selectedId] = selectionRef.current.size === 1 ? selectionRef.current.keys() : [];
+    writeUrlState({
+      view: center
+        ? {
+            longitude: center.lng,
+            latitude: center.lat,
+            zoom: map.getZoom(),
+            bearing: map.getBearing(),
+            pitch: map.getPitch(),
+          }
+        : null,
+      pnu: selectedId === undefined ? null : String(selectedId),
+      extrusion: extrusionEnabledRef.current,
+      split: isSplitRef.current,
+      farStyle: farStyleRef.current,
+      filters: buildingsFiltersRef.current,
+    });
+  }, []);
+
+  useEffect(() => {
+    isSplitRef.current = isSplit;
+    syncUrlState();
+  }, [farStyle, buildingsFilters, isExtrusionEnabled, isSplit, selectedFeatures, syncUrlState]);
+
+  useEffect(() => {
+    // Load GeoJSON dataset once Redux store is ready
+    if (didRequestDataset.current) {
+      return undefined;
+    }
+
+    didRequestDataset.current = true;
+
+    let cancelled = false;
+
+    // StrictMode re-runs this effect with the request already in flight, so results are
+    // applied regardless of `cancelled`; React ignores state updates after unmount.
+    loadBuildings(dispatch, { initialView: initialUrlState.view })
+      .then(({ stats, fields }) => {
+        setFieldStats(stats);
+        setSummaryFields(fields);
+        isDatasetReadyRef.current = true;
+        if (initialUrlState.split) {
+          dispatch(toggleSplitMap());
+        }
+        restorePendingSelection();
+        syncUrlState();
+      })
+      .catch((error) => {
+        if (cancelled) {
+          return;
+        }
+
+        if (typeof globalThis !== 'undefined') {
+          globalThis.__BUILDINGS_DATASET_STATUS__ = 'error';
+        }
+        console.error('Unable to load buildings dataset', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [dispatch, initialUrlState, restorePendingSelection, syncUrlState]);
+
+  const handleToggleFilterPanel = useCallback(() => {
+    setIsFilterPanelOpen((open) => !open);
+  }, []);
+
+  const handleApplyFilters = useCallback((filters) => {
+    setBuildingsFilters(filters);
+  }, []);
+
+  const handleClearFilters = useCallback(() => {
+    setBuildingsFilters(DEFAULT_BUILDINGS_FILTERS);
+  }, []);
+
+  const handleToggleCatalog = useCallback(() => {
+    setIsCatalogOpen((open) => !open);
+  }, []);
+
+  const handleToggleTileset = useCallback((tileset, enabled) => {
+    const map = mapboxRef.current;
+    if (enabled) {
+      catalogTilesetsRef.current.set(tileset.id, tileset);
+      addCatalogTileset(map, tileset);
+    } else {
+      catalogTilesetsRef.current.delete(tileset.id);
+      removeCatalogTileset(map, tileset);
+    }
+    setRegisteredTilesetIds([...catalogTilesetsRef.current.keys()]);
+  }, []);
+
+  const handleToggleWorkspaceMenu = useCallback(() => {
+    setIsWorkspaceMenuOpen((open) => !open);
+  }, []);
+
+  // The kepler schema only covers the hidden kepler layer; the MapLibre styling lives here
+  const handleCaptureWorkspace = useCallback(
+    () =>
+      createWorkspace({
+        farStyle: farStyleRef.current,
+        filters: buildingsFiltersRef.current,
+        extrusion: extrusionEnabledRef.current,
+        // Properties keep the selection summary meaningful; geometries are re-read from tiles
+        selection: [...selectionRef.current.values()].map(({ id, properties }) => ({ id: String(id), properties })),
+      }),
+    [],
+  );
+
+  const handleOpenWorkspace = useCallback(
+    (workspace) => {
+      const app = applyWorkspace(workspace);
+      console.log('[workspace] Applied workspace', { hasAppState: Boolean(app) });
+      if (!app) {
+        return;
+      }
+
+      setFarStyle(app.farStyle ?? DEFAULT_FAR_STYLE);
+      setBuildingsFilters({ ...DEFAULT_BUILDINGS_FILTERS, ...app.filters });
+      // applySchema recreates the kepler layer; the farLayer effect re-enables 3D when needed
+      pendingExtrusionRef.current = Boolean(app.extrusion);
+
+      const selection = Array.isArray(app.selection) ? app.selection.filter((entry) => entry?.id) : [];
+      if (selection.length === 1) {
+        selectParcel(selection[0].id);
+        return;
+      }
+      commitSelection(
+        new Map(selection.map(({ id, properties }) => [id, { id, properties: properties ?? { pnu: id }, geometry: null }])),
+      );
+      setDetailProperties(null);
+    },
+    [commitSelection, selectParcel],
+  );
+
+  const handleToggleResidual = useCallback(() => {
+    setFarStyle((style) => ({
+      ...style,
+      mode: style.mode === FAR_COLOR_MODES.residual ? FAR_COLOR_MODES.prediction : FAR_COLOR_MODES.residual,
+    }));
+  }, []);
+
+  const updateActiveScale = useCallback((changes) => {
+    setFarStyle((style) => ({
+      ...style,
+      scales: {
+        ...style.scales,
+        [style.mode]: { ...style.scales[style.mode], ...changes },
+      },
+    }));
+  }, []);
+
+  const handlePaletteChange = useCallback((palette) => updateActiveScale({ palette }), [updateActiveScale]);
+
+  const handleDomainChange = useCallback((domain) => updateActiveScale({ domain }), [updateActiveScale]);
+
+  const handleClassificationChange = useCallback(
+    (changes) => {
+      const current = farStyleRef.current.scales[farStyleRef.current.mode]?.classification;
+      updateActiveScale({ classification: { ...current, ...changes } });
+    },
+    [updateActiveScale],
+  );
+
+  const handleResetScale = useCallback(() => {
+    updateActiveScale(DEFAULT_FAR_STYLE.scales[farStyleRef.current.mode]);
+  }, [updateActiveScale]);
+
   const attachHoverHandlers = useCallback((map) => {
     if (!map) {
       return false;
@@ -290,8 +824,6 @@ function App() {
 
     console.log('[click] Setting up click handlers...');
 
-    let selectedFeatureId = null;
-
     /**
      * Query features at a point using ONLY the fill layer for accurate polygon hit testing.
      * The points (circle) layer returns all circles within radius, which is imprecise.
@@ -358,7 +890,7 @@ function App() {
       return [];
     };
 
-    const handleClick = (point) => {
+    const handleClick = (point, { additive = false } = {}) => {
       console.log('[click] Processing click at', point);
 
       const features = queryFeaturesAtPoint(point);
@@ -367,8 +899,7 @@ function App() {
       const feature = features?.[0];
 
       if (feature) {
-        // Use pnu property as the feature ID (this is the promoteId)
-        const featureId = feature.properties?.pnu ?? feature.id;
+        const featureId = featureIdOf(feature);
         console.log('[click] Feature found:', {
           pnu: feature.properties?.pnu,
           featureId: featureId,
@@ -376,50 +907,40 @@ function App() {
           FAR: feature.properties?.FAR_prediction,
         });
 
-        // Clear previous selection
-        if (selectedFeatureId !== null && selectedFeatureId !== featureId) {
-          map.setFeatureState(
-            { source: 'buildings', sourceLayer: 'buildings', id: selectedFeatureId },
-            { selected: false }
-          );
+        // Shift-click toggles the parcel in a multi-selection
+        if (additive) {
+          const next = new Map(selectionRef.current);
+          if (next.has(featureId)) {
+            next.delete(featureId);
+            setDetailProperties(null);
+          } else {
+            next.set(featureId, toSelectionEntry(feature));
+            setDetailProperties(feature.properties ?? {});
+          }
+          commitSelection(next);
+          return;
         }
 
-        // If clicking the same feature, deselect it
-        if (selectedFeatureId === featureId) {
-          map.setFeatureState(
-            { source: 'buildings', sourceLayer: 'buildings', id: featureId },
-            { selected: false }
-          );
-          selectedFeatureId = null;
-          setHoverInfo(null);
+        // If clicking the only selected feature, deselect it
+        if (selectionRef.current.size === 1 && selectionRef.current.has(featureId)) {
+          setSelectedFeature(null);
+          setDetailProperties(null);
           console.log('[click] Deselected feature');
           return;
         }
 
-        // Select new feature
-        selectedFeatureId = featureId;
-        map.setFeatureState(
-          { source: 'buildings', sourceLayer: 'buildings', id: selectedFeatureId },
-          { selected: true }
-        );
+        // Select new feature (clears the previous selection)
+        setSelectedFeature(toSelectionEntry(feature));
 
-        // Update tooltip at click position
-        setHoverInfo({
-          x: point.x + 12,
-          y: point.y + 12,
-          properties: feature.properties ?? {},
-        });
-        console.log('[click] Selected feature:', selectedFeatureId);
+        // Show the parcel in the detail panel
+        setDetailProperties(feature.properties ?? {});
+        console.log('[click] Selected feature:', featureId);
       } else {
-        // Clear selection when clicking empty area
-        if (selectedFeatureId !== null) {
-          map.setFeatureState(
-            { source: 'buildings', sourceLayer: 'buildings', id: selectedFeatureId },
-            { selected: false }
-          );
+        // Clear selection when clicking empty area (shift-clicks keep it)
+        if (!additive) {
+          setSelectedFeature(null);
         }
-        selectedFeatureId = null;
-        setHoverInfo(null);
+        setDetailProperties(null);
         console.log('[click] No feature at click point');
       }
     };
@@ -444,6 +965,11 @@ function App() {
         return;
       }
 
+      // Clicks on panels floating over the map (search, filters, legend) are not map clicks
+      if (domEvent.target instanceof Element && domEvent.target.closest('[data-map-overlay]')) {
+        return;
+      }
+
       // Convert DOM event to Mapbox-compatible point
       const point = {
         x: domEvent.clientX - rect.left,
@@ -453,7 +979,7 @@ function App() {
       console.log('[click] Window click at', point);
 
       // Query features at click point
-      handleClick(point);
+      handleClick(point, { additive: domEvent.shiftKey });
     };
 
     // Use capture phase to get events before deck.gl
@@ -467,7 +993,52 @@ function App() {
     };
 
     return true;
-  }, []);
+  }, [commitSelection, setSelectedFeature]);
+
+  /**
+   * Selects every rendered parcel inside a rectangle or lasso drawn in client coordinates.
+   * Lasso membership is decided by each parcel's representative point.
+   */
+  const handleShapeSelect = useCallback(
+    (shape, { additive }) => {
+      const map = mapboxRef.current;
+      if (!map) {
+        return;
+      }
+
+      const rect = map.getContainer().getBoundingClientRect();
+      const points = shape.map(([x, y]) => [x - rect.left, y - rect.top]);
+      const bounds = polygonBounds(points);
+      const layerId = map.getZoom() >= FILL_LAYER_MIN_ZOOM ? FILL_LAYER_ID : POINTS_LAYER_ID;
+      if (!hasMapLayer(map, layerId)) {
+        return;
+      }
+
+      let features = map.queryRenderedFeatures(bounds, { layers: [layerId] });
+      if (selectionTool === SELECTION_TOOLS.lasso) {
+        features = features.filter((feature) => {
+          const coordinate = representativeCoordinate(feature.geometry);
+          if (!coordinate) {
+            return false;
+          }
+          const { x, y } = map.project(coordinate);
+          return isPointInPolygon([x, y], points);
+        });
+      }
+
+      const next = additive ? new Map(selectionRef.current) : new Map();
+      features.forEach((feature) => {
+        const id = featureIdOf(feature);
+        if (!next.has(id)) {
+          next.set(id, toSelectionEntry(feature));
+        }
+      });
+      console.log(`[select] ${selectionTool} selected ${features.length} features (${next.size} total)`);
+      commitSelection(next);
+      setDetailProperties(null);
+    },
+    [commitSelection, selectionTool],
+  );
 
   const ensureHoverHandlers = useCallback(
     (map) => {
@@ -521,6 +1092,9 @@ function App() {
             attachHoverHandlers(map);
           }
           syncExtrusionVisibility(extrusionEnabledRef.current);
+          // kepler.gl restores the default style on swaps, which resets the FAR ramp and filters
+          syncFarColors(farStyleRef.current);
+          syncBuildingsFilter(buildingsFiltersRef.current);
         };
 
         map.on('styledata', handleStyleData);
@@ -530,7 +1104,7 @@ function App() {
         };
       }
     },
-    [attachHoverHandlers, syncExtrusionVisibility],
+    [attachHoverHandlers, syncExtrusionVisibility, syncFarColors, syncBuildingsFilter],
   );
 
   useEffect(() => () => {
@@ -540,6 +1114,14 @@ function App() {
     if (hoverStyleListenerRef.current && mapboxRef.current) {
       hoverStyleListenerRef.current();
     }
+    if (matchCountListenerRef.current) {
+      matchCountListenerRef.current();
+      matchCountListenerRef.current = null;
+    }
+    if (urlStateListenerRef.current) {
+      urlStateListenerRef.current();
+      urlStateListenerRef.current = null;
+    }
   }, []);
 
   const handleToggleExtrusion = useCallback(() => {
@@ -574,6 +1156,22 @@ function App() {
     syncExtrusionVisibility(isExtrusionEnabled);
   }, [isExtrusionEnabled, syncExtrusionVisibility]);
 
+  // Re-enable 3D from a shared link once the kepler layer exists; pitch comes from the link view
+  useEffect(() => {
+    if (!farLayer || !pendingExtrusionRef.current) {
+      return;
+    }
+    pendingExtrusionRef.current = false;
+    if (!isExtrusionEnabled) {
+      dispatch(
+        VisStateActions.layerVisConfigChange(farLayer, {
+          enable3d: true,
+          elevationScale: 0.1,
+        }),
+      );
+    }
+  }, [dispatch, farLayer, isExtrusionEnabled]);
+
   // Keep kepler.gl layer always hidden - Mapbox style layers handle rendering
   // This allows queryRenderedFeatures to work for hover/click events
   useEffect(() => {
@@ -636,9 +1234,31 @@ function App() {
       ensureBlendExtension(map);
       ensureHoverHandlers(map);
       syncExtrusionVisibility(extrusionEnabledRef.current);
+      syncFarColors(farStyleRef.current);
+      syncBuildingsFilter(buildingsFiltersRef.current);
+      catalogTilesetsRef.current.forEach((tileset) => addCatalogTileset(map, tileset));
+      if (!matchCountListenerRef.current) {
+        map.on('idle', updateMatchCount);
+        matchCountListenerRef.current = () => map.off('idle', updateMatchCount);
+      }
+      if (!urlStateListenerRef.current) {
+        map.on('moveend', syncUrlState);
+        urlStateListenerRef.current = () => map.off('moveend', syncUrlState);
+      }
+      restorePendingSelection();
       disableDeckGlPointerEvents(map);
     },
-    [ensureBlendExtension, ensureHoverHandlers, syncExtrusionVisibility, disableDeckGlPointerEvents],
+    [
+      ensureBlendExtension,
+      ensureHoverHandlers,
+      syncExtrusionVisibility,
+      syncFarColors,
+      syncBuildingsFilter,
+      updateMatchCount,
+      syncUrlState,
+      restorePendingSelection,
+      disableDeckGlPointerEvents,
+    ],
   );
 
   const renderKepler = useCallback(
@@ -656,7 +1276,7 @@ function App() {
 
   return (
     <div className="app">
-      <div className="control-panel" role="region" aria-label="Map tooling">
+      <div className="control-panel" role="region" aria-label="Map tooling" data-map-overlay>
         <div className="control-buttons">
           <button type="button" onClick={handleToggleSplit} className="control-button">
             {isSplit ? 'Merge View' : 'Split View'}
@@ -669,7 +1289,77 @@ function App() {
           >
             {isExtrusionEnabled ? 'Disable 3D' : 'Enable 3D'}
           </button>
+          <button
+            type="button"
+            onClick={handleToggleResidual}
+            className={`control-button secondary ${isResidualMode ? 'active' : ''}`}
+            aria-pressed={isResidualMode}
+          >
+            {isResidualMode ? 'Show FAR' : 'Show Residual'}
+          </button>
+          <button
+            type="button"
+            onClick={handleToggleFilterPanel}
+            className={`control-button secondary ${isFiltered ? 'active' : ''}`}
+            aria-expanded={isFilterPanelOpen}
+          >
+            {isFiltered ? 'Filters •' : 'Filters'}
+          </button>
+          <button
+            type="button"
+            onClick={handleToggleWorkspaceMenu}
+            className={`control-button secondary ${isWorkspaceMenuOpen ? 'active' : ''}`}
+            aria-expanded={isWorkspaceMenuOpen}
+          >
+            Workspaces
+          </button>
+          <button
+            type="button"
+            onClick={handleToggleCatalog}
+            className={`control-button secondary ${registeredTilesetIds.length ? 'active' : ''}`}
+            aria-expanded={isCatalogOpen}
+          >
+            Tilesets
+          </button>
         </div>
+        <div className="control-buttons" role="group" aria-label="Selection tool">
+          {Object.values(SELECTION_TOOLS).map((tool) => (
+            <button
+              key={tool}
+              type="button"
+              onClick={() => setSelectionTool(tool)}
+              className={`control-button secondary ${selectionTool === tool ? 'active' : ''}`}
+              aria-pressed={selectionTool === tool}
+            >
+              {SELECTION_TOOL_LABELS[tool]}
+            </button>
+          ))}
+        </div>
+        <PnuSearch onSelect={handleSearchSelect} />
+        {isFilterPanelOpen ? (
+          <FilterPanel
+            key={JSON.stringify(buildingsFilters)}
+            filters={buildingsFilters}
+            fields={summaryFields}
+            matchCount={matchCount}
+            onApply={handleApplyFilters}
+            onClear={handleClearFilters}
+          />
+        ) : null}
+        {isWorkspaceMenuOpen ? (
+          <WorkspaceMenu onCapture={handleCaptureWorkspace} onOpen={handleOpenWorkspace} />
+        ) : null}
+        {isCatalogOpen ? (
+          <TilesetCatalog registeredIds={registeredTilesetIds} onToggle={handleToggleTileset} />
+        ) : null}
+        <StyleControls
+          key={`${activeScale.mode}:${activeScale.domain.join(',')}:${activeScale.classification.breaks.join(',')}`}
+          scale={activeScale}
+          onPaletteChange={handlePaletteChange}
+          onDomainChange={handleDomainChange}
+          onClassificationChange={handleClassificationChange}
+          onReset={handleResetScale}
+        />
         <div className="control-status" aria-live="polite">
           <span className="status-label">{displayStatus}</span>
           <span className="status-detail">rows: {displayRows}</span>
@@ -679,52 +1369,19 @@ function App() {
         </div>
         {isTestMode && <span className="test-badge">TEST MODE</span>}
       </div>
-      {hoverInfo ? (
-        <div
-          className="map-tooltip"
-          style={{ left: hoverInfo.x, top: hoverInfo.y }}
-          role="status"
-          aria-live="polite"
-        >
-          <p className="map-tooltip__label">PNU</p>
-          <p className="map-tooltip__value">{hoverInfo.properties?.pnu ?? '—'}</p>
-          {hoverInfo.properties?.a10 ? (
-            <>
-              <p className="map-tooltip__label">Building</p>
-              <p className="map-tooltip__value">{hoverInfo.properties.a10}</p>
-            </>
-          ) : null}
-          {(() => {
-            const MAX_FAR = 2000;
-            const originalFar = hoverInfo.properties?.a30;
-            const predictedFar = hoverInfo.properties?.FAR_prediction;
-            const hasValidOriginal = typeof originalFar === 'number' && originalFar <= MAX_FAR;
-            const hasValidPredicted = typeof predictedFar === 'number' && predictedFar <= MAX_FAR;
-
-            if (hasValidOriginal) {
-              return (
-                <>
-                  <p className="map-tooltip__label">FAR (원본)</p>
-                  <p className="map-tooltip__value">{originalFar.toFixed(2)}</p>
-                </>
-              );
-            } else if (hasValidPredicted) {
-              return (
-                <>
-                  <p className="map-tooltip__label">FAR (예측)</p>
-                  <p className="map-tooltip__value">{predictedFar.toFixed(2)}</p>
-                </>
-              );
-            } else {
-              return (
-                <>
-                  <p className="map-tooltip__label">FAR</p>
-                  <p className="map-tooltip__value">—</p>
-                </>
-              );
-            }
-          })()}
-        </div>
+      <div className="map-dock">
+        <ParcelDetailPanel
+          properties={detailProperties}
+          fields={summaryFields}
+          locale={labelLocale}
+          onLocaleChange={setLabelLocale}
+          onClose={() => setDetailProperties(null)}
+        />
+        <SelectionPanel features={selectedFeatures} onClear={handleClearSelection} />
+      </div>
+      <FarLegend expression={colorExpression} mode={farStyle.mode} />
+      {selectionTool !== SELECTION_TOOLS.click ? (
+        <SelectionOverlay tool={selectionTool} onComplete={handleShapeSelect} />
       ) : null}
       <AutoSizer>{renderKepler}</AutoSizer>
       <div className="custom-attribution">
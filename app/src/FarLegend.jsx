@@ -0,0 +1,89 @@
+import { useMemo } from 'react';
+
+import {
+  FAR_COLOR_MODES,
+  FAR_LEGEND_META,
+  FAR_OUTLIER_CUTOFF,
+  describeColorExpression,
+} from './pmtilesStyle';
+
+const formatNumber = (value) => (Math.round(value * 10) / 10).toLocaleString();
+const formatSigned = (value) => (value > 0 ? `+${formatNumber(value)}` : formatNumber(value));
+
+function describeClassRange({ min, max }, format) {
+  if (min === null) {
+    return `< ${format(max)}`;
+  }
+  if (max === null) {
+    return `≥ ${format(min)}`;
+  }
+  return `${format(min)} – ${format(max)}`;
+}
+
+function buildGradient(stops) {
+  const first = stops[0].value;
+  const span = Math.max(stops[stops.length - 1].value - first, 1);
+  const colorStops = stops.map(({ value, color }) => `${color} ${((value - first) / span) * 100}%`);
+  return `linear-gradient(to right, ${colorStops.join(', ')})`;
+}
+
+/**
+ * Legend for the FAR layers, read back from the color expression applied to the map so the
+ * swatches always match what MapLibre draws.
+ */
+function FarLegend({ expression, mode = FAR_COLOR_MODES.prediction }) {
+  const legend = useMemo(() => describeColorExpression(expression), [expression]);
+  const meta = FAR_LEGEND_META[mode] ?? FAR_LEGEND_META[FAR_COLOR_MODES.prediction];
+  const signed = mode === FAR_COLOR_MODES.residual;
+  const format = signed ? formatSigned : formatNumber;
+  const { stops, classes, noDataColor } = legend;
+
+  if (!stops?.length && !classes?.length) {
+    return null;
+  }
+
+  const middleStop = signed ? stops?.find((stop) => stop.value === 0) : null;
+
+  return (
+    <div
+      className="far-legend far-legend--overlay"
+      role="img"
+      aria-label={`${meta.title} legend`}
+      data-map-overlay
+    >
+      <p className="far-legend__title">
+        {meta.title} <span className="far-legend__unit">({meta.unit})</span>
+      </p>
+      {classes ? (
+        <ul className="far-legend__classes">
+          {classes.map((entry) => (
+            <li key={`${entry.min}:${entry.max}`}>
+              <span className="far-legend__swatch" style={{ background: entry.color }} />
+              <span>{describeClassRange(entry, format)}</span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <>
+          <div className="far-legend__ramp" style={{ background: buildGradient(stops) }} />
+          <div className="far-legend__labels">
+            <span>≤ {format(stops[0].value)}</span>
+            {middleStop ? <span>{format(middleStop.value)}</span> : null}
+            <span>≥ {format(stops[stops.length - 1].value)}</span>
+          </div>
+        </>
+      )}
+      {noDataColor ? (
+        <div className="far-legend__nodata">
+          <span className="far-legend__swatch" style={{ background: noDataColor }} />
+          <span>{meta.noDataLabel}</span>
+        </div>
+      ) : null}
+      <p className="far-legend__note">
+        FAR &gt; {FAR_OUTLIER_CUTOFF.toLocaleString()}% hidden as outliers
+      </p>
+    </div>
+  );
+}
+
+export default FarLegend;
@@ -0,0 +1,150 @@
+import { useState } from 'react';
+import { ALL_FIELD_TYPES } from '@kepler.gl/constants';
+
+import {
+  DEFAULT_BUILDINGS_FILTERS,
+  NUMERIC_OPERATORS,
+  OBSERVATION_FILTERS,
+  STRING_OPERATORS,
+} from './buildingsFilter';
+
+const NUMERIC_FIELD_TYPES = new Set([ALL_FIELD_TYPES.real, ALL_FIELD_TYPES.integer]);
+
+const kindOf = (field) => (NUMERIC_FIELD_TYPES.has(field?.fieldType) ? 'number' : 'string');
+
+const toDraftNumber = (value) => (typeof value === 'number' && Number.isFinite(value) ? String(value) : '');
+
+const fromDraftNumber = (value) => {
+  if (String(value).trim() === '') {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+function FilterPanel({ filters = DEFAULT_BUILDINGS_FILTERS, fields = [], matchCount, onApply, onClear }) {
+  const [farMin, setFarMin] = useState(toDraftNumber(filters.farMin));
+  const [farMax, setFarMax] = useState(toDraftNumber(filters.farMax));
+  const [observation, setObservation] = useState(filters.observation);
+  const [pnuPrefix, setPnuPrefix] = useState(filters.pnuPrefix);
+  const [fieldRows, setFieldRows] = useState(filters.fields);
+
+  const filterableFields = fields.filter((field) => field.name !== 'pnu');
+
+  const updateRow = (index, changes) => {
+    setFieldRows((rows) => rows.map((row, rowIndex) => (rowIndex === index ? { ...row, ...changes } : row)));
+  };
+
+  const handleFieldSelect = (index, name) => {
+    const kind = kindOf(fields.find((field) => field.name === name));
+    updateRow(index, { field: name, kind, operator: kind === 'number' ? '>=' : '==', value: '' });
+  };
+
+  const handleAddRow = () => {
+    const first = filterableFields[0];
+    if (!first) {
+      return;
+    }
+    const kind = kindOf(first);
+    setFieldRows((rows) => [
+      ...rows,
+      { field: first.name, kind, operator: kind === 'number' ? '>=' : '==', value: '' },
+    ]);
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onApply({
+      farMin: fromDraftNumber(farMin),
+      farMax: fromDraftNumber(farMax),
+      observation,
+      pnuPrefix: pnuPrefix.trim(),
+      fields: fieldRows,
+    });
+  };
+
+  return (
+    <form className="filter-panel" onSubmit={handleSubmit} aria-label="Building filters">
+      <div className="filter-panel__row">
+        <label className="style-controls__field">
+          <span>FAR min</span>
+          <input type="number" value={farMin} onChange={(event) => setFarMin(event.target.value)} />
+        </label>
+        <label className="style-controls__field">
+          <span>FAR max</span>
+          <input type="number" value={farMax} onChange={(event) => setFarMax(event.target.value)} />
+        </label>
+        <label className="style-controls__field">
+          <span>Parcels</span>
+          <select value={observation} onChange={(event) => setObservation(event.target.value)}>
+            <option value={OBSERVATION_FILTERS.all}>All</option>
+            <option value={OBSERVATION_FILTERS.observed}>Observed (a30)</option>
+            <option value={OBSERVATION_FILTERS.predicted}>Predicted only</option>
+          </select>
+        </label>
+        <label className="style-controls__field style-controls__field--wide">
+          <span>PNU prefix</span>
+          <input
+            type="text"
+            inputMode="numeric"
+            value={pnuPrefix}
+            placeholder="11110 (종로구)"
+            onChange={(event) => setPnuPrefix(event.target.value.replace(/\D/g, '').slice(0, 19))}
+          />
+        </label>
+      </div>
+      {fieldRows.map((row, index) => (
+        <div className="filter-panel__row" key={index}>
+          <select value={row.field} onChange={(event) => handleFieldSelect(index, event.target.value)}>
+            {filterableFields.map((field) => (
+              <option key={field.name} value={field.name}>
+                {field.name}
+              </option>
+            ))}
+          </select>
+          <select value={row.operator} onChange={(event) => updateRow(index, { operator: event.target.value })}>
+            {(row.kind === 'number' ? NUMERIC_OPERATORS : STRING_OPERATORS).map((operator) => (
+              <option key={operator} value={operator}>
+                {operator}
+              </option>
+            ))}
+          </select>
+          <input
+            type={row.kind === 'number' ? 'number' : 'text'}
+            value={row.value}
+            onChange={(event) => updateRow(index, { value: event.target.value })}
+          />
+          <button
+            type="button"
+            className="control-button secondary"
+            onClick={() => setFieldRows((rows) => rows.filter((_, rowIndex) => rowIndex !== index))}
+            aria-label={`Remove ${row.field} filter`}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <div className="filter-panel__row">
+        <button
+          type="button"
+          className="control-button secondary"
+          onClick={handleAddRow}
+          disabled={!filterableFields.length}
+        >
+          + Field
+        </button>
+        <button type="submit" className="control-button">
+          Apply filters
+        </button>
+        <button type="button" className="control-button secondary" onClick={onClear}>
+          Clear
+        </button>
+        <span className="status-detail" aria-live="polite">
+          {typeof matchCount === 'number' ? `${matchCount.toLocaleString()} rendered` : '—'}
+        </span>
+      </div>
+    </form>
+  );
+}
+
+export default FilterPanel;
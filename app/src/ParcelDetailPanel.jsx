@@ -0,0 +1,121 @@
+import { useMemo } from 'react';
+import { ALL_FIELD_TYPES } from '@kepler.gl/constants';
+
+import { DETAIL_PANEL_TEXT, LABEL_LOCALES, getFieldLabel } from './fieldLabels';
+import { FAR_OUTLIER_CUTOFF, FAR_PROPERTY, OBSERVED_FAR_PROPERTY } from './pmtilesStyle';
+
+const FAR_FIELDS = new Set([FAR_PROPERTY, OBSERVED_FAR_PROPERTY]);
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const formatFar = (value) => (isNumber(value) ? `${value.toFixed(2)}%` : '—');
+
+const formatDelta = (value) => (isNumber(value) ? `${value > 0 ? '+' : ''}${value.toFixed(2)}%p` : '—');
+
+/**
+ * Formats an attribute according to its summary field type. Values whose runtime type does not
+ * match (e.g. numeric-looking strings) are shown as-is.
+ */
+function formatValue(value, fieldType, locale) {
+  if (value === null || value === undefined || value === '') {
+    return '—';
+  }
+
+  switch (fieldType) {
+    case ALL_FIELD_TYPES.real:
+      return isNumber(value) ? value.toLocaleString(locale, { maximumFractionDigits: 2 }) : String(value);
+    case ALL_FIELD_TYPES.integer:
+      return isNumber(value) ? value.toLocaleString(locale, { maximumFractionDigits: 0 }) : String(value);
+    case ALL_FIELD_TYPES.boolean:
+      return String(value);
+    case ALL_FIELD_TYPES.timestamp:
+    case ALL_FIELD_TYPES.date: {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleString(locale);
+    }
+    default:
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+}
+
+// Summary fields first (in summary order), then any extra properties present on the feature.
+function listAttributes(properties, fields) {
+  const known = fields.filter((field) => field.name in properties);
+  const knownNames = new Set(known.map((field) => field.name));
+  const extra = Object.keys(properties)
+    .filter((name) => !knownNames.has(name))
+    .map((name) => ({ name, fieldType: null }));
+  return [...known, ...extra].filter((field) => !FAR_FIELDS.has(field.name));
+}
+
+/**
+ * Docked panel describing the inspected parcel: predicted vs observed FAR with their delta,
+ * followed by every attribute listed in the tileset summary.
+ */
+function ParcelDetailPanel({ properties, fields = [], locale, onLocaleChange, onClose }) {
+  const attributes = useMemo(() => (properties ? listAttributes(properties, fields) : []), [properties, fields]);
+
+  if (!properties) {
+    return null;
+  }
+
+  const text = DETAIL_PANEL_TEXT[locale] ?? DETAIL_PANEL_TEXT[LABEL_LOCALES.en];
+  const predicted = properties[FAR_PROPERTY];
+  const observed = properties[OBSERVED_FAR_PROPERTY];
+  const delta = isNumber(predicted) && isNumber(observed) ? predicted - observed : null;
+  const isOutlier = [predicted, observed].some((value) => isNumber(value) && value > FAR_OUTLIER_CUTOFF);
+
+  return (
+    <aside className="parcel-detail" aria-label={text.title} data-map-overlay>
+      <header className="parcel-detail__header">
+        <h3>{text.title}</h3>
+        <div className="control-buttons" role="group" aria-label="Label language">
+          {Object.values(LABEL_LOCALES).map((option) => (
+            <button
+              key={option}
+              type="button"
+              className={`control-button secondary ${locale === option ? 'active' : ''}`}
+              aria-pressed={locale === option}
+              onClick={() => onLocaleChange(option)}
+            >
+              {option.toUpperCase()}
+            </button>
+          ))}
+          <button type="button" className="control-button secondary" onClick={onClose} aria-label={text.close}>
+            ×
+          </button>
+        </div>
+      </header>
+      <dl className="parcel-detail__far">
+        <div>
+          <dt>{text.predicted}</dt>
+          <dd>{formatFar(predicted)}</dd>
+        </div>
+        <div>
+          <dt>{text.observed}</dt>
+          <dd>{formatFar(observed)}</dd>
+        </div>
+        <div>
+          <dt>{text.delta}</dt>
+          <dd>{formatDelta(delta)}</dd>
+        </div>
+      </dl>
+      {isOutlier ? (
+        <p className="parcel-detail__note">
+          {text.outlier}: FAR &gt; {FAR_OUTLIER_CUTOFF.toLocaleString()}%
+        </p>
+      ) : null}
+      <p className="parcel-detail__section">{text.attributes}</p>
+      <dl className="parcel-detail__attributes">
+        {attributes.map((field) => (
+          <div key={field.name}>
+            <dt title={field.name}>{getFieldLabel(field.name, locale)}</dt>
+            <dd>{formatValue(properties[field.name], field.fieldType, locale)}</dd>
+          </div>
+        ))}
+      </dl>
+    </aside>
+  );
+}
+
+export default ParcelDetailPanel;
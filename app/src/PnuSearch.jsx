@@ -0,0 +1,84 @@
+import { useEffect, useState } from 'react';
+
+import { PNU_LENGTH, PNU_SHARD_PREFIX_LENGTH, normalizePnuQuery, searchPnu } from './pnuSearch';
+
+const SEARCH_DEBOUNCE_MS = 250;
+
+function PnuSearch({ onSelect }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [status, setStatus] = useState('idle');
+
+  useEffect(() => {
+    if (query.length < PNU_SHARD_PREFIX_LENGTH) {
+      setResults([]);
+      setStatus('idle');
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timeout = window.setTimeout(() => {
+      setStatus('searching');
+      searchPnu(query)
+        .then((matches) => {
+          if (!cancelled) {
+            setResults(matches);
+            setStatus(matches.length ? 'ready' : 'empty');
+          }
+        })
+        .catch((error) => {
+          if (!cancelled) {
+            console.error('[search] PNU lookup failed', error);
+            setResults([]);
+            setStatus('error');
+          }
+        });
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      window.clearTimeout(timeout);
+    };
+  }, [query]);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const exact = results.find((entry) => entry.pnu === query) ?? (results.length === 1 ? results[0] : null);
+    if (exact) {
+      onSelect(exact);
+    }
+  };
+
+  return (
+    <form className="pnu-search" onSubmit={handleSubmit} role="search" aria-label="PNU search">
+      <input
+        type="search"
+        inputMode="numeric"
+        value={query}
+        maxLength={PNU_LENGTH}
+        placeholder="PNU (19자리 또는 앞자리)"
+        onChange={(event) => setQuery(normalizePnuQuery(event.target.value))}
+        aria-describedby="pnu-search-status"
+      />
+      <span id="pnu-search-status" className="status-detail" aria-live="polite">
+        {query && query.length < PNU_SHARD_PREFIX_LENGTH ? `${PNU_SHARD_PREFIX_LENGTH}+ digits` : null}
+        {status === 'searching' ? 'Searching…' : null}
+        {status === 'empty' ? 'No match' : null}
+        {status === 'error' ? 'Search failed' : null}
+      </span>
+      {results.length ? (
+        <ul className="pnu-search__results">
+          {results.map((entry) => (
+            <li key={entry.pnu}>
+              <button type="button" onClick={() => onSelect(entry)}>
+                {entry.pnu}
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : null}
+    </form>
+  );
+}
+
+export default PnuSearch;
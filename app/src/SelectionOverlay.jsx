@@ -0,0 +1,80 @@
+import { useRef, useState } from 'react';
+
+import { SELECTION_TOOLS } from './selection';
+
+// Lasso vertices closer than this (px) to the previous one are dropped
+const LASSO_MIN_SEGMENT = 4;
+
+/**
+ * Transparent layer over the map that captures a rectangle or lasso drag while a selection
+ * tool is active. Reports the shape in client (viewport) coordinates.
+ */
+function SelectionOverlay({ tool, onComplete }) {
+  const [points, setPoints] = useState([]);
+  const originRef = useRef(null);
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    // The SVG draws relative to the overlay, while the shape is reported in client coordinates
+    const rect = event.currentTarget.getBoundingClientRect();
+    originRef.current = [rect.left, rect.top];
+    const point = [event.clientX, event.clientY];
+    setPoints([point, point]);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!points.length) {
+      return;
+    }
+    const point = [event.clientX, event.clientY];
+    setPoints((current) => {
+      if (tool === SELECTION_TOOLS.rectangle) {
+        return [current[0], point];
+      }
+      const [lastX, lastY] = current[current.length - 1];
+      if (Math.hypot(point[0] - lastX, point[1] - lastY) < LASSO_MIN_SEGMENT) {
+        return current;
+      }
+      return [...current, point];
+    });
+  };
+
+  const handlePointerUp = (event) => {
+    if (!points.length) {
+      return;
+    }
+    const shape =
+      tool === SELECTION_TOOLS.rectangle
+        ? [points[0], [event.clientX, event.clientY]]
+        : [...points, [event.clientX, event.clientY]];
+    setPoints([]);
+    onComplete(shape, { additive: event.shiftKey });
+  };
+
+  const [originX, originY] = originRef.current ?? [0, 0];
+  const local = points.map(([x, y]) => [x - originX, y - originY]);
+  let shapeElement = null;
+  if (local.length && tool === SELECTION_TOOLS.rectangle) {
+    const [[x1, y1], [x2, y2]] = local;
+    shapeElement = (
+      <rect x={Math.min(x1, x2)} y={Math.min(y1, y2)} width={Math.abs(x2 - x1)} height={Math.abs(y2 - y1)} />
+    );
+  } else if (local.length) {
+    shapeElement = <polygon points={local.map((point) => point.join(',')).join(' ')} />;
+  }
+
+  return (
+    <div
+      className="selection-overlay"
+      data-map-overlay
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      aria-label={tool === SELECTION_TOOLS.rectangle ? 'Drag to select a rectangle' : 'Draw to lasso parcels'}
+    >
+      <svg className="selection-overlay__canvas">{shapeElement}</svg>
+    </div>
+  );
+}
+
+export default SelectionOverlay;
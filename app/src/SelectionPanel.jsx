@@ -0,0 +1,83 @@
+import { useMemo } from 'react';
+
+import {
+  SELECTION_SUMMARY_FIELDS,
+  downloadTextFile,
+  selectionToCsv,
+  selectionToGeoJson,
+  summarizeSelection,
+} from './selection';
+
+const STAT_KEYS = ['count', 'mean', 'median', 'min', 'max'];
+
+const formatStat = (key, value) => {
+  if (value === null || value === undefined) {
+    return '—';
+  }
+  return key === 'count' ? value.toLocaleString() : value.toFixed(2);
+};
+
+function SelectionPanel({ features, onClear }) {
+  const summary = useMemo(() => summarizeSelection(features), [features]);
+
+  if (!features.length) {
+    return null;
+  }
+
+  const handleExportCsv = () => {
+    // BOM so Excel opens Korean text as UTF-8
+    downloadTextFile('selection.csv', `\uFEFF${selectionToCsv(features)}`, 'text/csv;charset=utf-8');
+  };
+
+  const handleExportGeoJson = () => {
+    downloadTextFile(
+      'selection.geojson',
+      JSON.stringify(selectionToGeoJson(features)),
+      'application/geo+json',
+    );
+  };
+
+  return (
+    <aside className="selection-panel" aria-label="Selection summary" data-map-overlay>
+      <header className="selection-panel__header">
+        <h3>Selection</h3>
+        <span className="status-detail">{summary.count.toLocaleString()} parcels</span>
+      </header>
+      <table className="selection-panel__table">
+        <thead>
+          <tr>
+            <th scope="col" />
+            {SELECTION_SUMMARY_FIELDS.map((field) => (
+              <th key={field} scope="col">
+                {field}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {STAT_KEYS.map((key) => (
+            <tr key={key}>
+              <th scope="row">{key}</th>
+              {SELECTION_SUMMARY_FIELDS.map((field) => (
+                <td key={field}>{formatStat(key, summary.fields[field]?.[key])}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="control-buttons">
+        <button type="button" className="control-button secondary" onClick={handleExportCsv}>
+          CSV
+        </button>
+        <button type="button" className="control-button secondary" onClick={handleExportGeoJson}>
+          GeoJSON
+        </button>
+        <button type="button" className="control-button secondary" onClick={onClear}>
+          Clear
+        </button>
+      </div>
+    </aside>
+  );
+}
+
+export default SelectionPanel;
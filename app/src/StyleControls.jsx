@@ -0,0 +1,124 @@
+import { useState } from 'react';
+
+import palettes, { PALETTE_GROUPS } from './assets/palettes';
+import {
+  CLASSIFICATION_LABELS,
+  CLASSIFICATION_METHODS,
+  DATA_DRIVEN_METHODS,
+  MAX_CLASSES,
+  MIN_CLASSES,
+  parseBreakList,
+} from './classification';
+
+const paletteEntries = Object.entries(palettes);
+const classificationEntries = Object.entries(CLASSIFICATION_LABELS);
+
+function StyleControls({ scale, onPaletteChange, onDomainChange, onClassificationChange, onReset }) {
+  const [draftMin, setDraftMin] = useState(String(scale.domain[0]));
+  const [draftMax, setDraftMax] = useState(String(scale.domain[1]));
+  const [draftBreaks, setDraftBreaks] = useState(scale.classification.breaks.join(', '));
+  const { method, classes } = scale.classification;
+  const isManual = method === CLASSIFICATION_METHODS.manual;
+  const usesClassCount = method !== CLASSIFICATION_METHODS.continuous && !isManual;
+  const parsedBreaks = parseBreakList(draftBreaks);
+
+  const min = Number(draftMin);
+  const max = Number(draftMax);
+  const isDomainValid =
+    draftMin.trim() !== '' && draftMax.trim() !== '' && Number.isFinite(min) && Number.isFinite(max) && min < max;
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (isManual && parsedBreaks.length) {
+      onClassificationChange({ breaks: parsedBreaks });
+    }
+    if (isDomainValid) {
+      onDomainChange([min, max]);
+    }
+  };
+
+  return (
+    <form className="style-controls" onSubmit={handleSubmit} aria-label="FAR color options">
+      <label className="style-controls__field">
+        <span>Palette</span>
+        <select value={scale.paletteId} onChange={(event) => onPaletteChange(event.target.value)}>
+          {PALETTE_GROUPS.map((group) => (
+            <optgroup key={group.label} label={group.label}>
+              {paletteEntries
+                .filter(([, palette]) => group.filter(palette))
+                .map(([id, palette]) => (
+                  <option key={id} value={id}>
+                    {palette.label}
+                  </option>
+                ))}
+            </optgroup>
+          ))}
+        </select>
+      </label>
+      <label className="style-controls__field">
+        <span>Classes</span>
+        <select value={method} onChange={(event) => onClassificationChange({ method: event.target.value })}>
+          {classificationEntries.map(([id, label]) => (
+            <option key={id} value={id} disabled={DATA_DRIVEN_METHODS.has(id) && !scale.hasStats}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {usesClassCount ? (
+        <label className="style-controls__field">
+          <span>Count</span>
+          <input
+            type="number"
+            min={MIN_CLASSES}
+            max={MAX_CLASSES}
+            value={classes}
+            onChange={(event) => onClassificationChange({ classes: Number(event.target.value) })}
+          />
+        </label>
+      ) : null}
+      {isManual ? (
+        <label className="style-controls__field style-controls__field--wide">
+          <span>Breaks</span>
+          <input
+            type="text"
+            value={draftBreaks}
+            placeholder="100, 200, 300, 400"
+            onChange={(event) => setDraftBreaks(event.target.value)}
+            aria-invalid={!parsedBreaks.length}
+          />
+        </label>
+      ) : null}
+      <label className="style-controls__field">
+        <span>Min</span>
+        <input
+          type="number"
+          value={draftMin}
+          onChange={(event) => setDraftMin(event.target.value)}
+          aria-invalid={!isDomainValid}
+        />
+      </label>
+      <label className="style-controls__field">
+        <span>Max</span>
+        <input
+          type="number"
+          value={draftMax}
+          onChange={(event) => setDraftMax(event.target.value)}
+          aria-invalid={!isDomainValid}
+        />
+      </label>
+      <button
+        type="submit"
+        className="control-button secondary"
+        disabled={!isDomainValid || (isManual && !parsedBreaks.length)}
+      >
+        Apply
+      </button>
+      <button type="button" className="control-button secondary" onClick={onReset}>
+        Reset
+      </button>
+    </form>
+  );
+}
+
+export default StyleControls;
@@ -0,0 +1,96 @@
+import { useEffect, useState } from 'react';
+
+import { fetchPmtilesCatalog, isRegistrableTileset } from './pmtilesCatalog';
+import { BUILDINGS_TILESET_ID, SEOUL_TILESET_ID } from './pmtilesStyle';
+
+// Already part of the map style
+const BUILT_IN_TILESETS = new Set([SEOUL_TILESET_ID, BUILDINGS_TILESET_ID]);
+
+const describeZoom = ({ minzoom, maxzoom }) => `z${minzoom}–${maxzoom}`;
+
+const countFields = (tileset) =>
+  tileset.vectorLayers.reduce((total, layer) => total + Object.keys(layer.fields ?? {}).length, 0);
+
+/**
+ * Lists the tile server's archive catalog and toggles extra tilesets on the map.
+ * `registeredIds` are the tilesets currently shown; `onToggle(tileset, enabled)` adds or removes one.
+ */
+function TilesetCatalog({ registeredIds, onToggle }) {
+  const [tilesets, setTilesets] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchPmtilesCatalog()
+      .then((entries) => {
+        if (!cancelled) {
+          setTilesets(entries);
+        }
+      })
+      .catch((caught) => {
+        console.error('[catalog]', caught);
+        if (!cancelled) {
+          setError(caught instanceof Error ? caught.message : String(caught));
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (error) {
+    return (
+      <div className="tileset-catalog">
+        <p className="workspace-menu__error" role="alert">
+          {error}
+        </p>
+      </div>
+    );
+  }
+
+  if (!tilesets) {
+    return (
+      <div className="tileset-catalog">
+        <p className="status-detail">Loading catalog…</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="tileset-catalog" aria-label="Tileset catalog">
+      {tilesets.length ? (
+        <ul className="tileset-catalog__list">
+          {tilesets.map((tileset) => {
+            const isBuiltIn = BUILT_IN_TILESETS.has(tileset.id);
+            const canToggle = !isBuiltIn && isRegistrableTileset(tileset);
+            return (
+              <li key={tileset.id}>
+                <label className="tileset-catalog__entry">
+                  <input
+                    type="checkbox"
+                    checked={isBuiltIn || registeredIds.includes(tileset.id)}
+                    disabled={!canToggle}
+                    onChange={(event) => onToggle(tileset, event.target.checked)}
+                  />
+                  <span className="tileset-catalog__name">{tileset.name ?? tileset.id}</span>
+                  {tileset.available ? (
+                    <span className="status-detail">
+                      {describeZoom(tileset)} · {tileset.tileType} · {countFields(tileset)} fields
+                    </span>
+                  ) : (
+                    <span className="status-detail">unavailable</span>
+                  )}
+                </label>
+                {tileset.description ? <p className="tileset-catalog__description">{tileset.description}</p> : null}
+              </li>
+            );
+          })}
+        </ul>
+      ) : (
+        <p className="status-detail">No tilesets in the catalog</p>
+      )}
+    </div>
+  );
+}
+
+export default TilesetCatalog;
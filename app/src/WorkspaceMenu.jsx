@@ -0,0 +1,198 @@
+import { useCallback, useEffect, useState } from 'react';
+
+import { downloadWorkspace, parseWorkspace, readSchemaFile } from './schemaManager';
+import {
+  deleteWorkspace,
+  getWorkspace,
+  listWorkspaces,
+  renameWorkspace,
+  saveWorkspace,
+} from './workspaceStore';
+
+const formatTimestamp = (value) => new Date(value).toLocaleString();
+
+const errorMessage = (error) => (error instanceof Error ? error.message : String(error));
+
+/**
+ * Save, reopen, rename and delete named workspaces, and import workspace or kepler schema
+ * JSON files by drag-and-drop. `onCapture` returns the current workspace envelope and
+ * `onOpen` applies one.
+ */
+function WorkspaceMenu({ onCapture, onOpen }) {
+  const [workspaces, setWorkspaces] = useState([]);
+  const [name, setName] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+
+  const refresh = useCallback(async () => {
+    setWorkspaces(await listWorkspaces());
+  }, []);
+
+  // Wraps an async action so failures are shown in the menu instead of rejecting silently
+  const run = useCallback(
+    async (action) => {
+      setError(null);
+      try {
+        await action();
+        await refresh();
+      } catch (caught) {
+        console.error('[workspace]', caught);
+        setError(errorMessage(caught));
+      }
+    },
+    [refresh],
+  );
+
+  useEffect(() => {
+    refresh().catch((caught) => setError(errorMessage(caught)));
+  }, [refresh]);
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    run(async () => {
+      await saveWorkspace(name, onCapture());
+      setName('');
+    });
+  };
+
+  const handleOpen = (id) =>
+    run(async () => {
+      const record = await getWorkspace(id);
+      if (!record) {
+        throw new Error('Workspace no longer exists.');
+      }
+      onOpen(record.workspace);
+    });
+
+  const handleRename = (event) => {
+    event.preventDefault();
+    run(async () => {
+      await renameWorkspace(editing.id, editing.name);
+      setEditing(null);
+    });
+  };
+
+  const handleImport = (file) =>
+    run(async () => {
+      const workspace = await readSchemaFile(file);
+      // Validate before applying so a bad file does not half-apply
+      parseWorkspace(workspace);
+      onOpen(workspace);
+      await saveWorkspace(file.name.replace(/\.json$/i, '') || 'Imported workspace', workspace);
+    });
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    const [file] = event.dataTransfer.files;
+    if (file) {
+      handleImport(file);
+    }
+  };
+
+  return (
+    <div
+      className={`workspace-menu ${isDragging ? 'workspace-menu--dragging' : ''}`}
+      aria-label="Workspaces"
+      onDragOver={(event) => {
+        event.preventDefault();
+        setIsDragging(true);
+      }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+    >
+      <form className="filter-panel__row" onSubmit={handleSave}>
+        <input
+          type="text"
+          value={name}
+          placeholder="Workspace name"
+          onChange={(event) => setName(event.target.value)}
+        />
+        <button type="submit" className="control-button" disabled={!name.trim()}>
+          Save
+        </button>
+        <button
+          type="button"
+          className="control-button secondary"
+          onClick={() => run(async () => downloadWorkspace(onCapture()))}
+        >
+          Download
+        </button>
+      </form>
+      {workspaces.length ? (
+        <ul className="workspace-menu__list">
+          {workspaces.map((workspace) => (
+            <li key={workspace.id}>
+              {editing?.id === workspace.id ? (
+                <form className="filter-panel__row" onSubmit={handleRename}>
+                  <input
+                    type="text"
+                    value={editing.name}
+                    aria-label="Workspace name"
+                    onChange={(event) => setEditing({ ...editing, name: event.target.value })}
+                  />
+                  <button type="submit" className="control-button" disabled={!editing.name.trim()}>
+                    Rename
+                  </button>
+                  <button type="button" className="control-button secondary" onClick={() => setEditing(null)}>
+                    Cancel
+                  </button>
+                </form>
+              ) : (
+                <div className="filter-panel__row">
+                  <button
+                    type="button"
+                    className="workspace-menu__open"
+                    onClick={() => handleOpen(workspace.id)}
+                    title={`Saved ${formatTimestamp(workspace.updatedAt)}`}
+                  >
+                    {workspace.name}
+                  </button>
+                  <button
+                    type="button"
+                    className="control-button secondary"
+                    onClick={() => setEditing({ id: workspace.id, name: workspace.name })}
+                  >
+                    Rename
+                  </button>
+                  <button
+                    type="button"
+                    className="control-button secondary"
+                    onClick={() => run(() => deleteWorkspace(workspace.id))}
+                    aria-label={`Delete ${workspace.name}`}
+                  >
+                    ×
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="status-detail">No saved workspaces</p>
+      )}
+      <label className="workspace-menu__drop">
+        Drop a workspace or kepler schema JSON here, or browse
+        <input
+          type="file"
+          accept="application/json,.json"
+          onChange={(event) => {
+            const [file] = event.target.files;
+            if (file) {
+              handleImport(file);
+            }
+            event.target.value = '';
+          }}
+        />
+      </label>
+      {error ? (
+        <p className="workspace-menu__error" role="alert">
+          {error}
+        </p>
+      ) : null}
+    </div>
+  );
+}
+
+export default WorkspaceMenu;
@@ -0,0 +1,71 @@
+import blueGradient from './viridis';
+import residualDiverging from './residual';
+
+// Palette registry for the FAR layers. `type` drives grouping in the picker and which
+// palettes are offered by default for each color mode.
+const palettes = {
+  blue: {
+    label: 'Blue',
+    type: 'sequential',
+    colors: blueGradient,
+  },
+  viridis: {
+    label: 'Viridis',
+    type: 'sequential',
+    colorblindSafe: true,
+    // Same stops as the kepler.gl template in public/config-template.json
+    colors: [
+      '#440154',
+      '#482475',
+      '#414287',
+      '#355e8d',
+      '#2a768e',
+      '#218e8d',
+      '#21a585',
+      '#3dbc74',
+      '#70cf57',
+      '#b0dd2f',
+    ],
+  },
+  magma: {
+    label: 'Magma',
+    type: 'sequential',
+    colorblindSafe: true,
+    colors: ['#000004', '#1c1044', '#4f127b', '#812581', '#b5367a', '#e55064', '#fb8761', '#fec287', '#fcfdbf'],
+  },
+  cividis: {
+    label: 'Cividis',
+    type: 'sequential',
+    colorblindSafe: true,
+    colors: ['#00224e', '#123570', '#3b496c', '#575d6d', '#707173', '#8a8779', '#a69d75', '#c4b56c', '#e4cf5b', '#fee838'],
+  },
+  ylOrRd: {
+    label: 'Yellow-Orange-Red',
+    type: 'sequential',
+    colors: ['#ffffcc', '#ffeda0', '#fed976', '#feb24c', '#fd8d3c', '#fc4e2a', '#e31a1c', '#bd0026', '#800026'],
+  },
+  rdBu: {
+    label: 'Red-Blue',
+    type: 'diverging',
+    colors: residualDiverging,
+  },
+  brBG: {
+    label: 'Brown-Teal',
+    type: 'diverging',
+    colors: ['#8c510a', '#bf812d', '#dfc27d', '#f6e8c3', '#f5f5f5', '#c7eae5', '#80cdc1', '#35978f', '#01665e'],
+  },
+  puOr: {
+    label: 'Purple-Orange',
+    type: 'diverging',
+    colorblindSafe: true,
+    colors: ['#2d004b', '#542788', '#8073ac', '#b2abd2', '#f7f7f7', '#fdb863', '#e08214', '#b35806', '#7f3b08'],
+  },
+};
+
+export const PALETTE_GROUPS = [
+  {label: 'Sequential', filter: (palette) => palette.type === 'sequential' && !palette.colorblindSafe},
+  {label: 'Diverging', filter: (palette) => palette.type === 'diverging' && !palette.colorblindSafe},
+  {label: 'Colorblind-safe', filter: (palette) => Boolean(palette.colorblindSafe)},
+];
+
+export default palettes;
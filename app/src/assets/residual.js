@@ -0,0 +1,14 @@
+// Diverging red-blue: under-prediction (blue) → exact (neutral) → over-prediction (red)
+const residualDiverging = [
+  '#2166ac', // strongest under-prediction (FAR_prediction < a30)
+  '#4393c3',
+  '#92c5de',
+  '#d1e5f0',
+  '#f7f7f7', // neutral (residual ≈ 0)
+  '#fddbc7',
+  '#f4a582',
+  '#d6604d',
+  '#b2182b', // strongest over-prediction (FAR_prediction > a30)
+];
+
+export default residualDiverging;
@@ -0,0 +1,109 @@
+import {FAR_PROPERTY, OBSERVED_FAR_PROPERTY, createOutlierFilter} from './pmtilesStyle';
+
+export const OBSERVATION_FILTERS = {
+  all: 'all',
+  observed: 'observed',
+  predicted: 'predicted',
+};
+
+export const NUMERIC_OPERATORS = ['>=', '<=', '==', '!='];
+export const STRING_OPERATORS = ['==', '!=', 'contains', 'starts-with'];
+
+/**
+ * Empty filter state. `fields` holds extra attribute conditions as
+ * `{field, kind: 'number' | 'string', operator, value}`.
+ */
+export const DEFAULT_BUILDINGS_FILTERS = {
+  farMin: null,
+  farMax: null,
+  observation: OBSERVATION_FILTERS.all,
+  pnuPrefix: '',
+  fields: [],
+};
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Parcels without a numeric value match no comparison, so a missing FAR does not pass a max filter
+function numericCondition(property, operator, value) {
+  const input = ['get', property];
+  return ['all', ['==', ['typeof', input], 'number'], [operator, ['to-number', input], value]];
+}
+
+function stringCondition(property, operator, value) {
+  const input = ['to-string', ['get', property]];
+  switch (operator) {
+    case 'contains':
+      return ['in', value, input];
+    case 'starts-with':
+      return ['==', ['index-of', value, input], 0];
+    case '!=':
+      return ['!=', input, value];
+    default:
+      return ['==', input, value];
+  }
+}
+
+function fieldCondition({field, kind, operator, value}) {
+  if (!field) {
+    return null;
+  }
+
+  if (kind === 'number') {
+    const numeric = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (!isFiniteNumber(numeric) || !NUMERIC_OPERATORS.includes(operator)) {
+      return null;
+    }
+    return numericCondition(field, operator, numeric);
+  }
+
+  if (typeof value !== 'string' || value === '' || !STRING_OPERATORS.includes(operator)) {
+    return null;
+  }
+  return stringCondition(field, operator, value);
+}
+
+export function hasActiveFilters(filters = DEFAULT_BUILDINGS_FILTERS) {
+  return createFilterConditions(filters).length > 0;
+}
+
+function createFilterConditions(filters) {
+  const conditions = [];
+  const {farMin, farMax, observation, pnuPrefix, fields} = {...DEFAULT_BUILDINGS_FILTERS, ...filters};
+
+  if (isFiniteNumber(farMin)) {
+    conditions.push(numericCondition(FAR_PROPERTY, '>=', farMin));
+  }
+  if (isFiniteNumber(farMax)) {
+    conditions.push(numericCondition(FAR_PROPERTY, '<=', farMax));
+  }
+
+  const observedCheck = ['==', ['typeof', ['get', OBSERVED_FAR_PROPERTY]], 'number'];
+  if (observation === OBSERVATION_FILTERS.observed) {
+    conditions.push(observedCheck);
+  } else if (observation === OBSERVATION_FILTERS.predicted) {
+    conditions.push(['!', observedCheck]);
+  }
+
+  // PNU digits encode 시도/시군구/읍면동/리 hierarchically, so a prefix selects a district or dong
+  const prefix = String(pnuPrefix ?? '').trim();
+  if (prefix) {
+    conditions.push(stringCondition('pnu', 'starts-with', prefix));
+  }
+
+  (fields ?? []).forEach((entry) => {
+    const condition = fieldCondition(entry);
+    if (condition) {
+      conditions.push(condition);
+    }
+  });
+
+  return conditions;
+}
+
+/**
+ * Builds the MapLibre filter shared by every buildings layer: the outlier cutoff plus
+ * whatever the filter panel has set.
+ */
+export function createBuildingsFilter(filters = DEFAULT_BUILDINGS_FILTERS) {
+  return ['all', createOutlierFilter(), ...createFilterConditions(filters)];
+}
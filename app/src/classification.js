@@ -0,0 +1,153 @@
+/**
+ * Class break computation for the stepped FAR color schemes.
+ * Breaks are the interior thresholds of a `step` expression: N breaks produce N + 1 classes.
+ */
+
+export const CLASSIFICATION_METHODS = {
+  continuous: 'continuous',
+  equalInterval: 'equal-interval',
+  quantile: 'quantile',
+  jenks: 'jenks',
+  manual: 'manual',
+};
+
+export const CLASSIFICATION_LABELS = {
+  [CLASSIFICATION_METHODS.continuous]: 'Continuous',
+  [CLASSIFICATION_METHODS.equalInterval]: 'Equal interval',
+  [CLASSIFICATION_METHODS.quantile]: 'Quantile',
+  [CLASSIFICATION_METHODS.jenks]: 'Natural breaks (Jenks)',
+  [CLASSIFICATION_METHODS.manual]: 'Manual breaks',
+};
+
+// Methods that need attribute statistics from the build summary.
+export const DATA_DRIVEN_METHODS = new Set([
+  CLASSIFICATION_METHODS.quantile,
+  CLASSIFICATION_METHODS.jenks,
+]);
+
+export const MIN_CLASSES = 2;
+export const MAX_CLASSES = 9;
+
+const clampClasses = (classes) => Math.min(MAX_CLASSES, Math.max(MIN_CLASSES, Math.round(classes) || MIN_CLASSES));
+
+function strictlyIncreasing(values) {
+  return values.filter((value, index) => Number.isFinite(value) && (index === 0 || value > values[index - 1]));
+}
+
+/**
+ * Parses a manual break list such as "100, 200, 300, 400" into sorted unique numbers.
+ */
+export function parseBreakList(text) {
+  const values = String(text ?? '')
+    .split(/[\s,;]+/)
+    .filter(Boolean)
+    .map(Number)
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+  return strictlyIncreasing(values);
+}
+
+function equalIntervalBreaks([min, max], classes) {
+  const step = (max - min) / classes;
+  return Array.from({length: classes - 1}, (_, index) => min + step * (index + 1));
+}
+
+// Reads a percentile from the 0..100 list stored by buildBuildingsPmtiles.mjs.
+function percentile(quantiles, p) {
+  const position = (quantiles.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  if (lower === upper) {
+    return quantiles[lower];
+  }
+  return quantiles[lower] + (quantiles[upper] - quantiles[lower]) * (position - lower);
+}
+
+function quantileBreaks(quantiles, classes) {
+  return Array.from({length: classes - 1}, (_, index) => percentile(quantiles, (index + 1) / classes));
+}
+
+/**
+ * Fisher-Jenks natural breaks over a sorted sample. The percentile list is used as an
+ * equal-weight sample of the population, which keeps this cheap enough to run on every change.
+ */
+function jenksBreaks(sorted, classes) {
+  const n = sorted.length;
+  if (n <= classes) {
+    return sorted.slice(1);
+  }
+
+  const lowerLimits = Array.from({length: n + 1}, () => new Array(classes + 1).fill(0));
+  const variances = Array.from({length: n + 1}, () => new Array(classes + 1).fill(Infinity));
+
+  for (let k = 1; k <= classes; k++) {
+    lowerLimits[1][k] = 1;
+    variances[1][k] = 0;
+  }
+
+  for (let end = 2; end <= n; end++) {
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+    let variance = 0;
+
+    for (let offset = 1; offset <= end; offset++) {
+      const start = end - offset + 1;
+      const value = sorted[start - 1];
+      count++;
+      sum += value;
+      sumSquares += value * value;
+      variance = sumSquares - (sum * sum) / count;
+
+      if (start > 1) {
+        for (let k = 2; k <= classes; k++) {
+          const candidate = variance + variances[start - 1][k - 1];
+          if (variances[end][k] >= candidate) {
+            lowerLimits[end][k] = start;
+            variances[end][k] = candidate;
+          }
+        }
+      }
+    }
+
+    lowerLimits[end][1] = 1;
+    variances[end][1] = variance;
+  }
+
+  const breaks = [];
+  let end = n;
+  for (let k = classes; k >= 2; k--) {
+    const start = lowerLimits[end][k];
+    breaks.unshift(sorted[start - 1]);
+    end = start - 1;
+  }
+  return breaks;
+}
+
+/**
+ * Computes the interior class breaks for a classification, or null for continuous ramps.
+ * Data-driven methods fall back to equal intervals when no statistics are available.
+ */
+export function computeClassBreaks({method, classes, breaks, domain, stats}) {
+  if (!method || method === CLASSIFICATION_METHODS.continuous) {
+    return null;
+  }
+
+  if (method === CLASSIFICATION_METHODS.manual) {
+    const manual = strictlyIncreasing([...(breaks ?? [])].sort((a, b) => a - b));
+    return manual.length ? manual : null;
+  }
+
+  const classCount = clampClasses(classes);
+  const quantiles = Array.isArray(stats?.quantiles) && stats.quantiles.length > 1 ? stats.quantiles : null;
+
+  if (method === CLASSIFICATION_METHODS.quantile && quantiles) {
+    return strictlyIncreasing(quantileBreaks(quantiles, classCount));
+  }
+
+  if (method === CLASSIFICATION_METHODS.jenks && quantiles) {
+    return strictlyIncreasing(jenksBreaks(quantiles, classCount));
+  }
+
+  return equalIntervalBreaks(domain, classCount);
+}
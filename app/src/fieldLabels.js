@@ -0,0 +1,53 @@
+import {FAR_PROPERTY, OBSERVED_FAR_PROPERTY} from './pmtilesStyle';
+
+export const LABEL_LOCALES = {
+  ko: 'ko',
+  en: 'en',
+};
+
+export const DEFAULT_LABEL_LOCALE = LABEL_LOCALES.ko;
+
+/**
+ * Display labels for building attributes. Fields without an entry fall back to the raw
+ * column name, so new columns show up in the detail panel before they are labelled here.
+ */
+export const FIELD_LABELS = {
+  [LABEL_LOCALES.ko]: {
+    pnu: '필지고유번호 (PNU)',
+    a10: '건물명',
+    [OBSERVED_FAR_PROPERTY]: '용적률 (원본)',
+    [FAR_PROPERTY]: '용적률 (예측)',
+  },
+  [LABEL_LOCALES.en]: {
+    pnu: 'Parcel ID (PNU)',
+    a10: 'Building',
+    [OBSERVED_FAR_PROPERTY]: 'FAR (observed)',
+    [FAR_PROPERTY]: 'FAR (predicted)',
+  },
+};
+
+// Static UI strings used by the parcel detail panel.
+export const DETAIL_PANEL_TEXT = {
+  [LABEL_LOCALES.ko]: {
+    title: '필지 정보',
+    predicted: '예측',
+    observed: '원본',
+    delta: '차이 (예측 − 원본)',
+    attributes: '속성',
+    outlier: '이상치',
+    close: '닫기',
+  },
+  [LABEL_LOCALES.en]: {
+    title: 'Parcel details',
+    predicted: 'Predicted',
+    observed: 'Observed',
+    delta: 'Delta (pred − obs)',
+    attributes: 'Attributes',
+    outlier: 'Outlier',
+    close: 'Close',
+  },
+};
+
+export function getFieldLabel(name, locale = DEFAULT_LABEL_LOCALE) {
+  return FIELD_LABELS[locale]?.[name] ?? name;
+}
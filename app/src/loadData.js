@@ -2,7 +2,14 @@ import {addDataToMap, MapStateActions} from '@kepler.gl/actions';
 import {DatasetType, RemoteTileFormat, REMOTE_TILE, ALL_FIELD_TYPES} from '@kepler.gl/constants';
 
 import viridis from './assets/viridis';
-import {PMTILES_STYLE_ID, BUILDINGS_TILESET_ID, getPmtilesArchiveBaseUrl} from './pmtilesStyle';
+import {
+  PMTILES_SOURCE_MODE,
+  PMTILES_SOURCE_MODES,
+  PMTILES_STYLE_ID,
+  BUILDINGS_TILESET_ID,
+  getPmtilesArchiveBaseUrl,
+  getPmtilesArchiveUrl,
+} from './pmtilesStyle';
 
 const DATASET_ID = 'buildings';
 const VECTOR_LAYER_ID = 'buildings-far-3d';
@@ -107,8 +114,8 @@ function computeCenter(bounds, zoom) {
   return {...DEFAULT_CENTER};
 }
 
-async function fetchJson(url, errorLabel) {
-  const response = await fetch(url);
+async function fetchJson(url, errorLabel, init) {
+  const response = await fetch(url, init);
   if (!response.ok) {
     throw new Error(
       `${errorLabel ?? 'Request'} failed: ${response.status} ${response.statusText}`,
@@ -128,6 +135,19 @@ function mapFieldEntries(summaryFields = {}) {
   });
 }
 
+// Keeps the numeric statistics written by buildBuildingsPmtiles.mjs that the client can use.
+function normalizeFieldStats(rawStats) {
+  if (!rawStats || typeof rawStats !== 'object') {
+    return {};
+  }
+
+  return Object.fromEntries(
+    Object.entries(rawStats).filter(
+      ([, entry]) => entry && Number.isFinite(entry.min) && Number.isFinite(entry.max),
+    ),
+  );
+}
+
 function buildKeplerFields(summaryFields) {
   if (!Array.isArray(summaryFields) || !summaryFields.length) {
     return [
@@ -283,11 +303,23 @@ function buildDatasetMetadata({
   center,
   summaryFields,
 }) {
+  // In archive mode kepler reads tiles and metadata from the .pmtiles file itself
+  const tileset =
+    PMTILES_SOURCE_MODE === PMTILES_SOURCE_MODES.archive
+      ? {
+          remoteTileFormat: RemoteTileFormat.PMTILES,
+          tilesetDataUrl: getPmtilesArchiveUrl(TILESET_ID),
+          tilesetMetadataUrl: getPmtilesArchiveUrl(TILESET_ID),
+        }
+      : {
+          remoteTileFormat: RemoteTileFormat.MVT,
+          tilesetDataUrl: `${baseUrl}/{z}/{x}/{y}.pbf`,
+          tilesetMetadataUrl: `${baseUrl}/${METADATA_FILENAME}`,
+        };
+
   return {
     type: REMOTE_TILE,
-    remoteTileFormat: RemoteTileFormat.MVT,
-    tilesetDataUrl: `${baseUrl}/{z}/{x}/{y}.pbf`,
-    tilesetMetadataUrl: `${baseUrl}/${METADATA_FILENAME}`,
+    ...tileset,
     bounds,
     center: [center.longitude, center.latitude, center.zoom],
     minZoom: Number.isFinite(summary.minzoom) ? summary.minzoom : undefined,
@@ -339,7 +371,21 @@ function buildDataset(metadata, datasetLabel, summaryFields) {
   };
 }
 
-export async function loadBuildings(dispatch) {
+/**
+ * Re-reads the fields and statistics of the buildings summary, for when a rebuild rewrites
+ * summary.json under a running page. Bypasses the HTTP cache, which holds the old summary.
+ */
+export async function loadBuildingsFieldStats() {
+  const summaryUrl = `${getPmtilesArchiveBaseUrl(TILESET_ID)}/${SUMMARY_FILENAME}`;
+  const summary = await fetchJson(summaryUrl, 'PMTiles summary request', {cache: 'no-cache'});
+  return {fields: mapFieldEntries(summary.fields), stats: normalizeFieldStats(summary.stats)};
+}
+
+/**
+ * Registers the buildings vector tile dataset. `initialView` ({longitude, latitude, zoom,
+ * pitch, bearing}, e.g. from a shared link) replaces the default recentering on the summary.
+ */
+export async function loadBuildings(dispatch, {initialView = null} = {}) {
   const loadStart = nowMs();
   const baseUrl = getPmtilesArchiveBaseUrl(TILESET_ID);
   const summaryUrl = `${baseUrl}/${SUMMARY_FILENAME}`;
@@ -359,6 +405,7 @@ export async function loadBuildings(dispatch) {
   const bounds = Array.isArray(summary.bounds) && summary.bounds.length === 4 ? summary.bounds : derivedBounds;
   const center = computeCenter(bounds, summary.summaryzoom);
   const summaryFields = mapFieldEntries(summary.fields);
+  const fieldStats = normalizeFieldStats(summary.stats);
   const colorFieldName = pickFieldName(
     summaryFields,
     (field) => field.fieldType === ALL_FIELD_TYPES.real || field.fieldType === ALL_FIELD_TYPES.integer,
@@ -403,15 +450,16 @@ export async function loadBuildings(dispatch) {
     }),
   );
 
+  const view = initialView ?? {...center, bearing: 0, pitch: 0};
   dispatch(
     MapStateActions.updateMap(
       {
-        longitude: center.longitude,
-        latitude: center.latitude,
-        zoom: center.zoom,
-        bearing: 0,
-        pitch: 0,
-        dragRotate: false,
+        longitude: view.longitude,
+        latitude: view.latitude,
+        zoom: view.zoom,
+        bearing: view.bearing,
+        pitch: view.pitch,
+        dragRotate: view.pitch > 0,
       },
       0,
     ),
@@ -455,4 +503,10 @@ export async function loadBuildings(dispatch) {
       labelFieldName,
     });
   }
+
+  return {
+    summary: summarySnapshot,
+    fields: summaryFields,
+    stats: fieldStats,
+  };
 }
@@ -0,0 +1,108 @@
+import {createPmtilesSource, getPmtilesCatalogUrl} from './pmtilesStyle';
+
+/**
+ * Client for the tile server's `/pmtiles/index.json` catalog. Any vector tileset listed there can
+ * be registered on the map as a `catalog-{id}` source with simple fill/line/circle layers per
+ * vector layer, drawn above the buildings.
+ */
+
+const SOURCE_PREFIX = 'catalog-';
+const OVERLAY_COLOR = '#7dd3fc';
+
+const GEOMETRY_LAYERS = [
+  {
+    suffix: 'fill',
+    type: 'fill',
+    filter: ['==', ['geometry-type'], 'Polygon'],
+    paint: {'fill-color': OVERLAY_COLOR, 'fill-opacity': 0.2},
+  },
+  {
+    suffix: 'line',
+    type: 'line',
+    filter: ['!=', ['geometry-type'], 'Point'],
+    paint: {'line-color': OVERLAY_COLOR, 'line-width': 1},
+  },
+  {
+    suffix: 'circle',
+    type: 'circle',
+    filter: ['==', ['geometry-type'], 'Point'],
+    paint: {'circle-color': OVERLAY_COLOR, 'circle-radius': 3, 'circle-stroke-color': '#0f172a', 'circle-stroke-width': 1},
+  },
+];
+
+export const catalogSourceId = (id) => `${SOURCE_PREFIX}${id}`;
+
+/**
+ * Whether a catalog entry can be shown: readable vector tiles with at least one vector layer.
+ */
+export const isRegistrableTileset = (tileset) =>
+  Boolean(tileset?.available && tileset.tileType === 'mvt' && tileset.vectorLayers?.length);
+
+function catalogLayers(tileset) {
+  const sourceId = catalogSourceId(tileset.id);
+  return tileset.vectorLayers.flatMap((vectorLayer) =>
+    GEOMETRY_LAYERS.map(({suffix, type, filter, paint}) => ({
+      id: `${sourceId}-${vectorLayer.id}-${suffix}`,
+      type,
+      source: sourceId,
+      'source-layer': vectorLayer.id,
+      filter,
+      paint,
+    })),
+  );
+}
+
+export async function fetchPmtilesCatalog(url = getPmtilesCatalogUrl()) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`PMTiles catalog request failed: ${response.status} ${response.statusText}`);
+  }
+  const catalog = await response.json();
+  return Array.isArray(catalog?.tilesets) ? catalog.tilesets : [];
+}
+
+/**
+ * Zoom range of one served archive, read from its header through the catalog. Null when the
+ * catalog does not list the archive or cannot read it.
+ */
+export async function fetchTilesetZoomRange(id, url = getPmtilesCatalogUrl()) {
+  const tileset = (await fetchPmtilesCatalog(url)).find((entry) => entry.id === id);
+  return tileset?.available ? {minzoom: tileset.minzoom, maxzoom: tileset.maxzoom} : null;
+}
+
+/**
+ * Adds a catalog tileset's source and layers to a map. Safe to call again after a style reload;
+ * returns false when the map is not ready or the tileset cannot be shown.
+ */
+export function addCatalogTileset(map, tileset) {
+  if (!map?.getStyle?.() || !isRegistrableTileset(tileset)) {
+    return false;
+  }
+
+  const sourceId = catalogSourceId(tileset.id);
+  if (!map.getSource(sourceId)) {
+    map.addSource(sourceId, createPmtilesSource(tileset.id, tileset));
+  }
+  catalogLayers(tileset).forEach((layer) => {
+    if (!map.getLayer(layer.id)) {
+      map.addLayer(layer);
+    }
+  });
+  return true;
+}
+
+export function removeCatalogTileset(map, tileset) {
+  if (!map?.getStyle?.()) {
+    return;
+  }
+
+  catalogLayers(tileset).forEach(({id}) => {
+    if (map.getLayer(id)) {
+      map.removeLayer(id);
+    }
+  });
+  const sourceId = catalogSourceId(tileset.id);
+  if (map.getSource(sourceId)) {
+    map.removeSource(sourceId);
+  }
+}
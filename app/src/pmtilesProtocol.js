@@ -0,0 +1,28 @@
+import {getApplicationConfig} from '@kepler.gl/utils';
+import {Protocol} from 'pmtiles';
+
+let registration = null;
+
+/**
+ * Registers the `pmtiles://` protocol on the MapLibre instance kepler.gl renders with, so style
+ * sources can read `.pmtiles` archives straight from any host that supports HTTP Range requests.
+ * Safe to call more than once; every call resolves once the protocol is in place.
+ */
+export function registerPmtilesProtocol() {
+  if (!registration) {
+    registration = getApplicationConfig()
+      .baseMapLibraryConfig.maplibre.getMapLib()
+      .then((module) => {
+        const maplibregl = module.addProtocol ? module : module.default;
+        const protocol = new Protocol();
+        // maplibre-gl 3.x still uses the callback-style protocol signature
+        maplibregl.addProtocol('pmtiles', protocol.tile);
+        return protocol;
+      })
+      .catch((error) => {
+        registration = null;
+        throw error;
+      });
+  }
+  return registration;
+}
@@ -1,35 +1,146 @@
 import viridis from './assets/viridis';
+import residualDiverging from './assets/residual';
+import palettes from './assets/palettes';
+import {CLASSIFICATION_METHODS, DATA_DRIVEN_METHODS, computeClassBreaks} from './classification';
 
 const SEOUL_TILESET_ID = 'seoul';
 const BUILDINGS_TILESET_ID = 'buildings';
 const DEFAULT_GLYPHS_URL = 'https://protomaps.github.io/basemaps-assets/fonts/{fontstack}/{range}.pbf';
-const BUILDINGS_MIN_ZOOM = 12;
+// Parcels start at z12 in every buildings archive. Newer builds add overview tiles below that, so
+// the app reads the actual minimum from the archive header or the catalog when it can.
+const BUILDINGS_DEFAULT_MIN_ZOOM = 12;
 const BUILDINGS_MAX_ZOOM = 15;
+const OVERVIEW_GRID_LAYER = 'overview_grid';
+const OVERVIEW_ADMIN_LAYER = 'overview_admin';
+// Overviews fade out as the parcel fills take over
+const OVERVIEW_MAX_ZOOM = 14;
+const LABEL_FONT = ['Noto Sans Regular'];
 const PROTOMAPS_SOURCE_ID = 'protomaps';
 const PROTOMAPS_MIN_ZOOM = 0;
 const PROTOMAPS_MAX_ZOOM = 15;
-const FAR_PROPERTY = 'FAR_prediction';
+export const FAR_PROPERTY = 'FAR_prediction';
 const FAR_DOMAIN = [0, 800];
+export const OBSERVED_FAR_PROPERTY = 'a30';
+const RESIDUAL_DOMAIN = [-200, 200];
+const NO_DATA_COLOR = '#475569';
+// Parcels above this FAR are treated as data errors and excluded from every buildings layer
+export const FAR_OUTLIER_CUTOFF = 2000;
 const EXTRUSION_SCALE = 0.1;
 export const PMTILES_STYLE_ID = 'seoul-pmtiles';
 
+export const FAR_COLOR_MODES = {
+  prediction: 'prediction',
+  residual: 'residual',
+};
+
+// Legend labels per color mode; FAR is expressed in percent, residuals in percentage points.
+export const FAR_LEGEND_META = {
+  [FAR_COLOR_MODES.prediction]: {title: 'FAR (예측)', unit: '%', noDataLabel: 'No prediction'},
+  [FAR_COLOR_MODES.residual]: {title: 'Residual (예측 − 원본)', unit: '%p', noDataLabel: 'No a30'},
+};
+
+// Paint properties that carry the FAR color ramp; restyled in place by setPaintProperty when color options change.
+export const FAR_COLOR_LAYERS = [
+  {id: 'far-buildings-fill', paintProperty: 'fill-color'},
+  {id: 'far-buildings-points', paintProperty: 'circle-color'},
+  {id: 'far-buildings-extrusion', paintProperty: 'fill-extrusion-color'},
+];
+
+// Every layer drawn from the buildings source; they share one filter so all zooms agree.
+export const BUILDINGS_LAYER_IDS = [
+  'far-buildings-fill',
+  'far-buildings-extrusion',
+  'far-buildings-outline',
+  'far-buildings-points',
+];
+
+// Aggregates precomputed by the builder. Attribute filters cannot apply to them, so they are
+// hidden while a filter is active.
+export const OVERVIEW_LAYER_IDS = [
+  'far-overview-grid',
+  'far-overview-admin-outline',
+  'far-overview-admin-label',
+];
+
+// Overview layers colored like the parcels, from the aggregate in OVERVIEW_COLOR_PROPERTY.
+export const OVERVIEW_COLOR_LAYERS = [
+  {id: 'far-overview-grid', paintProperty: 'fill-color'},
+];
+
 // CDN URL configuration - set via environment variables for production
 const CDN_BUILDINGS_URL = import.meta.env.VITE_CDN_BUILDINGS_URL || '';
 const CDN_BASEMAP_URL = import.meta.env.VITE_CDN_BASEMAP_URL || '';
 
+/**
+ * How the map reads tiles: `tiles` requests `{z}/{x}/{y}.pbf` from the tile server, `archive`
+ * reads the `.pmtiles` file directly with HTTP Range requests through the `pmtiles://` protocol.
+ */
+export const PMTILES_SOURCE_MODES = {
+  tiles: 'tiles',
+  archive: 'archive',
+};
+
+export const PMTILES_SOURCE_MODE =
+  import.meta.env.VITE_PMTILES_SOURCE === PMTILES_SOURCE_MODES.archive
+    ? PMTILES_SOURCE_MODES.archive
+    : PMTILES_SOURCE_MODES.tiles;
+
+// Optional archive location on a static host, e.g. https://static.example.com/tiles/{id}.pmtiles
+const ARCHIVE_URL_TEMPLATE = import.meta.env.VITE_PMTILES_ARCHIVE_URL || '';
+const CATALOG_URL = import.meta.env.VITE_PMTILES_CATALOG_URL || '';
+
+const hexToRgb = (hex) => {
+  const value = Number.parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+const rgbToHex = (rgb) => `#${rgb.map((channel) => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+
+/**
+ * Picks `count` evenly spaced colors along a palette, interpolating between stops in RGB.
+ */
+function samplePalette(palette, count) {
+  if (count <= 1) {
+    return [palette[0]];
+  }
+
+  return Array.from({length: count}, (_, index) => {
+    const position = (index / (count - 1)) * (palette.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, palette.length - 1);
+    const t = position - lower;
+    if (t === 0) {
+      return palette[lower];
+    }
+    const from = hexToRgb(palette[lower]);
+    const to = hexToRgb(palette[upper]);
+    return rgbToHex(from.map((channel, i) => channel + (to[i] - channel) * t));
+  });
+}
+
 function createPaletteExpression({
   palette = viridis,
   property = FAR_PROPERTY,
   range = FAR_DOMAIN,
+  breaks = null,
+  input,
 } = {}) {
   const [min, max] = range;
+  const value = input ?? ['coalesce', ['to-number', ['get', property]], min];
+
+  // Classified schemes: one color per class, switching at each break
+  if (Array.isArray(breaks) && breaks.length) {
+    const classColors = samplePalette(palette, breaks.length + 1);
+    const expression = ['step', value, classColors[0]];
+    breaks.forEach((threshold, index) => {
+      expression.push(threshold, classColors[index + 1]);
+    });
+    return expression;
+  }
+
   const stops = Math.max(palette.length - 1, 1);
   const span = Math.max(max - min, 1);
-  const expression = [
-    'interpolate',
-    ['linear'],
-    ['coalesce', ['to-number', ['get', property]], min],
-  ];
+  const expression = ['interpolate', ['linear'], value];
 
   palette.forEach((color, index) => {
     const position = min + (span * index) / stops;
@@ -39,6 +150,176 @@ function createPaletteExpression({
   return expression;
 }
 
+/**
+ * Colors parcels by FAR_prediction - a30 so over- and under-prediction read as opposite hues.
+ * Parcels missing either value fall back to a neutral no-data color.
+ */
+function createResidualExpression({
+  palette = residualDiverging,
+  range = RESIDUAL_DOMAIN,
+  breaks = null,
+} = {}) {
+  const predicted = ['get', FAR_PROPERTY];
+  const observed = ['get', OBSERVED_FAR_PROPERTY];
+  const residual = ['-', ['to-number', predicted], ['to-number', observed]];
+
+  return [
+    'case',
+    ['all', ['==', ['typeof', predicted], 'number'], ['==', ['typeof', observed], 'number']],
+    createPaletteExpression({palette, range, breaks, input: residual}),
+    NO_DATA_COLOR,
+  ];
+}
+
+const SCALE_DEFAULTS = {
+  [FAR_COLOR_MODES.prediction]: {
+    palette: 'blue',
+    domain: FAR_DOMAIN,
+    // Manual defaults follow the zoning classes planners use (0–100, …, 400+ percent)
+    classification: {method: CLASSIFICATION_METHODS.continuous, classes: 5, breaks: [100, 200, 300, 400]},
+  },
+  [FAR_COLOR_MODES.residual]: {
+    palette: 'rdBu',
+    domain: RESIDUAL_DOMAIN,
+    classification: {method: CLASSIFICATION_METHODS.continuous, classes: 5, breaks: [-100, -25, 25, 100]},
+  },
+};
+
+// Attribute whose build statistics drive data-driven classification for each mode.
+const STATS_PROPERTY = {
+  [FAR_COLOR_MODES.prediction]: FAR_PROPERTY,
+  [FAR_COLOR_MODES.residual]: null,
+};
+
+/**
+ * Default color options for the FAR layers. Each mode keeps its own palette, domain and
+ * classification so switching between prediction and residual views does not lose either setting.
+ */
+export const DEFAULT_FAR_STYLE = {
+  mode: FAR_COLOR_MODES.prediction,
+  scales: SCALE_DEFAULTS,
+};
+
+function isValidDomain(domain) {
+  return (
+    Array.isArray(domain) &&
+    domain.length === 2 &&
+    domain.every(Number.isFinite) &&
+    domain[0] < domain[1]
+  );
+}
+
+/**
+ * Resolves the palette colors, numeric domain and class breaks for the active mode, falling
+ * back to the defaults for unknown palette ids or invalid domains.
+ * `stats` is the per-field statistics block from the build summary (may be empty).
+ */
+export function resolveFarColorScale(style = DEFAULT_FAR_STYLE, {stats = null} = {}) {
+  const mode = style?.mode === FAR_COLOR_MODES.residual ? FAR_COLOR_MODES.residual : FAR_COLOR_MODES.prediction;
+  const defaults = SCALE_DEFAULTS[mode];
+  const scale = style?.scales?.[mode] ?? defaults;
+  const paletteId = palettes[scale.palette] ? scale.palette : defaults.palette;
+  const domain = isValidDomain(scale.domain) ? scale.domain : defaults.domain;
+  const classification = {...defaults.classification, ...scale.classification};
+  const fieldStats = STATS_PROPERTY[mode] ? stats?.[STATS_PROPERTY[mode]] ?? null : null;
+  const breaks = computeClassBreaks({...classification, domain, stats: fieldStats});
+
+  return {
+    mode,
+    paletteId,
+    colors: palettes[paletteId].colors,
+    domain,
+    classification,
+    breaks,
+    hasStats: Boolean(fieldStats),
+    isFallback: DATA_DRIVEN_METHODS.has(classification.method) && !fieldStats,
+  };
+}
+
+export function createFarColorExpression(style = DEFAULT_FAR_STYLE, options = {}) {
+  const {mode, colors, domain, breaks} = resolveFarColorScale(style, options);
+  if (mode === FAR_COLOR_MODES.residual) {
+    return createResidualExpression({palette: colors, range: domain, breaks});
+  }
+
+  const predicted = ['get', FAR_PROPERTY];
+  return [
+    'case',
+    ['==', ['typeof', predicted], 'number'],
+    createPaletteExpression({palette: colors, range: domain, breaks, input: predicted}),
+    NO_DATA_COLOR,
+  ];
+}
+
+// Overview cells carry aggregates instead of per-parcel values: the median FAR, or the mean residual
+const OVERVIEW_COLOR_PROPERTY = {
+  [FAR_COLOR_MODES.prediction]: 'far_median',
+  [FAR_COLOR_MODES.residual]: 'residual_mean',
+};
+
+/**
+ * Color expression for the overview layers, on the same palette, domain and breaks as
+ * createFarColorExpression so the FAR legend holds at every zoom.
+ */
+export function createOverviewColorExpression(style = DEFAULT_FAR_STYLE, options = {}) {
+  const {mode, colors, domain, breaks} = resolveFarColorScale(style, options);
+  const value = ['get', OVERVIEW_COLOR_PROPERTY[mode]];
+  return [
+    'case',
+    ['==', ['typeof', value], 'number'],
+    createPaletteExpression({palette: colors, range: domain, breaks, input: value}),
+    NO_DATA_COLOR,
+  ];
+}
+
+const pairs = (values) => {
+  const result = [];
+  for (let i = 0; i + 1 < values.length; i += 2) {
+    result.push([values[i], values[i + 1]]);
+  }
+  return result;
+};
+
+/**
+ * Reads a FAR color expression back into legend entries so the legend always matches what
+ * MapLibre draws. Understands the shapes built above: an optional `case` no-data wrapper around
+ * either an `interpolate` ramp (continuous) or a `step` expression (classified).
+ */
+export function describeColorExpression(expression) {
+  let ramp = expression;
+  let noDataColor = null;
+
+  if (Array.isArray(ramp) && ramp[0] === 'case' && ramp.length === 4) {
+    noDataColor = typeof ramp[3] === 'string' ? ramp[3] : null;
+    ramp = ramp[2];
+  }
+
+  if (Array.isArray(ramp) && ramp[0] === 'step') {
+    const thresholds = pairs(ramp.slice(3));
+    const colors = [ramp[2], ...thresholds.map(([, color]) => color)];
+    const breaks = thresholds.map(([value]) => value);
+    return {
+      stops: null,
+      classes: colors.map((color, index) => ({
+        color,
+        min: index === 0 ? null : breaks[index - 1],
+        max: index === breaks.length ? null : breaks[index],
+      })),
+      noDataColor,
+    };
+  }
+
+  if (Array.isArray(ramp) && ramp[0] === 'interpolate') {
+    return {
+      stops: pairs(ramp.slice(3)).map(([value, color]) => ({value, color})),
+      classes: null,
+      noDataColor,
+    };
+  }
+
+  return {stops: null, classes: null, noDataColor};
+}
+
 export function createExtrusionHeightExpression({
   scale = EXTRUSION_SCALE,
   property = FAR_PROPERTY,
@@ -87,6 +368,78 @@ export function getPmtilesArchiveBaseUrl(id = SEOUL_TILESET_ID) {
   return `/pmtiles/${normalizedId}`;
 }
 
+/**
+ * URL of the raw `.pmtiles` file for archive mode: `VITE_PMTILES_ARCHIVE_URL` with `{id}`
+ * substituted when set, otherwise the tile server's range-enabled `archive.pmtiles` route.
+ */
+export function getPmtilesArchiveUrl(id = SEOUL_TILESET_ID) {
+  const normalizedId = id || SEOUL_TILESET_ID;
+  if (ARCHIVE_URL_TEMPLATE) {
+    return ARCHIVE_URL_TEMPLATE.replace('{id}', normalizedId);
+  }
+  return `${getPmtilesArchiveBaseUrl(normalizedId)}/archive.pmtiles`;
+}
+
+/**
+ * URL of the tile server's archive catalog (`/pmtiles/index.json`), or `VITE_PMTILES_CATALOG_URL`.
+ */
+export function getPmtilesCatalogUrl() {
+  if (CATALOG_URL) {
+    return CATALOG_URL;
+  }
+  return `${trimTrailingSlash(resolveOrigin())}/pmtiles/index.json`;
+}
+
+// Tile URLs for a vector source, in whichever form PMTILES_SOURCE_MODE selects.
+function vectorSourceTiles(id, baseUrl) {
+  if (PMTILES_SOURCE_MODE === PMTILES_SOURCE_MODES.archive) {
+    return {url: `pmtiles://${getPmtilesArchiveUrl(id)}`};
+  }
+  return {tiles: [tileTemplate(baseUrl)]};
+}
+
+/**
+ * Vector source definition for any archive served by the tile server, e.g. one from the catalog.
+ */
+export function createPmtilesSource(id, {minzoom, maxzoom} = {}) {
+  return {
+    type: 'vector',
+    ...vectorSourceTiles(id, getPmtilesArchiveBaseUrl(id)),
+    ...(Number.isFinite(minzoom) ? {minzoom} : {}),
+    ...(Number.isFinite(maxzoom) ? {maxzoom} : {}),
+    scheme: 'xyz',
+  };
+}
+
+const TILESET_SOURCE_IDS = {
+  [SEOUL_TILESET_ID]: PROTOMAPS_SOURCE_ID,
+  [BUILDINGS_TILESET_ID]: 'buildings',
+};
+
+/**
+ * Points a map's source for tileset `id` at a new archive `version`, so MapLibre drops its tiles
+ * and refetches them past the browser cache. `sourceId` defaults to the style's own source for
+ * the tileset. Returns false when the map has no such source.
+ */
+export function reloadPmtilesSource(map, id, version, sourceId = TILESET_SOURCE_IDS[id]) {
+  const source = sourceId ? map?.getSource?.(sourceId) : null;
+  if (!source) {
+    return false;
+  }
+
+  const withVersion = (url) => `${url}${url.includes('?') ? '&' : '?'}v=${encodeURIComponent(version ?? Date.now())}`;
+  const {tiles, url} = vectorSourceTiles(id, getPmtilesArchiveBaseUrl(id));
+  if (url && typeof source.setUrl === 'function') {
+    source.setUrl(withVersion(url));
+    return true;
+  }
+  if (tiles && typeof source.setTiles === 'function') {
+    source.setTiles(tiles.map(withVersion));
+    return true;
+  }
+  return false;
+}
+
 const roadColorExpression = [
   'match',
   ['get', 'pmap:kind'],
@@ -202,6 +555,10 @@ function createBasemapLayers(sourceId = PROTOMAPS_SOURCE_ID) {
   ];
 }
 
+export function createOutlierFilter() {
+  return ['<=', ['coalesce', ['to-number', ['get', FAR_PROPERTY]], 0], FAR_OUTLIER_CUTOFF];
+}
+
 function createExtrusionLayer() {
   const extrusionHeight = createExtrusionHeightExpression();
   return {
@@ -210,12 +567,12 @@ function createExtrusionLayer() {
     source: 'buildings',
     'source-layer': 'buildings',
     minzoom: 14,
-    filter: ['<=', ['coalesce', ['to-number', ['get', 'FAR_prediction']], 0], 2000],
+    filter: createOutlierFilter(),
     layout: {
       visibility: 'none',
     },
     paint: {
-      'fill-extrusion-color': createPaletteExpression(),
+      'fill-extrusion-color': createFarColorExpression(),
       'fill-extrusion-opacity': 0.95,
       'fill-extrusion-height': extrusionHeight,
       'fill-extrusion-base': 0,
@@ -223,16 +580,71 @@ function createExtrusionLayer() {
   };
 }
 
+/**
+ * Overview layers for the zooms below the parcels: grid cells colored by median FAR, and the
+ * 시군구 / 읍면동 units as outlines (when the build had boundaries) labelled with their median.
+ * They start wherever the archive's overview tiles do; older archives have none.
+ */
+function createOverviewLayers() {
+  const median = ['get', 'far_median'];
+  return [
+    {
+      id: 'far-overview-grid',
+      type: 'fill',
+      source: 'buildings',
+      'source-layer': OVERVIEW_GRID_LAYER,
+      maxzoom: OVERVIEW_MAX_ZOOM,
+      paint: {
+        'fill-color': createOverviewColorExpression(),
+        'fill-opacity': ['interpolate', ['linear'], ['zoom'], 8, 0.8, 12, 0.6, 14, 0.1],
+        'fill-outline-color': '#050b17',
+      },
+    },
+    {
+      id: 'far-overview-admin-outline',
+      type: 'line',
+      source: 'buildings',
+      'source-layer': OVERVIEW_ADMIN_LAYER,
+      maxzoom: OVERVIEW_MAX_ZOOM,
+      paint: {
+        'line-color': '#cbd5e1',
+        'line-opacity': 0.5,
+        'line-width': ['interpolate', ['linear'], ['zoom'], 8, 0.6, 13, 1.2],
+      },
+    },
+    {
+      id: 'far-overview-admin-label',
+      type: 'symbol',
+      source: 'buildings',
+      'source-layer': OVERVIEW_ADMIN_LAYER,
+      maxzoom: OVERVIEW_MAX_ZOOM,
+      filter: ['==', ['typeof', median], 'number'],
+      layout: {
+        'text-field': ['concat', ['to-string', ['round', median]], '%'],
+        'text-font': LABEL_FONT,
+        'text-size': ['interpolate', ['linear'], ['zoom'], 8, 10, 13, 12],
+      },
+      paint: {
+        'text-color': '#e2e8f0',
+        'text-halo-color': '#050b17',
+        'text-halo-width': 1.2,
+      },
+    },
+  ];
+}
+
 /**
  * Returns a ready-to-use Mapbox style object that renders FAR-colored building tiles over a Protomaps basemap.
+ * `buildingsMinZoom` is the buildings archive's minimum zoom, e.g. the catalog's `minzoom`. In
+ * archive mode the source leaves it to the `pmtiles://` TileJSON, which reads the archive header.
  */
 export function createSeoulPmtilesStyle({
   buildingsBaseUrl = getPmtilesArchiveBaseUrl(BUILDINGS_TILESET_ID),
   protomapsBaseUrl = getPmtilesArchiveBaseUrl(SEOUL_TILESET_ID),
+  buildingsMinZoom = BUILDINGS_DEFAULT_MIN_ZOOM,
 } = {}) {
-  const buildingsTiles = tileTemplate(buildingsBaseUrl);
-  const protomapsTiles = tileTemplate(protomapsBaseUrl);
   const basemapLayers = createBasemapLayers();
+  const [overviewGridLayer, overviewOutlineLayer, overviewLabelLayer] = createOverviewLayers();
   const extrusionLayer = createExtrusionLayer();
 
   return {
@@ -242,15 +654,15 @@ export function createSeoulPmtilesStyle({
     sources: {
       [PROTOMAPS_SOURCE_ID]: {
         type: 'vector',
-        tiles: [protomapsTiles],
+        ...vectorSourceTiles(SEOUL_TILESET_ID, protomapsBaseUrl),
         minzoom: PROTOMAPS_MIN_ZOOM,
         maxzoom: PROTOMAPS_MAX_ZOOM,
         scheme: 'xyz',
       },
       buildings: {
         type: 'vector',
-        tiles: [buildingsTiles],
-        minzoom: BUILDINGS_MIN_ZOOM,
+        ...vectorSourceTiles(BUILDINGS_TILESET_ID, buildingsBaseUrl),
+        ...(PMTILES_SOURCE_MODE === PMTILES_SOURCE_MODES.archive ? {} : {minzoom: buildingsMinZoom}),
         maxzoom: BUILDINGS_MAX_ZOOM,
         scheme: 'xyz',
         promoteId: 'pnu',
@@ -265,6 +677,8 @@ export function createSeoulPmtilesStyle({
         },
       },
       ...basemapLayers,
+      overviewGridLayer,
+      overviewOutlineLayer,
       {
         id: 'far-buildings-fill',
         type: 'fill',
@@ -272,9 +686,9 @@ export function createSeoulPmtilesStyle({
         'source-layer': 'buildings',
         minzoom: 14,
         maxzoom: 24,
-        filter: ['<=', ['coalesce', ['to-number', ['get', 'FAR_prediction']], 0], 2000],
+        filter: createOutlierFilter(),
         paint: {
-          'fill-color': createPaletteExpression(),
+          'fill-color': createFarColorExpression(),
           'fill-opacity': ['interpolate', ['linear'], ['zoom'], 14, 0.55, 18, 0.85],
         },
       },
@@ -285,7 +699,7 @@ export function createSeoulPmtilesStyle({
         source: 'buildings',
         'source-layer': 'buildings',
         minzoom: 12,
-        filter: ['<=', ['coalesce', ['to-number', ['get', 'FAR_prediction']], 0], 2000],
+        filter: createOutlierFilter(),
         paint: {
           'line-color': [
             'case',
@@ -314,14 +728,16 @@ export function createSeoulPmtilesStyle({
         'source-layer': 'buildings',
         minzoom: 12,
         maxzoom: 14,
-        filter: ['<=', ['coalesce', ['to-number', ['get', 'FAR_prediction']], 0], 2000],
+        filter: createOutlierFilter(),
         paint: {
-          'circle-color': createPaletteExpression(),
+          'circle-color': createFarColorExpression(),
           'circle-opacity': 0.9,
           'circle-radius': ['interpolate', ['linear'], ['zoom'], 12, 0.8, 14, 1.25, 17, 3.5, 20, 6.5],
           'circle-stroke-width': 0,
         },
       },
+      // Labels above the parcels they summarize
+      overviewLabelLayer,
     ],
   };
 }
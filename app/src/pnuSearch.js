@@ -0,0 +1,71 @@
+import {BUILDINGS_TILESET_ID, getPmtilesArchiveBaseUrl} from './pmtilesStyle';
+
+// Must match PNU_SHARD_PREFIX_LENGTH in scripts/buildBuildingsPmtiles.mjs
+export const PNU_SHARD_PREFIX_LENGTH = 5;
+export const PNU_LENGTH = 19;
+const DEFAULT_RESULT_LIMIT = 20;
+
+const shardCache = new Map();
+
+export function normalizePnuQuery(text) {
+  return String(text ?? '').replace(/\D/g, '').slice(0, PNU_LENGTH);
+}
+
+async function loadShard(prefix) {
+  if (!shardCache.has(prefix)) {
+    const url = `${getPmtilesArchiveBaseUrl(BUILDINGS_TILESET_ID)}/pnu/${prefix}.json`;
+    const request = fetch(url)
+      .then((response) => {
+        if (response.status === 404) {
+          return [];
+        }
+        if (!response.ok) {
+          throw new Error(`PNU index request failed: ${response.status} ${response.statusText}`);
+        }
+        return response.json().then((shard) => (Array.isArray(shard?.entries) ? shard.entries : []));
+      })
+      .catch((error) => {
+        shardCache.delete(prefix);
+        throw error;
+      });
+    shardCache.set(prefix, request);
+  }
+  return shardCache.get(prefix);
+}
+
+// First index whose PNU is >= query; shard entries are sorted by PNU.
+function lowerBound(entries, query) {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (entries[mid][0] < query) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Looks up parcels whose PNU starts with `query` in the sharded index served beside summary.json.
+ * Resolves to `[{pnu, longitude, latitude}]`; queries shorter than a shard prefix resolve to [].
+ */
+export async function searchPnu(query, {limit = DEFAULT_RESULT_LIMIT} = {}) {
+  const normalized = normalizePnuQuery(query);
+  if (normalized.length < PNU_SHARD_PREFIX_LENGTH) {
+    return [];
+  }
+
+  const entries = await loadShard(normalized.slice(0, PNU_SHARD_PREFIX_LENGTH));
+  const results = [];
+  for (let index = lowerBound(entries, normalized); index < entries.length; index++) {
+    const [pnu, longitude, latitude] = entries[index];
+    if (!pnu.startsWith(normalized) || results.length >= limit) {
+      break;
+    }
+    results.push({pnu, longitude, latitude});
+  }
+  return results;
+}
@@ -5,6 +5,8 @@ import {store} from './store';
 
 const DATASET_ID = 'buildings';
 const TEMPLATE_PATH = `${import.meta.env.BASE_URL}config-template.json`;
+const WORKSPACE_TYPE = 'seoul-urban-atlas/workspace';
+const WORKSPACE_VERSION = 1;
 
 const getState = () => store.getState();
 
@@ -36,9 +38,8 @@ export function saveCurrentSchema() {
   return schema;
 }
 
-export function downloadCurrentSchema(filename = 'buildings-schema.json') {
-  const schema = saveCurrentSchema();
-  const json = JSON.stringify(schema, null, 2);
+function downloadJson(payload, filename) {
+  const json = JSON.stringify(payload, null, 2);
 
   if (typeof Blob === 'undefined' || typeof document === 'undefined') {
     throw new Error('Browser environment required to download schema.');
@@ -55,6 +56,10 @@ export function downloadCurrentSchema(filename = 'buildings-schema.json') {
   URL.revokeObjectURL(url);
 }
 
+export function downloadCurrentSchema(filename = 'buildings-schema.json') {
+  downloadJson(saveCurrentSchema(), filename);
+}
+
 export function applySchema(schemaInput, {centerMap = true} = {}) {
   const schema = normalizeSchemaInput(schemaInput);
   const dataset = getDatasetFromState();
@@ -118,3 +123,52 @@ export async function loadTemplateSchema(path = TEMPLATE_PATH) {
   updateGlobalStatus('schema-template-applied');
   return template;
 }
+
+/**
+ * Bundles the kepler schema with the MapLibre-side state that kepler does not know about
+ * (palette and domain, filters, extrusion, selection). `appState` is stored as given.
+ */
+export function createWorkspace(appState) {
+  return {
+    type: WORKSPACE_TYPE,
+    version: WORKSPACE_VERSION,
+    kepler: saveCurrentSchema(),
+    app: appState ?? null,
+  };
+}
+
+/**
+ * Accepts either a workspace envelope or a bare kepler schema (as written by
+ * downloadCurrentSchema) and returns `{kepler, app}`, with `app` null for bare schemas.
+ */
+export function parseWorkspace(input) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Workspace file is not a JSON object.');
+  }
+  if (input.type === WORKSPACE_TYPE) {
+    if (input.version > WORKSPACE_VERSION) {
+      throw new Error(`Unsupported workspace version ${input.version}.`);
+    }
+    return {kepler: input.kepler, app: input.app ?? null};
+  }
+  return {kepler: input, app: null};
+}
+
+export function applyWorkspace(input, {centerMap = false} = {}) {
+  const {kepler, app} = parseWorkspace(input);
+  applySchema(kepler, {centerMap});
+  return app;
+}
+
+export function downloadWorkspace(workspace, filename = 'buildings-workspace.json') {
+  downloadJson(workspace, filename);
+}
+
+export async function readSchemaFile(file) {
+  const text = await file.text();
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${file.name} is not valid JSON: ${error instanceof Error ? error.message : error}`);
+  }
+}
@@ -0,0 +1,151 @@
+import {FAR_PROPERTY, OBSERVED_FAR_PROPERTY} from './pmtilesStyle';
+
+export const SELECTION_TOOLS = {
+  click: 'click',
+  rectangle: 'rectangle',
+  lasso: 'lasso',
+};
+
+export const SELECTION_SUMMARY_FIELDS = [FAR_PROPERTY, OBSERVED_FAR_PROPERTY];
+
+function median(sorted) {
+  const middle = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function summarizeValues(values) {
+  if (!values.length) {
+    return {count: 0, mean: null, median: null, min: null, max: null};
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const sum = sorted.reduce((total, value) => total + value, 0);
+  return {
+    count: sorted.length,
+    mean: sum / sorted.length,
+    median: median(sorted),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+  };
+}
+
+/**
+ * Aggregates the selected parcels: total count plus count/mean/median/min/max for each
+ * summary field, skipping parcels where the field is missing.
+ */
+export function summarizeSelection(features, fields = SELECTION_SUMMARY_FIELDS) {
+  return {
+    count: features.length,
+    fields: Object.fromEntries(
+      fields.map((field) => [
+        field,
+        summarizeValues(
+          features
+            .map((feature) => feature.properties?.[field])
+            .filter((value) => typeof value === 'number' && Number.isFinite(value)),
+        ),
+      ]),
+    ),
+  };
+}
+
+/**
+ * Screen-space point used to test a feature against a lasso: the vertex average of the
+ * outer ring for polygons, or the point itself.
+ */
+export function representativeCoordinate(geometry) {
+  if (!geometry) {
+    return null;
+  }
+
+  const {type, coordinates} = geometry;
+  const ring =
+    type === 'Point' ? [coordinates] :
+    type === 'MultiPoint' || type === 'LineString' ? coordinates :
+    type === 'Polygon' || type === 'MultiLineString' ? coordinates[0] :
+    type === 'MultiPolygon' ? coordinates[0]?.[0] :
+    null;
+
+  if (!ring?.length) {
+    return null;
+  }
+
+  const [lngSum, latSum] = ring.reduce(([lng, lat], coord) => [lng + coord[0], lat + coord[1]], [0, 0]);
+  return [lngSum / ring.length, latSum / ring.length];
+}
+
+// Ray-casting point-in-polygon test over screen coordinates.
+export function isPointInPolygon([x, y], polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+export function polygonBounds(points) {
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  return [
+    [Math.min(...xs), Math.min(...ys)],
+    [Math.max(...xs), Math.max(...ys)],
+  ];
+}
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function selectionToCsv(features) {
+  const columns = ['pnu'];
+  features.forEach((feature) => {
+    Object.keys(feature.properties ?? {}).forEach((key) => {
+      if (!columns.includes(key)) {
+        columns.push(key);
+      }
+    });
+  });
+
+  const rows = features.map((feature) => columns.map((column) => csvCell(feature.properties?.[column])).join(','));
+  return [columns.join(','), ...rows].join('\n');
+}
+
+/**
+ * GeoJSON export of the selection. Geometries come from rendered tiles, so large parcels may be
+ * clipped at tile edges.
+ */
+export function selectionToGeoJson(features) {
+  return {
+    type: 'FeatureCollection',
+    features: features.map((feature) => ({
+      type: 'Feature',
+      id: feature.id,
+      properties: feature.properties ?? {},
+      geometry: feature.geometry ?? null,
+    })),
+  };
+}
+
+export function downloadTextFile(filename, contents, mimeType) {
+  if (typeof Blob === 'undefined' || typeof document === 'undefined') {
+    throw new Error('Browser environment required to download files.');
+  }
+
+  const blob = new Blob([contents], {type: mimeType});
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
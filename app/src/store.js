@@ -14,7 +14,7 @@ const reducers = combineReducers({
       isSidePanelOpen: false,
       mapControls: {
         visibleLayers: {show: true},
-        mapLegend: {show: true},
+        mapLegend: {show: false},  // FarLegend renders the legend for the MapLibre FAR layers
         toggle3d: {show: false},
         splitMap: {show: false},
         mapDraw: {show: false},
@@ -0,0 +1,169 @@
+import {DEFAULT_BUILDINGS_FILTERS, OBSERVATION_FILTERS} from './buildingsFilter';
+import {DEFAULT_FAR_STYLE, FAR_COLOR_MODES} from './pmtilesStyle';
+
+/**
+ * Shareable view state kept in the URL hash, e.g.
+ * `#map=16.2/37.5665/126.978/30/60&pnu=1111010100100010000&3d=1&mode=residual&prediction=viridis,0,600`.
+ * `map` is zoom/latitude/longitude/bearing/pitch; each color mode stores `palette,min,max`;
+ * active filters are stored as compact JSON under `filters`.
+ */
+
+const COORDINATE_DIGITS = 6;
+const ZOOM_DIGITS = 2;
+const PNU_PATTERN = /^\d{19}$/;
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+function parseView(value) {
+  const parts = (value ?? '').split('/').map(Number);
+  const [zoom, latitude, longitude, bearing = 0, pitch = 0] = parts;
+  if (parts.length < 3 || !parts.every(Number.isFinite)) {
+    return null;
+  }
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+  return {zoom, latitude, longitude, bearing, pitch};
+}
+
+function formatView({zoom, latitude, longitude, bearing = 0, pitch = 0}) {
+  return [
+    round(zoom, ZOOM_DIGITS),
+    round(latitude, COORDINATE_DIGITS),
+    round(longitude, COORDINATE_DIGITS),
+    round(bearing, 1),
+    round(pitch, 1),
+  ].join('/');
+}
+
+function parseScale(value) {
+  const [palette, min, max] = (value ?? '').split(',');
+  if (!palette) {
+    return null;
+  }
+  const domain = [Number(min), Number(max)];
+  return domain.every(Number.isFinite) && domain[0] < domain[1] ? {palette, domain} : {palette};
+}
+
+const formatScale = ({palette, domain}) => [palette, ...domain].join(',');
+
+function parseFarStyle(params) {
+  const mode = params.get('mode') === FAR_COLOR_MODES.residual ? FAR_COLOR_MODES.residual : FAR_COLOR_MODES.prediction;
+  const scales = {...DEFAULT_FAR_STYLE.scales};
+  Object.values(FAR_COLOR_MODES).forEach((scaleMode) => {
+    const scale = parseScale(params.get(scaleMode));
+    if (scale) {
+      scales[scaleMode] = {...scales[scaleMode], ...scale};
+    }
+  });
+  return {mode, scales};
+}
+
+function parseFilters(value) {
+  if (!value) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch {
+    return null;
+  }
+  if (!parsed || typeof parsed !== 'object') {
+    return null;
+  }
+
+  const numberOrNull = (entry) => (typeof entry === 'number' && Number.isFinite(entry) ? entry : null);
+  return {
+    farMin: numberOrNull(parsed.farMin),
+    farMax: numberOrNull(parsed.farMax),
+    observation: Object.values(OBSERVATION_FILTERS).includes(parsed.observation)
+      ? parsed.observation
+      : DEFAULT_BUILDINGS_FILTERS.observation,
+    pnuPrefix: typeof parsed.pnuPrefix === 'string' ? parsed.pnuPrefix.replace(/\D/g, '').slice(0, 19) : '',
+    fields: Array.isArray(parsed.fields)
+      ? parsed.fields.filter((row) => row && typeof row.field === 'string' && typeof row.operator === 'string')
+      : [],
+  };
+}
+
+// Drops default-valued keys so shared links stay short.
+function compactFilters(filters) {
+  const compact = Object.fromEntries(
+    Object.entries(filters).filter(([key, value]) => {
+      if (key === 'fields') {
+        return value.length > 0;
+      }
+      return value !== DEFAULT_BUILDINGS_FILTERS[key];
+    }),
+  );
+  return Object.keys(compact).length ? JSON.stringify(compact) : null;
+}
+
+/**
+ * Reads the view state from a location hash. Every key is optional; `view`, `pnu` and `filters`
+ * are null when absent or malformed.
+ */
+export function readUrlState(hash = typeof window !== 'undefined' ? window.location.hash : '') {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const pnu = params.get('pnu');
+  return {
+    view: parseView(params.get('map')),
+    pnu: PNU_PATTERN.test(pnu ?? '') ? pnu : null,
+    extrusion: params.get('3d') === '1',
+    split: params.get('split') === '1',
+    farStyle: parseFarStyle(params),
+    filters: parseFilters(params.get('filters')),
+  };
+}
+
+export function formatUrlState({view, pnu, extrusion, split, farStyle, filters}) {
+  const params = new URLSearchParams();
+  if (view) {
+    params.set('map', formatView(view));
+  }
+  if (pnu) {
+    params.set('pnu', pnu);
+  }
+  if (extrusion) {
+    params.set('3d', '1');
+  }
+  if (split) {
+    params.set('split', '1');
+  }
+  if (farStyle) {
+    if (farStyle.mode !== DEFAULT_FAR_STYLE.mode) {
+      params.set('mode', farStyle.mode);
+    }
+    Object.values(FAR_COLOR_MODES).forEach((mode) => {
+      const scale = farStyle.scales?.[mode];
+      const defaults = DEFAULT_FAR_STYLE.scales[mode];
+      if (scale && formatScale(scale) !== formatScale(defaults)) {
+        params.set(mode, formatScale(scale));
+      }
+    });
+  }
+  const compact = filters ? compactFilters(filters) : null;
+  if (compact) {
+    params.set('filters', compact);
+  }
+  // URLSearchParams escapes '/' and ',' which are safe in a fragment; keep links readable
+  return `#${params.toString().replace(/%2F/g, '/').replace(/%2C/g, ',')}`;
+}
+
+/**
+ * Replaces the current hash without adding a history entry, so panning does not flood the
+ * back button.
+ */
+export function writeUrlState(state) {
+  if (typeof window === 'undefined') {
+    return;
+  }
+  const hash = formatUrlState(state);
+  if (hash === window.location.hash || (hash === '#' && !window.location.hash)) {
+    return;
+  }
+  const {pathname, search} = window.location;
+  window.history.replaceState(window.history.state, '', `${pathname}${search}${hash === '#' ? '' : hash}`);
+}
@@ -0,0 +1,167 @@
+/**
+ * Named workspace persistence. Records live in IndexedDB, with a localStorage fallback for
+ * browsers (or private modes) where IndexedDB is unavailable.
+ * A record is `{id, name, createdAt, updatedAt, workspace}` where `workspace` is the envelope
+ * produced by `createWorkspace` in schemaManager.js.
+ */
+
+const DB_NAME = 'seoul-urban-atlas';
+const DB_VERSION = 1;
+const STORE_NAME = 'workspaces';
+const LOCAL_STORAGE_KEY = 'seoul-urban-atlas.workspaces';
+
+let dbPromise = null;
+
+const createId = () =>
+  typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Resolves with the database, or null when IndexedDB is missing, fails to open (some private
+ * modes throw or error on open) or is blocked. The answer holds for the session so records are
+ * not split between the two stores.
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const fallBack = (error) => {
+        console.warn('[workspace] IndexedDB unavailable, saving workspaces to localStorage', error);
+        resolve(null);
+      };
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+
+      let request;
+      try {
+        request = indexedDB.open(DB_NAME, DB_VERSION);
+      } catch (error) {
+        fallBack(error);
+        return;
+      }
+      let settled = false;
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, {keyPath: 'id'});
+      };
+      request.onsuccess = () => {
+        if (settled) {
+          // Unblocked after the fallback was chosen
+          request.result.close();
+          return;
+        }
+        settled = true;
+        resolve(request.result);
+      };
+      request.onerror = () => {
+        settled = true;
+        fallBack(request.error);
+      };
+      request.onblocked = () => {
+        settled = true;
+        fallBack(new Error('Database upgrade blocked by another tab'));
+      };
+    });
+  }
+  return dbPromise;
+}
+
+// Runs one request and resolves with its result once the transaction has committed.
+function withStore(db, mode, run) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = run(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function readLocalRecords() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(LOCAL_STORAGE_KEY) ?? '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeLocalRecords(records) {
+  localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(records));
+}
+
+const backend = {
+  async getAll() {
+    const db = await openDatabase();
+    return db ? withStore(db, 'readonly', (store) => store.getAll()) : readLocalRecords();
+  },
+  async get(id) {
+    const db = await openDatabase();
+    if (db) {
+      return (await withStore(db, 'readonly', (store) => store.get(id))) ?? null;
+    }
+    return readLocalRecords().find((record) => record.id === id) ?? null;
+  },
+  async put(record) {
+    const db = await openDatabase();
+    if (db) {
+      await withStore(db, 'readwrite', (store) => store.put(record));
+      return;
+    }
+    const records = readLocalRecords().filter((entry) => entry.id !== record.id);
+    writeLocalRecords([...records, record]);
+  },
+  async remove(id) {
+    const db = await openDatabase();
+    if (db) {
+      await withStore(db, 'readwrite', (store) => store.delete(id));
+      return;
+    }
+    writeLocalRecords(readLocalRecords().filter((record) => record.id !== id));
+  },
+};
+
+function normalizeName(name) {
+  const trimmed = String(name ?? '').trim();
+  if (!trimmed) {
+    throw new Error('Workspace name is required.');
+  }
+  return trimmed;
+}
+
+/**
+ * Lists saved workspaces, most recently updated first. Returns summaries without the
+ * (potentially large) workspace payload.
+ */
+export async function listWorkspaces() {
+  const records = await backend.getAll();
+  return records
+    .map(({id, name, createdAt, updatedAt}) => ({id, name, createdAt, updatedAt}))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export async function getWorkspace(id) {
+  return backend.get(id);
+}
+
+export async function saveWorkspace(name, workspace) {
+  const now = Date.now();
+  const record = {id: createId(), name: normalizeName(name), createdAt: now, updatedAt: now, workspace};
+  await backend.put(record);
+  return record;
+}
+
+export async function renameWorkspace(id, name) {
+  const record = await backend.get(id);
+  if (!record) {
+    throw new Error(`Workspace ${id} not found.`);
+  }
+  const updated = {...record, name: normalizeName(name), updatedAt: Date.now()};
+  await backend.put(updated);
+  return updated;
+}
+
+export async function deleteWorkspace(id) {
+  await backend.remove(id);
+}
@@ -1,18 +1,32 @@
 import {defineConfig} from 'vite';
 import react from '@vitejs/plugin-react';
 import {dirname, resolve} from 'node:path';
+import process from 'node:process';
 import {fileURLToPath} from 'node:url';
-import {open, readFile} from 'node:fs/promises';
-import {PMTiles} from 'pmtiles';
-import {Buffer} from 'node:buffer';
+import {
+  createArchiveReloader,
+  createCatalogMiddleware,
+  createPmtilesHandlers,
+  loadArchiveRegistry,
+} from './scripts/lib/pmtiles-server.mjs';
+import {createMetrics, createStatsMiddleware} from './scripts/lib/pmtiles-metrics.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const PMTILES_ARCHIVES = [
-  {id: 'seoul', filename: 'seoul.pmtiles'},  // Protomaps basemap (roads, water, boundaries)
-  {id: 'buildings', filename: 'buildings.pmtiles', summaryFilename: 'buildings.pmtiles.json'},
-];
+// Archive registry shared with the standalone tile server (scripts/servePmtiles.mjs).
+// PMTILES_DIR serves every .pmtiles file in a directory; PMTILES_CONFIG points at another archive list.
+// Read only when a dev or preview server starts, so `vite build` does not depend on either.
+const loadPmtilesArchives = () =>
+  loadArchiveRegistry({
+    configPath: resolve(__dirname, process.env.PMTILES_CONFIG || 'pmtiles.config.json'),
+    directory: process.env.PMTILES_DIR ? resolve(__dirname, process.env.PMTILES_DIR) : null,
+  });
+// `debug` adds a line per tile served
+const PMTILES_LOG_LEVEL = process.env.PMTILES_LOG_LEVEL || 'info';
+// Tile and directory cache size; PMTILES_WARMUP=1 preloads the tiles listed in the build summaries
+const PMTILES_CACHE_MB = process.env.PMTILES_CACHE_MB ? Number(process.env.PMTILES_CACHE_MB) : 64;
+const PMTILES_WARMUP = process.env.PMTILES_WARMUP === '1';
 
 // https://vite.dev/config/
 export default defineConfig({
@@ -67,201 +81,43 @@ export default defineConfig({
   },
 });
 
-class NodeFileSource {
-  constructor(path) {
-    this.path = path;
-    this.handlePromise = null;
-  }
-
-  async getHandle() {
-    if (!this.handlePromise) {
-      this.handlePromise = open(this.path, 'r');
-    }
-    return this.handlePromise;
-  }
-
-  async getBytes(offset, length) {
-    const handle = await this.getHandle();
-    const buffer = Buffer.alloc(length);
-    const {bytesRead} = await handle.read(buffer, 0, length, offset);
-    const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + bytesRead);
-    return {data: arrayBuffer};
-  }
-
-  getKey() {
-    return this.path;
-  }
-
-  async close() {
-    if (this.handlePromise) {
-      const handle = await this.handlePromise;
-      await handle.close();
-      this.handlePromise = null;
-    }
-  }
-}
-
 function pmtilesServerPlugin() {
   return {
     name: 'pmtiles-server',
     apply: 'serve',
     configureServer(server) {
-      const handlers = createPmtilesHandlers(server.config.logger, PMTILES_ARCHIVES);
-      handlers.forEach(({id, middleware, close}) => {
-        server.middlewares.use(`/pmtiles/${id}`, middleware);
-        server.httpServer?.once('close', close);
+      const handlers = mountPmtilesHandlers(server, loadPmtilesArchives());
+
+      // Rebuilt archives and summaries are picked up without a restart; open pages refresh
+      // their tile sources on the `pmtiles:update` HMR event
+      const reloader = createArchiveReloader(handlers, {
+        logger: server.config.logger,
+        onReload: (update) => server.ws.send({type: 'custom', event: 'pmtiles:update', data: update}),
       });
+      server.watcher.add(reloader.directories);
+      ['add', 'change'].forEach((event) => server.watcher.on(event, reloader.handleChange));
+      server.httpServer?.once('close', reloader.close);
     },
     configurePreviewServer(server) {
-      const handlers = createPmtilesHandlers(server.config.logger, PMTILES_ARCHIVES);
-      handlers.forEach(({id, middleware, close}) => {
-        server.middlewares.use(`/pmtiles/${id}`, middleware);
-        server.httpServer?.once('close', close);
-      });
+      mountPmtilesHandlers(server, loadPmtilesArchives());
     },
   };
 }
 
-function createPmtilesHandlers(logger, archives) {
-  return archives.map(({id, filename, summaryFilename}) => {
-    const pmtilesPath = resolve(__dirname, filename);
-    const summaryPath = summaryFilename ? resolve(__dirname, summaryFilename) : null;
-    const source = new NodeFileSource(pmtilesPath);
-    const archive = new PMTiles(source);
-    let headerPromise;
-    let metadataPromise;
-    let summaryPromise;
-
-    async function getHeader() {
-      if (!headerPromise) {
-        headerPromise = archive.getHeader().then((header) => {
-          console.log('[pmtiles] header', {
-            id,
-            tileCompression: header.tileCompression,
-            minZoom: header.minZoom,
-            maxZoom: header.maxZoom,
-          });
-          return header;
-        });
-      }
-      return headerPromise;
-    }
-
-    async function getMetadata() {
-      if (!metadataPromise) {
-        metadataPromise = archive.getMetadata().catch((error) => {
-          metadataPromise = null;
-          throw error;
-        });
-      }
-      return metadataPromise;
-    }
-
-    async function getSummary() {
-      if (!summaryPath) {
-        return null;
-      }
-
-      if (!summaryPromise) {
-        summaryPromise = readFile(summaryPath, 'utf8')
-          .then((contents) => JSON.parse(contents))
-          .catch((error) => {
-            summaryPromise = null;
-            throw error;
-          });
-      }
-
-      return summaryPromise;
-    }
-
-    const middleware = async (req, res, next) => {
-      if (!req.url) {
-        next();
-        return;
-      }
-
-      let pathname = req.url;
-      try {
-        const composedUrl = new URL(req.url, 'http://localhost');
-        pathname = composedUrl.pathname;
-      } catch {
-        // ignore URL parsing errors and fall back to original path
-      }
-
-      if (pathname === '/metadata.json') {
-        try {
-          const metadata = await getMetadata();
-          res.setHeader('Content-Type', 'application/json');
-          res.setHeader('Cache-Control', 'public, max-age=86400');
-          res.end(JSON.stringify(metadata));
-        } catch (error) {
-          logger.error(
-            `Failed to serve PMTiles metadata ${id}: ${error instanceof Error ? error.message : error}`,
-          );
-          res.statusCode = 500;
-          res.end();
-        }
-        return;
-      }
-
-      if (summaryPath && pathname === '/summary.json') {
-        try {
-          const summary = await getSummary();
-          res.setHeader('Content-Type', 'application/json');
-          res.setHeader('Cache-Control', 'public, max-age=86400');
-          res.end(JSON.stringify(summary));
-        } catch (error) {
-          logger.error(
-            `Failed to serve PMTiles summary ${id}: ${error instanceof Error ? error.message : error}`,
-          );
-          res.statusCode = 500;
-          res.end();
-        }
-        return;
-      }
-
-      const match = pathname.match(/^\/(\d+)\/(\d+)\/(\d+)\.pbf$/);
-      if (!match) {
-        next();
-        return;
-      }
-
-      const [, zStr, xStr, yStr] = match;
-      const z = Number(zStr);
-      const x = Number(xStr);
-      const y = Number(yStr);
-
-      try {
-        await getHeader();
-        const tile = await archive.getZxy(z, x, y);
-
-        if (!tile) {
-          res.statusCode = 204;
-          res.end();
-          return;
-        }
-
-        const payload = Buffer.from(tile.data);
-
-        res.setHeader('Content-Type', 'application/x-protobuf');
-        res.setHeader('Cache-Control', 'public, max-age=86400');
-        res.setHeader('Content-Length', String(payload.length));
-
-        console.log(`[pmtiles:${id}] ${z}/${x}/${y} -> payload=${payload.length} bytes`);
-        res.end(payload);
-      } catch (error) {
-        logger.error(
-          `Failed to serve PMTiles tile ${id} ${z}/${x}/${y}: ${error instanceof Error ? error.message : error}`,
-        );
-        res.statusCode = 500;
-        res.end();
-      }
-    };
-
-    const close = async () => {
-      await source.close();
-    };
-
-    return {id, middleware, close};
+// Mounts the catalog, stats and per-archive routes under /pmtiles on a dev or preview server.
+function mountPmtilesHandlers(server, archives) {
+  const metrics = createMetrics();
+  const handlers = createPmtilesHandlers(server.config.logger, archives, {
+    metrics,
+    logLevel: PMTILES_LOG_LEVEL,
+    cacheBytes: PMTILES_CACHE_MB * 1024 * 1024,
+    warmup: PMTILES_WARMUP,
+  });
+  server.middlewares.use('/pmtiles/index.json', createCatalogMiddleware(handlers));
+  server.middlewares.use('/pmtiles/_stats', createStatsMiddleware(metrics));
+  handlers.forEach(({id, middleware, close}) => {
+    server.middlewares.use(`/pmtiles/${id}`, middleware);
+    server.httpServer?.once('close', close);
   });
+  return handlers;
 }